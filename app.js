@@ -1,527 +1,470 @@
 /**
- * Solo Chief Dashboard - Strategic Triage Engine
- * Implements the 5-tier classification system with ROI scoring
+ * Solo Chief Dashboard - browser UI
+ * Storage, focus mode, notifications and the dashboard controller.
+ * The triage engine and models live in triage-core.js, which
+ * dashboard.html loads first.
  */
 
 // ============================================================================
-// DATA MODELS
+// STORAGE
 // ============================================================================
 
-class Task {
-    constructor(id, title, estimatedMinutes, importance, urgency, deadline = null, tags = [], notes = '') {
-        this.id = id;
-        this.title = title;
-        this.estimatedMinutes = estimatedMinutes || 30;
-        this.importance = importance || 3; // 1-5
-        this.urgency = urgency || 3; // 1-5
-        this.deadline = deadline;
-        this.tags = tags;
-        this.notes = notes;
-        this.createdAt = new Date();
-        this.rolloverCount = 0;
-        this.completed = false;
-        this.classification = null; // Set by triage
-        this.roiScore = 0; // Set by triage
-    }
-}
-
-class UserContext {
-    constructor() {
-        this.goals = [
-            { description: 'Ship Solo Chief MVP', progress: 65 },
-            { description: 'Reach $10k MRR', progress: 30 }
-        ];
-        this.energyLevel = 4; // 1-5
-        this.availableMinutes = 480; // 8 hours
-        this.completedToday = 0;
-        this.focusTimeMinutes = 0;
-        this.dayStreak = 7;
-        this.distractionsBlocked = 0;
-    }
-}
-
-// ============================================================================
-// STRATEGIC TRIAGE ENGINE - 5-TIER SYSTEM
-// ============================================================================
-
-class StrategicTriageEngine {
+/**
+ * Persists the dashboard state in IndexedDB, falling back to localStorage
+ * where IndexedDB is unavailable (private windows, file:// in some browsers).
+ * Saved state is versioned; older versions are migrated step by step on load.
+ */
+class StorageManager {
     constructor() {
-        this.TIER_WEIGHTS = {
-            GOAL_ALIGNMENT: 0.30,
-            IMPACT_MAGNITUDE: 0.25,
-            TIME_EFFICIENCY: 0.20,
-            DEADLINE_PROXIMITY: 0.15,
-            ENERGY_FIT: 0.10
+        this.DB_NAME = 'soloChief';
+        this.DB_VERSION = 1; // IndexedDB object store layout
+        this.STORE = 'state';
+        this.STATE_KEY = 'current';
+        this.LOCAL_KEY = 'soloChiefData';
+        this.SCHEMA_VERSION = 6; // Shape of the saved { tasks, userContext }
+        // Upgrades from version N to N + 1
+        this.MIGRATIONS = {
+            // 1: the original unversioned localStorage blob. Drop triage output
+            // and spread-in defaults that were saved alongside the data.
+            1: state => ({
+                version: 2,
+                tasks: (state.tasks || []).map(({ classification, roiScore, reason, tierRule, explanation, ...task }) => task),
+                userContext: state.userContext || null
+            }),
+            // 2: completedToday/distractionsBlocked counters became derived from actionLog
+            2: state => {
+                const { completedToday, distractionsBlocked, ...userContext } = state.userContext || {};
+                return { ...state, version: 3, userContext };
+            },
+            // 3: dayStreak was a stored number; it is now derived from dailyStats
+            3: state => {
+                const { dayStreak, ...userContext } = state.userContext || {};
+                return { ...state, version: 4, userContext };
+            },
+            // 4: completed tasks keep the tier they were completed in; recover it from actionLog
+            4: state => {
+                const tiers = {};
+                for (const entry of (state.userContext && state.userContext.actionLog) || []) {
+                    if (entry.type === 'complete' && entry.tier) tiers[entry.taskId] = entry.tier;
+                }
+                const tasks = (state.tasks || []).map(task => (
+                    task.completed && !task.completedTier && tiers[task.id] ? { ...task, completedTier: tiers[task.id] } : task
+                ));
+                return { ...state, version: 5, tasks };
+            },
+            // 5: estimatedMinutes was saved as typed ("45", or "" for a blank field); store a number
+            5: state => ({
+                ...state,
+                version: 6,
+                tasks: (state.tasks || []).map(task => {
+                    const minutes = Number(task.estimatedMinutes);
+                    return { ...task, estimatedMinutes: Number.isFinite(minutes) && minutes > 0 ? minutes : 30 };
+                })
+            })
         };
+        this.db = null;
+        this.writes = Promise.resolve(); // Saves run one after another
     }
 
     /**
-     * Main entry point for task triage
-     * Returns classification and ROI score for each task
+     * Open the database, or settle on localStorage if that fails
      */
-    triageTasks(tasks, userContext) {
-        const results = [];
-
-        for (const task of tasks) {
-            if (task.completed) continue;
-
-            // Step 1: Apply heuristic rules first (auto-classify obvious cases)
-            const autoClassification = this.applyHeuristicRules(task, userContext);
-            if (autoClassification) {
-                task.classification = autoClassification.tier;
-                task.roiScore = autoClassification.roiScore;
-                task.reason = autoClassification.reason;
-                results.push(task);
-                continue;
-            }
-
-            // Step 2: Calculate ROI score for remaining tasks
-            task.roiScore = this.calculateROIScore(task, userContext);
-
-            // Step 3: Apply strategic adjustments
-            task.roiScore = this.applyStrategicAdjustments(task, userContext);
-
-            // Step 4: Determine final classification
-            task.classification = this.classifyTask(task, userContext);
-
-            results.push(task);
+    async open() {
+        if (this.db || typeof indexedDB === 'undefined') return this.db;
+
+        try {
+            this.db = await new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+                request.onupgradeneeded = () => {
+                    if (!request.result.objectStoreNames.contains(this.STORE)) {
+                        request.result.createObjectStore(this.STORE);
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+            });
+        } catch (e) {
+            console.warn('IndexedDB unavailable, using localStorage:', e);
+            this.db = null;
         }
-
-        // Step 5: Sort by ROI score
-        return results.sort((a, b) => b.roiScore - a.roiScore);
+        return this.db;
     }
 
     /**
-     * Step 1: Heuristic Rules Engine
-     * Auto-classify tasks matching obvious patterns
+     * Saved state as { tasks: Task[], userContext: UserContext },
+     * or null when nothing has been saved yet.
+     * Throws if saved data exists but can't be read, so callers never
+     * mistake unreadable data for a first run.
      */
-    applyHeuristicRules(task, userContext) {
-        // T1 CRITICAL - Automatic triggers
-        if (this.isCriticalTask(task, userContext)) {
-            return {
-                tier: 'T1',
-                roiScore: 90,
-                reason: 'CRITICAL: Urgent deadline or emergency detected'
-            };
-        }
-
-        // T4 DISTRACTION - Automatic triggers
-        if (this.isDistractionTask(task, userContext)) {
-            return {
-                tier: 'T4',
-                roiScore: 15,
-                reason: 'DISTRACTION: Low importance, no clear value'
-            };
-        }
-
-        // T5 PHANTOM - Automatic triggers
-        if (this.isPhantomTask(task, userContext)) {
-            return {
-                tier: 'T5',
-                roiScore: 10,
-                reason: 'PHANTOM: Too vague - needs clarification or deletion'
-            };
+    async load() {
+        const db = await this.open();
+        let state = db ? await this.request(db, 'readonly', store => store.get(this.STATE_KEY)) : undefined;
+
+        // Data from before IndexedDB (or from the fallback) lives in localStorage
+        if (state === undefined) {
+            const raw = localStorage.getItem(this.LOCAL_KEY);
+            if (raw === null) return null;
+            state = JSON.parse(raw);
         }
 
-        return null; // Needs full ROI calculation
+        return this.hydrate(this.migrate(state));
     }
 
-    /**
-     * Check if task should be T1 CRITICAL
-     */
-    isCriticalTask(task, userContext) {
-        // Deadline < 24 hours AND importance >= 4
-        if (task.deadline) {
-            const deadline = new Date(task.deadline);
-            const hoursUntil = (deadline - new Date()) / (1000 * 60 * 60);
-            if (hoursUntil <= 24 && hoursUntil >= 0 && task.importance >= 4) {
-                return true;
-            }
-        }
+    migrate(state) {
+        if (!state || typeof state !== 'object') throw new Error('Saved data is not an object');
 
-        // Title contains urgency keywords
-        const urgencyKeywords = ['asap', 'emergency', 'urgent', 'broken', 'down', 'critical'];
-        const lowerTitle = task.title.toLowerCase();
-        if (urgencyKeywords.some(kw => lowerTitle.includes(kw))) {
-            return true;
+        let migrated = { ...state, version: state.version || 1 };
+        if (migrated.version > this.SCHEMA_VERSION) {
+            throw new Error(`Saved data is version ${migrated.version}; this app reads up to ${this.SCHEMA_VERSION}`);
         }
-
-        // Revenue at risk (detected via tags)
-        if (task.tags.some(tag => ['client', 'revenue', 'money', 'critical'].includes(tag.toLowerCase()))) {
-            return true;
+        while (migrated.version < this.SCHEMA_VERSION) {
+            migrated = this.MIGRATIONS[migrated.version](migrated);
         }
+        return migrated;
+    }
 
-        return false;
+    hydrate(state) {
+        return {
+            tasks: (state.tasks || []).map(task => Task.fromJSON(task)),
+            userContext: UserContext.fromJSON(state.userContext)
+        };
     }
 
     /**
-     * Check if task should be T4 DISTRACTION
+     * Queue a save of the current state
      */
-    isDistractionTask(task, userContext) {
-        // Low importance and low urgency
-        if (task.importance <= 2 && task.urgency <= 2) {
-            return true;
-        }
+    save(tasks, userContext) {
+        const state = JSON.parse(JSON.stringify({ version: this.SCHEMA_VERSION, savedAt: new Date(), tasks, userContext }));
+
+        this.writes = this.writes
+            .then(() => this.open())
+            .then(db => {
+                if (db) return this.request(db, 'readwrite', store => store.put(state, this.STATE_KEY));
+                localStorage.setItem(this.LOCAL_KEY, JSON.stringify(state));
+            })
+            .catch(e => console.error('Failed to save:', e));
+        return this.writes;
+    }
 
-        // Title contains distraction keywords
-        const distractionKeywords = ['scroll', 'check social', 'browse', 'news', 'entertainment'];
-        const lowerTitle = task.title.toLowerCase();
-        if (distractionKeywords.some(kw => lowerTitle.includes(kw))) {
-            return true;
-        }
+    /**
+     * Run one request in its own transaction and resolve with its result
+     */
+    request(db, mode, makeRequest) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.STORE, mode);
+            const request = makeRequest(transaction.objectStore(this.STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+}
 
-        // Long time estimate with low importance
-        if (task.estimatedMinutes > 240 && task.importance <= 3) {
-            return true;
-        }
+// ============================================================================
+// FOCUS MODE MANAGER
+// ============================================================================
 
-        // Chronic rollover (>5 times)
-        if (task.rolloverCount >= 5) {
-            return true;
-        }
+class FocusModeManager {
+    constructor(hooks = {}) {
+        this.DEFAULT_SETTINGS = {
+            workMinutes: 25,
+            shortBreakMinutes: 5,
+            longBreakMinutes: 15,
+            longBreakEvery: 4, // Work blocks per long break
+            fitToEstimate: false, // Shorten a work block when the task needs less
+            autoStartNext: false
+        };
+        this.PHASE_LABELS = {
+            work: '🔒 Focus Mode Active',
+            shortBreak: '☕ Short Break',
+            longBreak: '🌿 Long Break'
+        };
+        this.EXTEND_MINUTES = 5;
+        this.IDLE_TIMEOUT_MINUTES = 60; // Paused or waiting this long ends the session
+        this.MIN_INTERRUPTION_SECONDS = 5;
 
-        return false;
+        this.hooks = hooks; // { onChange(state), onPhaseEnd(finished, next) }
+        this.settings = { ...this.DEFAULT_SETTINGS };
+        this.active = false;
+        this.currentTask = null;
+        this.timerInterval = null;
+        this.phase = 'work'; // work | shortBreak | longBreak
+        this.cycle = 0; // Work blocks finished this session
+        this.paused = false;
+        this.phaseSeconds = 25 * 60; // Length of the current phase, extensions included
+        this.phaseEndsAt = null; // ms timestamp; null while paused
+        this.remainingSeconds = 25 * 60;
+        this.elapsedSeconds = 0; // Work time this session; breaks don't count
+        this.lastTick = null; // ms timestamp work time has been credited up to
+        this.startedAt = null;
+
+        // Session log, see buildSession
+        this.pauses = []; // [{ start, end }]; waiting to start the next phase counts too
+        this.interruptions = []; // [{ start, end }] while working with the page hidden
+        this.hidden = false;
+        this.awaySince = null; // ms timestamp of the open interruption
+        this.deepSeconds = 0; // Work time spent on the page
+        this.stretchSeconds = 0;
+        this.longestStretchSeconds = 0;
     }
 
     /**
-     * Check if task should be T5 PHANTOM
+     * Enter Focus Mode with the specified task
+     * Locks all UI elements except the task card
      */
-    isPhantomTask(task, userContext) {
-        // No verb detected (no clear action)
-        const actionVerbs = ['write', 'create', 'build', 'fix', 'update', 'send', 'review', 'analyze', 'design', 'implement', 'call', 'meet'];
-        const lowerTitle = task.title.toLowerCase();
-        if (!actionVerbs.some(verb => lowerTitle.includes(verb))) {
-            return true;
+    enter(task, settings = {}) {
+        if (!task) {
+            console.error('Cannot enter focus mode without a task');
+            return;
         }
 
-        // Vague/overcomplicated title (>15 words)
-        const wordCount = task.title.split(/\s+/).length;
-        if (wordCount > 15) {
-            return true;
-        }
+        this.active = true;
+        this.currentTask = task;
+        this.settings = { ...this.DEFAULT_SETTINGS, ...settings };
+        this.cycle = 0;
+        this.elapsedSeconds = 0;
+        this.startedAt = new Date();
+        this.pauses = [];
+        this.interruptions = [];
+        this.hidden = document.hidden;
+        this.awaySince = null;
+        this.deepSeconds = 0;
+        this.stretchSeconds = 0;
+        this.longestStretchSeconds = 0;
+        this.beginPhase('work', Date.now(), true);
 
-        // Chronic rollover with no progress
-        if (task.rolloverCount >= 3 && !task.notes) {
-            return true;
-        }
+        // Show focus overlay
+        const overlay = document.getElementById('focusOverlay');
+        overlay.classList.add('active');
 
-        return false;
+        this.updateFocusUI();
+        this.startTimer();
+        this.updateDashboardStatus();
+        this.changed();
     }
 
     /**
-     * Step 2: Calculate ROI Score
-     * ROI = (GOAL_ALIGNMENT × 0.30) + (IMPACT × 0.25) + 
-     *       (TIME_EFFICIENCY × 0.20) + (DEADLINE × 0.15) + (ENERGY × 0.10)
+     * Pick up a session saved by getState(). A phase that ended while
+     * the page was closed moves on to the next one, which waits for the
+     * user: we can't tell whether they kept working. The time closed
+     * counts as an interruption.
      */
-    calculateROIScore(task, userContext) {
-        const goalAlignment = this.calculateGoalAlignment(task, userContext);
-        const impact = this.calculateImpactMagnitude(task, userContext);
-        const timeEfficiency = this.calculateTimeEfficiency(task, userContext);
-        const deadlineProximity = this.calculateDeadlineProximity(task, userContext);
-        const energyFit = this.calculateEnergyFit(task, userContext);
-
-        const roi = (
-            (goalAlignment * this.TIER_WEIGHTS.GOAL_ALIGNMENT) +
-            (impact * this.TIER_WEIGHTS.IMPACT_MAGNITUDE) +
-            (timeEfficiency * this.TIER_WEIGHTS.TIME_EFFICIENCY) +
-            (deadlineProximity * this.TIER_WEIGHTS.DEADLINE_PROXIMITY) +
-            (energyFit * this.TIER_WEIGHTS.ENERGY_FIT)
-        );
-
-        return Math.round(Math.max(0, Math.min(100, roi)));
+    restore(state, task, settings = {}) {
+        this.active = true;
+        this.currentTask = task;
+        this.settings = { ...this.DEFAULT_SETTINGS, ...settings };
+        this.phase = state.phase;
+        this.cycle = state.cycle;
+        this.paused = state.paused;
+        this.phaseSeconds = state.phaseSeconds;
+        this.phaseEndsAt = state.phaseEndsAt;
+        this.remainingSeconds = state.remainingSeconds;
+        this.elapsedSeconds = state.elapsedSeconds;
+        this.lastTick = state.lastTick;
+        this.startedAt = new Date(state.startedAt);
+        this.pauses = state.pauses || [];
+        this.interruptions = state.interruptions || [];
+        this.awaySince = state.awaySince ?? null;
+        this.deepSeconds = state.deepSeconds ?? state.elapsedSeconds;
+        this.stretchSeconds = state.stretchSeconds || 0;
+        this.longestStretchSeconds = state.longestStretchSeconds || 0;
+
+        document.getElementById('focusOverlay').classList.add('active');
+        this.hidden = true;
+        this.syncAway(this.lastTick);
+        this.tick(Date.now(), false);
+        this.hidden = document.hidden;
+        this.syncAway(Date.now());
+        if (!this.paused) this.startTimer();
+        this.updateFocusUI();
+        this.updateDashboardStatus();
+        this.changed();
     }
 
     /**
-     * GOAL_ALIGNMENT: How directly does this advance quarterly goals?
-     * 90+ = Direct line to goal progress
-     * 50-70 = Tangentially related
-     * <50 = No clear connection
+     * Everything needed to resume the session after a reload
      */
-    calculateGoalAlignment(task, userContext) {
-        const lowerTitle = task.title.toLowerCase();
-        const lowerTags = task.tags.map(t => t.toLowerCase()).join(' ');
-
-        // Direct goal matches
-        for (const goal of userContext.goals) {
-            const goalWords = goal.description.toLowerCase().split(/\s+/);
-            for (const word of goalWords) {
-                if (word.length > 4 && (lowerTitle.includes(word) || lowerTags.includes(word))) {
-                    return 90; // Direct alignment
-                }
-            }
-        }
-
-        // Tangential indicators
-        const leverageKeywords = ['build', 'ship', 'launch', 'create', 'develop', 'implement', 'customer', 'user', 'product'];
-        if (leverageKeywords.some(kw => lowerTitle.includes(kw))) {
-            return 60; // Tangentially related
-        }
-
-        return 30; // No clear connection
+    getState() {
+        if (!this.active || !this.currentTask) return null;
+        return {
+            taskId: this.currentTask.id,
+            phase: this.phase,
+            cycle: this.cycle,
+            paused: this.paused,
+            phaseSeconds: this.phaseSeconds,
+            phaseEndsAt: this.phaseEndsAt,
+            remainingSeconds: this.remainingSeconds,
+            elapsedSeconds: this.elapsedSeconds,
+            lastTick: this.lastTick,
+            startedAt: this.startedAt.toISOString(),
+            pauses: this.pauses,
+            interruptions: this.interruptions,
+            awaySince: this.awaySince,
+            deepSeconds: this.deepSeconds,
+            stretchSeconds: this.stretchSeconds,
+            longestStretchSeconds: this.longestStretchSeconds
+        };
     }
 
     /**
-     * IMPACT_MAGNITUDE: If completed, how much value does this create?
+     * The focusSessions entry for this session. A timed-out session
+     * ends when it went idle, not when we noticed.
      */
-    calculateImpactMagnitude(task, userContext) {
-        // Base score from importance
-        let impact = task.importance * 20; // 1-5 → 20-100
-
-        // Revenue impact (via tags)
-        if (task.tags.some(tag => ['client', 'revenue', 'sales', 'deal', 'contract'].includes(tag.toLowerCase()))) {
-            impact = Math.min(100, impact + 15);
-        }
+    buildSession(outcome, now = Date.now()) {
+        const idle = this.pauses.find(pause => !pause.end);
+        const end = outcome === 'timedOut' && idle ? new Date(idle.start).getTime() : now;
 
-        // Learning/skill building
-        if (task.tags.some(tag => ['learn', 'study', 'research', 'read'].includes(tag.toLowerCase()))) {
-            impact = Math.min(100, impact + 10);
-        }
+        this.hidden = false;
+        this.syncAway(Math.max(end, this.awaySince || 0));
+        if (idle) idle.end = new Date(end).toISOString();
 
-        return impact;
+        const minutes = seconds => Math.round(seconds / 6) / 10;
+        return {
+            taskId: this.currentTask.id,
+            title: this.currentTask.title,
+            start: this.startedAt.toISOString(),
+            end: new Date(end).toISOString(),
+            outcome,
+            workMinutes: minutes(this.elapsedSeconds),
+            deepMinutes: minutes(this.deepSeconds),
+            longestStretchMinutes: minutes(this.longestStretchSeconds),
+            blocks: this.cycle,
+            pauses: this.pauses,
+            interruptions: this.interruptions
+        };
     }
 
     /**
-     * TIME_EFFICIENCY: Shorter tasks score higher (quick wins bias)
-     * Formula: min(100, 60 / estimated_minutes × 100)
+     * True once the session has sat paused longer than the idle timeout
      */
-    calculateTimeEfficiency(task, userContext) {
-        if (task.estimatedMinutes <= 0) return 50;
-        return Math.min(100, (60 / task.estimatedMinutes) * 100);
+    isTimedOut(now = Date.now()) {
+        const idle = this.active && this.paused && this.pauses.find(pause => !pause.end);
+        return Boolean(idle) && now - new Date(idle.start) >= this.IDLE_TIMEOUT_MINUTES * 60 * 1000;
     }
 
     /**
-     * DEADLINE_PROXIMITY: Closer deadlines score higher
-     * Formula: max(0, 100 - (hours_until_deadline / 2))
+     * Track leaving the page (Page Visibility API) while focus is active
      */
-    calculateDeadlineProximity(task, userContext) {
-        if (!task.deadline) return 30; // No deadline - neutral score
+    setHidden(hidden, now = Date.now()) {
+        if (!this.active) return;
 
-        const deadline = new Date(task.deadline);
-        const hoursUntil = (deadline - new Date()) / (1000 * 60 * 60);
-
-        if (hoursUntil <= 0) return 100; // Overdue
-        if (hoursUntil <= 2) return 95;
-        if (hoursUntil <= 8) return 85;
-        if (hoursUntil <= 24) return 70;
-        if (hoursUntil <= 48) return 50;
-        if (hoursUntil <= 168) return 30; // 1 week
-
-        return 10; // Distant deadline
+        this.tick(now);
+        this.hidden = hidden;
+        this.syncAway(now);
+        this.changed();
     }
 
     /**
-     * ENERGY_FIT: Does this match the user's current energy level?
+     * Open an interruption when we're working but the page is hidden,
+     * and close it when either stops being true
      */
-    calculateEnergyFit(task, userContext) {
-        // Determine task energy requirement
-        let requiredEnergy = 3;
-
-        const highEnergyKeywords = ['create', 'design', 'build', 'solve', 'analyze', 'strategy'];
-        const lowEnergyKeywords = ['email', 'review', 'check', 'update', 'organize'];
-
-        const lowerTitle = task.title.toLowerCase();
-
-        if (highEnergyKeywords.some(kw => lowerTitle.includes(kw))) {
-            requiredEnergy = 5;
-        } else if (lowEnergyKeywords.some(kw => lowerTitle.includes(kw))) {
-            requiredEnergy = 2;
+    syncAway(now) {
+        const away = this.hidden && this.phase === 'work' && !this.paused;
+        if (away && this.awaySince === null) {
+            this.awaySince = now;
+            this.stretchSeconds = 0;
+        } else if (!away && this.awaySince !== null) {
+            if (now - this.awaySince >= this.MIN_INTERRUPTION_SECONDS * 1000) {
+                this.interruptions.push({ start: new Date(this.awaySince).toISOString(), end: new Date(now).toISOString() });
+            }
+            this.awaySince = null;
         }
-
-        // Match score: 100 if perfect match, decreases with difference
-        const energyDiff = Math.abs(requiredEnergy - userContext.energyLevel);
-        return Math.max(0, 100 - (energyDiff * 20));
     }
 
     /**
-     * Step 3: Apply Strategic Adjustments
+     * Exit Focus Mode
      */
-    applyStrategicAdjustments(task, userContext) {
-        let roi = task.roiScore;
-
-        // Chronic rollover penalty (-15 points)
-        if (task.rolloverCount >= 3) {
-            roi -= 15;
-        }
-
-        // Recurring task bonus (+10 points)
-        if (task.tags.some(tag => tag.toLowerCase() === 'recurring')) {
-            roi += 10;
-        }
-
-        // Client/Revenue multiplier (×1.2 on impact portion already applied)
+    exit() {
+        this.active = false;
+        this.stopTimer();
 
-        // Quick win bonus (≤30 min + importance ≥3)
-        if (task.estimatedMinutes <= 30 && task.importance >= 3) {
-            roi += 10;
-        }
+        const overlay = document.getElementById('focusOverlay');
+        overlay.classList.remove('active', 'on-break');
 
-        return roi;
+        this.updateDashboardStatus();
     }
 
     /**
-     * Step 4: Determine final classification based on ROI and context
+     * Pause the focus timer
      */
-    classifyTask(task, userContext) {
-        // Already classified by heuristics
-        if (['T1', 'T4', 'T5'].includes(task.classification)) {
-            return task.classification;
-        }
-
-        // T2 LEVERAGE: High ROI, important but not urgent (classic Q2)
-        if (task.roiScore >= 60 && task.importance >= 4 && task.urgency <= 3) {
-            task.reason = 'LEVERAGE: High-impact strategic work - protect this time';
-            return 'T2';
-        }
-
-        // T1 CRITICAL: High ROI + urgent
-        if (task.roiScore >= 70 && task.urgency >= 4) {
-            task.reason = 'CRITICAL: High priority with urgency - do now';
-            return 'T1';
-        }
-
-        // T3 INTERRUPTION: Urgent but low importance
-        if (task.urgency >= 4 && task.importance <= 2) {
-            task.reason = 'INTERRUPTION: Urgent but low value - delegate or defer';
-            return 'T3';
-        }
-
-        // T2 LEVERAGE: Default for high ROI tasks
-        if (task.roiScore >= 50) {
-            task.reason = 'LEVERAGE: Good ROI - schedule intentionally';
-            return 'T2';
-        }
-
-        // T3 INTERRUPTION: Default for medium ROI tasks
-        if (task.roiScore >= 30) {
-            task.reason = 'INTERRUPTION: Moderate value - fit in around priorities';
-            return 'T3';
-        }
-
-        // T4 DISTRACTION: Low ROI
-        task.reason = 'DISTRACTION: Low ROI - consider deletion';
-        return 'T4';
+    pause() {
+        if (!this.active || this.paused) return;
+
+        const now = Date.now();
+        this.credit(now);
+        this.remainingSeconds = Math.max(0, Math.ceil((this.phaseEndsAt - now) / 1000));
+        this.phaseEndsAt = null;
+        this.paused = true;
+        this.pauses.push({ start: new Date(now).toISOString(), end: null });
+        this.stretchSeconds = 0;
+        this.syncAway(now);
+        this.stopTimer();
+        this.updateFocusUI();
+        this.changed();
     }
 
     /**
-     * Get the recommended action (single highest-ROI task)
+     * Resume the focus timer, or start a phase that is waiting
      */
-    getRecommendedAction(tasks, userContext) {
-        const triaged = this.triageTasks(tasks, userContext);
-        
-        // Filter tasks that fit in available time and energy
-        const fitTasks = triaged.filter(task => {
-            // Time budget: don't recommend tasks >80% of available time
-            if (task.estimatedMinutes > userContext.availableMinutes * 0.8) {
-                return false;
-            }
-
-            // Energy fit: skip tasks that require more energy than available
-            const taskEnergyReq = task.importance >= 4 ? 5 : 3;
-            if (taskEnergyReq > userContext.energyLevel + 1) {
-                return false;
-            }
-
-            // Exclude T4 and T5 from recommendations
-            if (task.classification === 'T4' || task.classification === 'T5') {
-                return false;
-            }
-
-            return true;
-        });
-
-        if (fitTasks.length === 0) {
-            return {
-                task: null,
-                why: "No tasks fit your current time/energy constraints. Great job clearing your queue!"
-            };
-        }
-
-        const topTask = fitTasks[0];
-        
-        let why = "";
-        switch (topTask.classification) {
-            case 'T1':
-                why = `CRITICAL: Has ${topTask.urgency}/5 urgency and directly impacts your goals. Clear everything else.`;
-                break;
-            case 'T2':
-                why = `LEVERAGE: High ROI (${topTask.roiScore}) strategic work. This is what moves the needle.`;
-                break;
-            case 'T3':
-                why = `INTERRUPTION: Needs attention but don't let it derail your important work.`;
-                break;
-            default:
-                why = `Recommended based on ROI score of ${topTask.roiScore}.`;
-        }
-
-        return {
-            task: topTask,
-            why: why
-        };
+    resume() {
+        if (!this.active || !this.paused) return;
+
+        const now = Date.now();
+        this.phaseEndsAt = now + this.remainingSeconds * 1000;
+        this.lastTick = now;
+        this.paused = false;
+        this.endPause(now);
+        this.syncAway(now);
+        this.startTimer();
+        this.updateFocusUI();
+        this.changed();
     }
-}
-
-// ============================================================================
-// FOCUS MODE MANAGER
-// ============================================================================
 
-class FocusModeManager {
-    constructor() {
-        this.active = false;
-        this.currentTask = null;
-        this.timerInterval = null;
-        this.remainingSeconds = 25 * 60; // Default 25 minutes
-        this.elapsedSeconds = 0;
+    togglePause() {
+        if (this.paused) this.resume();
+        else this.pause();
     }
 
     /**
-     * Enter Focus Mode with the specified task
-     * Locks all UI elements except the task card
+     * Add time to the current phase
      */
-    enter(task) {
-        if (!task) {
-            console.error('Cannot enter focus mode without a task');
-            return;
-        }
-
-        this.active = true;
-        this.currentTask = task;
-        
-        // Set timer based on task estimate (cap at 60 min)
-        const minutes = Math.min(60, Math.max(25, Math.round(task.estimatedMinutes / 10) * 10));
-        this.remainingSeconds = minutes * 60;
-        this.elapsedSeconds = 0;
+    extend(minutes = this.EXTEND_MINUTES) {
+        if (!this.active) return;
 
-        // Show focus overlay
-        const overlay = document.getElementById('focusOverlay');
-        overlay.classList.add('active');
-
-        // Update focus UI
+        this.phaseSeconds += minutes * 60;
+        this.remainingSeconds += minutes * 60;
+        if (!this.paused) this.phaseEndsAt += minutes * 60 * 1000;
         this.updateFocusUI();
-
-        // Start timer
-        this.startTimer();
-
-        // Update dashboard status
-        this.updateDashboardStatus();
+        this.changed();
     }
 
     /**
-     * Exit Focus Mode
+     * End a break early and start the next work block
      */
-    exit() {
-        this.active = false;
-        this.stopTimer();
+    skipBreak() {
+        if (!this.active || this.phase === 'work') return;
 
-        const overlay = document.getElementById('focusOverlay');
-        overlay.classList.remove('active');
+        const now = Date.now();
+        this.endPause(now);
+        this.beginPhase('work', now, true);
+        this.startTimer();
+        this.updateFocusUI();
+        this.changed();
+    }
 
-        this.updateDashboardStatus();
+    /**
+     * Start the countdown timer
+     */
+    startTimer() {
+        this.stopTimer(); // Clear any existing timer
+        this.timerInterval = setInterval(() => this.tick(), 1000);
     }
 
     /**
-     * Pause the focus timer
+     * Stop the countdown timer
      */
-    pause() {
+    stopTimer() {
         if (this.timerInterval) {
             clearInterval(this.timerInterval);
             this.timerInterval = null;
@@ -529,39 +472,94 @@ class FocusModeManager {
     }
 
     /**
-     * Resume the focus timer
+     * Advance the clock. Works from timestamps rather than counting
+     * ticks, so throttled background tabs and reloads stay accurate.
      */
-    resume() {
-        this.startTimer();
+    tick(now = Date.now(), autoStart = this.settings.autoStartNext) {
+        if (!this.active || this.paused) return;
+
+        while (!this.paused && now >= this.phaseEndsAt) {
+            this.credit(this.phaseEndsAt);
+            this.finishPhase(this.phaseEndsAt, autoStart);
+        }
+        if (!this.paused) {
+            this.credit(now);
+            this.remainingSeconds = Math.ceil((this.phaseEndsAt - now) / 1000);
+        }
+
+        this.updateTimerDisplay();
+        this.updateProgressDisplay();
     }
 
     /**
-     * Start the countdown timer
+     * Count time up to `until` toward the session if we're working
      */
-    startTimer() {
-        this.stopTimer(); // Clear any existing timer
-
-        this.timerInterval = setInterval(() => {
-            if (this.remainingSeconds > 0) {
-                this.remainingSeconds--;
-                this.elapsedSeconds++;
-                this.updateTimerDisplay();
-                this.updateProgressDisplay();
-            } else {
-                this.pause();
-                this.notifyFocusComplete();
+    credit(until) {
+        const seconds = Math.max(0, until - this.lastTick) / 1000;
+        if (this.phase === 'work') {
+            this.elapsedSeconds += seconds;
+            if (this.awaySince === null) {
+                this.deepSeconds += seconds;
+                this.stretchSeconds += seconds;
+                this.longestStretchSeconds = Math.max(this.longestStretchSeconds, this.stretchSeconds);
             }
-        }, 1000);
+        }
+        this.lastTick = until;
+    }
+
+    endPause(now) {
+        const pause = this.pauses.find(p => !p.end);
+        if (pause) pause.end = new Date(now).toISOString();
     }
 
     /**
-     * Stop the countdown timer
+     * Move from the phase that ended at `at` to the next one: a break
+     * after work (long every N blocks), work after a break
      */
-    stopTimer() {
-        if (this.timerInterval) {
-            clearInterval(this.timerInterval);
-            this.timerInterval = null;
+    finishPhase(at, autoStart) {
+        const finished = this.phase;
+        let next = 'work';
+        if (finished === 'work') {
+            this.cycle++;
+            next = this.cycle % this.settings.longBreakEvery === 0 ? 'longBreak' : 'shortBreak';
+        }
+
+        this.beginPhase(next, autoStart ? at : Date.now(), autoStart);
+        if (!autoStart) {
+            this.pauses.push({ start: new Date(at).toISOString(), end: null });
+            this.stopTimer();
+        }
+
+        this.updateFocusUI();
+        if (this.hooks.onPhaseEnd) this.hooks.onPhaseEnd(finished, next);
+        this.changed();
+    }
+
+    beginPhase(phase, at, running) {
+        this.phase = phase;
+        this.phaseSeconds = this.getPhaseMinutes(phase) * 60;
+        this.remainingSeconds = this.phaseSeconds;
+        this.paused = !running;
+        this.phaseEndsAt = running ? at + this.phaseSeconds * 1000 : null;
+        this.lastTick = at;
+        this.stretchSeconds = 0; // A break ends the stretch
+        this.syncAway(at);
+    }
+
+    getPhaseMinutes(phase) {
+        if (phase === 'shortBreak') return this.settings.shortBreakMinutes;
+        if (phase === 'longBreak') return this.settings.longBreakMinutes;
+
+        if (this.settings.fitToEstimate && this.currentTask) {
+            const task = this.currentTask;
+            const left = (task.calibratedMinutes || task.estimatedMinutes) - (task.actualMinutes || 0) - this.elapsedSeconds / 60;
+            if (left > 0) return Math.min(this.settings.workMinutes, Math.max(5, Math.ceil(left / 5) * 5));
         }
+        return this.settings.workMinutes;
+    }
+
+    changed() {
+        if (this.hooks.onChange) this.hooks.onChange(this.getState());
     }
 
     /**
@@ -576,7 +574,7 @@ class FocusModeManager {
         if (timerEl) timerEl.textContent = display;
 
         // Update document title
-        document.title = `${display} - Solo Chief Focus`;
+        document.title = `${display} - Solo Chief ${this.phase === 'work' ? 'Focus' : 'Break'}`;
     }
 
     /**
@@ -585,8 +583,7 @@ class FocusModeManager {
     updateProgressDisplay() {
         if (!this.currentTask) return;
 
-        const totalTime = this.remainingSeconds + this.elapsedSeconds;
-        const progress = (this.elapsedSeconds / totalTime) * 100;
+        const progress = ((this.phaseSeconds - this.remainingSeconds) / this.phaseSeconds) * 100;
 
         const progressFill = document.getElementById('focusProgressFill');
         if (progressFill) progressFill.style.width = `${progress}%`;
@@ -602,6 +599,31 @@ class FocusModeManager {
         if (titleEl) titleEl.textContent = this.currentTask.title;
         if (whyEl) whyEl.textContent = this.currentTask.reason || this.currentTask.why;
 
+        const onBreak = this.phase !== 'work';
+        const waiting = this.paused && this.remainingSeconds === this.phaseSeconds;
+        const labelEl = document.getElementById('focusLabel');
+        if (labelEl) labelEl.textContent = `${this.PHASE_LABELS[this.phase]}${this.paused && !waiting ? ' · Paused' : ''}`;
+
+        // One dot per block until the long break
+        const cycleEl = document.getElementById('focusCycle');
+        if (cycleEl) {
+            const every = this.settings.longBreakEvery;
+            const done = this.phase === 'longBreak' ? every : this.cycle % every;
+            cycleEl.textContent = '●'.repeat(done) + '○'.repeat(every - done);
+            cycleEl.title = `${this.cycle} focus block${this.cycle === 1 ? '' : 's'} done this session`;
+        }
+
+        const pauseBtn = document.getElementById('focusPauseBtn');
+        if (pauseBtn) {
+            pauseBtn.textContent = !this.paused ? '⏸ Pause'
+                : waiting ? `▶ Start ${onBreak ? 'break' : 'focus'}` : '▶ Resume';
+        }
+        const skipBtn = document.getElementById('focusSkipBtn');
+        if (skipBtn) skipBtn.hidden = !onBreak;
+
+        const overlay = document.getElementById('focusOverlay');
+        if (overlay) overlay.classList.toggle('on-break', onBreak);
+
         this.updateTimerDisplay();
         this.updateProgressDisplay();
     }
@@ -627,44 +649,499 @@ class FocusModeManager {
             text.textContent = 'Ready';
         }
     }
-
-    /**
-     * Notify when focus session is complete
-     */
-    notifyFocusComplete() {
-        alert(`✨ Focus session complete!\n\nYou worked on: ${this.currentTask.title}\n\nTime to take a break before your next focus block.`);
-    }
 }
 
 // ============================================================================
-// DASHBOARD CONTROLLER
+// NOTIFICATIONS
 // ============================================================================
 
-class DashboardController {
+/**
+ * Opt-in desktop notifications and chimes. A system notification is
+ * only shown while the page is hidden (the in-page toast covers the
+ * rest); sounds play either way. Quiet hours silence both.
+ */
+class NotificationManager {
     constructor() {
-        this.tasks = [];
-        this.userContext = new UserContext();
-        this.triageEngine = new StrategicTriageEngine();
-        this.focusManager = new FocusModeManager();
-        this.currentFilter = 'all';
-        
-        this.loadSampleData();
-        this.init();
+        this.DEFAULT_SETTINGS = {
+            enabled: false,
+            sound: true,
+            focusEvents: true,
+            promotions: true,
+            reminderMinutes: [1440, 60], // Lead times before a deadline
+            quietHours: null // { start: 'HH:MM', end: 'HH:MM' }, may cross midnight
+        };
+        // Which setting gates each kind, and its chime in Hz
+        this.KINDS = {
+            focusStart: { setting: 'focusEvents', notes: [523, 659, 784] },
+            focusEnd: { setting: 'focusEvents', notes: [784, 659, 523] },
+            breakEnd: { setting: 'focusEvents', notes: [659, 784] },
+            reminder: { setting: null, notes: [880, 880] },
+            promotion: { setting: 'promotions', notes: [988, 784, 988] },
+            test: { setting: null, notes: [523, 784] }
+        };
+        this.audio = null;
     }
 
-    /**
-     * Initialize dashboard
-     */
-    init() {
-        this.renderTasks();
-        this.updateOneThing();
-        this.updateStats();
-        this.loadFromLocalStorage();
+    isSupported() {
+        return typeof Notification !== 'undefined';
     }
 
-    /**
-     * Load sample data for demonstration
-     */
+    getPermission() {
+        return this.isSupported() ? Notification.permission : 'unsupported';
+    }
+
+    async requestPermission() {
+        if (!this.isSupported() || Notification.permission !== 'default') return this.getPermission();
+        return Notification.requestPermission();
+    }
+
+    isQuiet(settings, now = new Date()) {
+        const quiet = settings.quietHours;
+        if (!quiet) return false;
+
+        const time = toLocalDateTime(now).slice(11);
+        return quiet.start <= quiet.end
+            ? time >= quiet.start && time < quiet.end
+            : time >= quiet.start || time < quiet.end;
+    }
+
+    /**
+     * Notify about an event of `kind` (see KINDS). Returns true when
+     * anything was shown or played.
+     */
+    notify(settings, { kind, title, body = '', tag }, now = new Date()) {
+        settings = { ...this.DEFAULT_SETTINGS, ...settings };
+        const type = this.KINDS[kind];
+        if (!settings.enabled || !type || (type.setting && !settings[type.setting])) return false;
+        if (kind !== 'test' && this.isQuiet(settings, now)) return false;
+
+        if (settings.sound) this.playChime(type.notes);
+        if (this.getPermission() === 'granted' && (document.hidden || kind === 'test')) {
+            try {
+                const notification = new Notification(title, { body, tag });
+                notification.onclick = () => {
+                    window.focus();
+                    notification.close();
+                };
+            } catch (e) {
+                console.error('Failed to show notification:', e);
+            }
+        }
+        return true;
+    }
+
+    playChime(notes) {
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContext) return;
+
+        try {
+            this.audio = this.audio || new AudioContext();
+            notes.forEach((frequency, index) => {
+                const start = this.audio.currentTime + index * 0.18;
+                const oscillator = this.audio.createOscillator();
+                const gain = this.audio.createGain();
+                oscillator.frequency.value = frequency;
+                gain.gain.setValueAtTime(0.0001, start);
+                gain.gain.exponentialRampToValueAtTime(0.2, start + 0.02);
+                gain.gain.exponentialRampToValueAtTime(0.0001, start + 0.16);
+                oscillator.connect(gain).connect(this.audio.destination);
+                oscillator.start(start);
+                oscillator.stop(start + 0.17);
+            });
+        } catch (e) {
+            console.error('Failed to play chime:', e);
+        }
+    }
+
+    /**
+     * Deadline reminders that are due and haven't been sent. When
+     * several lead times have passed only the nearest one is returned;
+     * `keys` lists all of them, to mark in `sent` once it is delivered.
+     */
+    getDueReminders(tasks, settings, sent, now = new Date()) {
+        const leads = (settings.reminderMinutes || []).slice().sort((a, b) => a - b);
+        const due = [];
+
+        for (const task of tasks) {
+            if (task.completed || !task.deadline) continue;
+            const deadline = new Date(task.deadline);
+            if (isNaN(deadline) || deadline <= now) continue;
+
+            const passed = leads.filter(minutes => deadline - minutes * 60 * 1000 <= now);
+            const unsent = passed.filter(minutes => !sent[this.reminderKey(task, minutes)]);
+            if (unsent.length === 0) continue;
+
+            const keys = passed.map(minutes => this.reminderKey(task, minutes));
+            due.push({ task, minutes: unsent[0], minutesLeft: Math.round((deadline - now) / 60000), keys });
+        }
+        return due;
+    }
+
+    reminderKey(task, minutes) {
+        return `${task.id}|${task.deadline}|${minutes}`;
+    }
+
+    /**
+     * Forget reminders for tasks that are done, gone or rescheduled
+     */
+    pruneSent(tasks, sent) {
+        const live = new Set(tasks.filter(task => !task.completed && task.deadline).map(task => `${task.id}|${task.deadline}`));
+        return Object.fromEntries(Object.entries(sent || {})
+            .filter(([key]) => live.has(key.slice(0, key.lastIndexOf('|')))));
+    }
+
+    /**
+     * "1d, 2h, 30m" -> [1440, 120, 30]; throws on anything else
+     */
+    parseLeadTimes(text) {
+        const units = { d: 1440, h: 60, m: 1 };
+        return text.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+            const match = part.match(/^(\d+)\s*([dhm])$/i);
+            if (!match || Number(match[1]) === 0) throw new Error(`"${part}" isn't a lead time like 1d, 2h or 30m.`);
+            return Number(match[1]) * units[match[2].toLowerCase()];
+        });
+    }
+
+    formatLeadTime(minutes) {
+        if (minutes % 1440 === 0) return `${minutes / 1440}d`;
+        if (minutes % 60 === 0) return `${minutes / 60}h`;
+        return `${minutes}m`;
+    }
+}
+
+// ============================================================================
+// COMMAND PALETTE
+// ============================================================================
+
+/**
+ * Ctrl/Cmd+K launcher with fuzzy search. Items are
+ * { label, hint, keywords, icon, always, run }; `run` may return a new
+ * list of items to drill into (e.g. a task's actions).
+ */
+class CommandPalette {
+    constructor(getItems) {
+        this.MAX_RESULTS = 12;
+        this.getItems = getItems; // query -> items
+        this.stack = null; // Items drilled into, or null for getItems
+        this.results = [];
+        this.activeIndex = 0;
+    }
+
+    isOpen() {
+        return document.getElementById('paletteOverlay').classList.contains('active');
+    }
+
+    open(items = null, placeholder = 'Type a command or search tasks…') {
+        this.stack = items;
+        const input = document.getElementById('paletteInput');
+        input.value = '';
+        input.placeholder = placeholder;
+        document.getElementById('paletteOverlay').classList.add('active');
+        this.update();
+        input.focus();
+    }
+
+    close() {
+        document.getElementById('paletteOverlay').classList.remove('active');
+        this.stack = null;
+    }
+
+    /**
+     * Re-filter for the current query
+     */
+    update() {
+        const query = document.getElementById('paletteInput').value.trim();
+        const items = this.stack || this.getItems(query);
+
+        const matched = [];
+        for (const item of items) {
+            if (item.always) continue;
+            const match = this.match(query, `${item.label} ${item.keywords || ''}`);
+            if (match) matched.push({ item, ...match });
+        }
+        matched.sort((a, b) => b.score - a.score);
+
+        this.results = [
+            ...matched.slice(0, this.MAX_RESULTS),
+            ...items.filter(item => item.always).map(item => ({ item, score: 0, positions: [] }))
+        ];
+        this.activeIndex = 0;
+        this.render();
+    }
+
+    /**
+     * Fuzzy match: every query character must appear in order.
+     * Consecutive runs and word starts score higher; spaces are
+     * ignored. Returns { score, positions } or null.
+     */
+    match(query, text) {
+        const haystack = text.toLowerCase();
+        const needle = query.toLowerCase().replace(/\s+/g, '');
+        if (!needle) return { score: 0, positions: [] };
+
+        const positions = [];
+        let score = haystack.includes(query.toLowerCase()) ? 10 : 0;
+        let from = 0;
+        let streak = 0;
+        for (const char of needle) {
+            const index = haystack.indexOf(char, from);
+            if (index === -1) return null;
+
+            const wordStart = index === 0 || /[\s\-_/#:“(]/.test(haystack[index - 1]);
+            streak = positions.length && index === from ? streak + 1 : 0;
+            score += 1 + streak * 2 + (wordStart ? 3 : 0);
+            positions.push(index);
+            from = index + 1;
+        }
+        return { score: score - positions[0] * 0.1, positions };
+    }
+
+    render() {
+        const list = document.getElementById('paletteList');
+        if (this.results.length === 0) {
+            list.innerHTML = '<div class="palette-empty">No matching tasks or commands</div>';
+            return;
+        }
+
+        list.innerHTML = this.results.map(({ item, positions }, index) => `
+            <div class="palette-item ${index === this.activeIndex ? 'active' : ''}" role="option"
+                onmousemove="dashboard.palette.setActive(${index})" onclick="dashboard.palette.run(${index})">
+                <span class="palette-icon">${item.icon || '›'}</span>
+                <span class="palette-label">${this.highlight(item.label, positions)}</span>
+                ${item.hint ? `<span class="palette-hint">${escapeHtml(item.hint)}</span>` : ''}
+            </div>
+        `).join('');
+    }
+
+    highlight(label, positions) {
+        const marked = new Set(positions);
+        // Positions are UTF-16 indexes, so split the same way
+        return label.split('').map((char, index) => (marked.has(index) ? `<mark>${escapeHtml(char)}</mark>` : escapeHtml(char))).join('');
+    }
+
+    setActive(index) {
+        if (index === this.activeIndex) return;
+        this.activeIndex = index;
+        this.render();
+    }
+
+    run(index = this.activeIndex) {
+        const result = this.results[index];
+        if (!result) return;
+
+        const next = result.item.run();
+        if (Array.isArray(next)) this.open(next, result.item.label);
+        else this.close();
+    }
+
+    /**
+     * Keys while the palette input has focus
+     */
+    handleKey(event) {
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+            const step = event.key === 'ArrowDown' ? 1 : -1;
+            this.activeIndex = (this.activeIndex + step + this.results.length) % Math.max(1, this.results.length);
+            this.render();
+            document.querySelector('.palette-item.active')?.scrollIntoView({ block: 'nearest' });
+        } else if (event.key === 'Enter') {
+            event.preventDefault();
+            this.run();
+        } else if (event.key === 'Escape') {
+            event.preventDefault();
+            event.stopPropagation();
+            // Back out of a task's actions before closing
+            if (this.stack) this.open();
+            else this.close();
+        }
+    }
+}
+
+// ============================================================================
+// UTILITIES
+// ============================================================================
+
+/**
+ * Escape user-entered text for safe use inside innerHTML templates
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// ============================================================================
+// DASHBOARD CONTROLLER
+// ============================================================================
+
+class DashboardController {
+    constructor() {
+        this.tasks = [];
+        this.userContext = new UserContext();
+        this.triageEngine = new StrategicTriageEngine();
+        this.focusManager = new FocusModeManager({
+            onChange: state => this.saveFocusState(state),
+            onPhaseEnd: (finished, next) => this.notifyPhaseEnd(finished, next)
+        });
+        this.goalManager = this.triageEngine.goalManager;
+        this.dayPlanner = new DayPlanner();
+        this.recurrenceManager = new RecurrenceManager();
+        this.dependencyManager = this.triageEngine.dependencyManager;
+        this.tagManager = this.triageEngine.tagManager;
+        this.clarificationManager = this.triageEngine.clarificationManager;
+        this.quickAddParser = new QuickAddParser();
+        this.dataPorter = new DataPorter();
+        this.calendarManager = new CalendarManager();
+        this.storage = new StorageManager();
+        this.history = new HistoryManager();
+        this.focusLog = new FocusLog();
+        this.notifier = new NotificationManager();
+        this.dayBoundary = new DayBoundaryManager(this.history);
+        this.weeklyReview = new WeeklyReview(this.dayBoundary);
+        this.whatIf = new WhatIfPreview(this.triageEngine);
+        this.preview = null; // Active what-if preview: { at, energyLevel, result }
+        this.toastTimer = null;
+        this.historyOpen = false; // Re-render the history view after undo/redo
+        this.storageError = null; // Set when saved data exists but can't be read; saving stays off
+        this.pendingImport = null; // Parsed CSV rows waiting for a column mapping
+        this.RULE_RANGE_FIELDS = ['importance', 'urgency', 'estimatedMinutes', 'deadlineHours', 'rolloverCount', 'seriesCompletionRate'];
+        this.currentFilter = 'all';
+        this.tagFilter = null; // Only show tasks with this tag, on top of the tab filter
+        this.expandedBreakdowns = new Set(); // Task ids with "why this score" open
+        this.oneThingBreakdownOpen = false;
+        this.palette = new CommandPalette(query => this.getPaletteItems(query));
+        this.selectedTaskId = null; // Task the single-key shortcuts act on
+        // Shown by the shortcut help; handleShortcut does the work
+        this.SHORTCUTS = [
+            { keys: ['Ctrl+K', '⌘K'], label: 'Command palette: search tasks and commands' },
+            { keys: ['j', '↓'], label: 'Select next task' },
+            { keys: ['k', '↑'], label: 'Select previous task' },
+            { keys: ['f', 'Enter'], label: 'Focus on the selected task' },
+            { keys: ['c'], label: 'Complete the selected task' },
+            { keys: ['r'], label: 'Roll the selected task over to tomorrow' },
+            { keys: ['d', 'Delete'], label: 'Delete the selected task' },
+            { keys: ['w'], label: 'Why this score? for the selected task' },
+            { keys: ['p'], label: 'Override, pin or exclude the selected task' },
+            { keys: ['e'], label: 'Edit tags and notes of the selected task' },
+            { keys: ['n', '/'], label: 'New task' },
+            { keys: ['1', '2', '3', '4'], label: 'Filter: All, Critical, Leverage, Today' },
+            { keys: ['Ctrl+Z', 'Ctrl+Shift+Z'], label: 'Undo, redo' },
+            { keys: ['Space'], label: 'Pause or resume the focus timer' },
+            { keys: ['?'], label: 'This list' },
+            { keys: ['Esc'], label: 'Close a dialog or the palette, or leave the what-if preview' }
+        ];
+        
+        this.init();
+    }
+
+    /**
+     * Initialize dashboard: load saved data (sample data only on a true
+     * first run), then triage and render
+     */
+    async init() {
+        let saved = null;
+        try {
+            saved = await this.storage.load();
+        } catch (e) {
+            console.error('Failed to load saved data:', e);
+            this.storageError = e;
+        }
+
+        if (saved) {
+            this.tasks = saved.tasks;
+            this.userContext = saved.userContext;
+            this.userContext.goals = this.goalManager.normalizeGoals(this.userContext.goals);
+        } else if (!this.storageError) {
+            this.loadSampleData();
+        }
+
+        // Loaded tasks carry no tier; triage first so a day that ended while
+        // the app was closed snapshots its open queue, then again for the rollovers
+        this.goalManager.recalculateProgress(this.userContext, this.tasks);
+        this.triageEngine.triageTasks(this.tasks, this.userContext);
+        if (this.dayBoundary.advance(this.tasks, this.userContext).crossed) {
+            this.triageEngine.triageTasks(this.tasks, this.userContext);
+        }
+        this.renderTasks();
+        this.updateOneThing();
+        this.updateStats();
+        this.renderGoals();
+        this.restoreFocusSession();
+
+        if (this.storageError) {
+            this.openModal('⚠️ Couldn\'t load your data', `
+                <p class="form-error">${escapeHtml(this.storageError.message)}</p>
+                <p class="sidebar-hint">Your saved data was left untouched and saving is off for this session so nothing overwrites it. Replace it with a backup from 💾 Data, or reload to try again.</p>
+            `);
+        }
+
+        document.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') {
+                const layered = document.getElementById('modalOverlay').classList.contains('active') || this.palette.isOpen();
+                this.closeModal();
+                this.palette.close();
+                if (!layered && this.preview && !this.focusManager.active) this.exitWhatIf();
+            }
+
+            // Leave text fields their own undo
+            const typing = event.target.closest && event.target.closest('input, textarea, select, [contenteditable="true"]');
+            const key = event.key.toLowerCase();
+            if ((event.ctrlKey || event.metaKey) && key === 'k' && !this.focusManager.active) {
+                event.preventDefault();
+                if (this.palette.isOpen()) this.palette.close();
+                else this.openCommandPalette();
+                return;
+            }
+            if (!typing && (event.ctrlKey || event.metaKey) && (key === 'z' || key === 'y')) {
+                event.preventDefault();
+                if (key === 'y' || event.shiftKey) this.redo();
+                else this.undo();
+            }
+            // Space pauses the focus timer, unless a button would take it
+            const modalOpen = document.getElementById('modalOverlay').classList.contains('active');
+            if (!typing && key === ' ' && this.focusManager.active && !modalOpen && !event.target.closest?.('button')) {
+                event.preventDefault();
+                this.focusManager.togglePause();
+            }
+            if (!typing && !modalOpen && !this.palette.isOpen() && !this.focusManager.active &&
+                !event.ctrlKey && !event.metaKey && !event.altKey) {
+                this.handleShortcut(event);
+            }
+        });
+
+        // Keep the One Thing in step with the day plan's blocks, and
+        // close out the day at midnight if the app stays open
+        setInterval(() => {
+            this.checkFocusTimeout();
+            this.checkDayBoundary();
+            this.checkSchedule();
+            this.updateOneThing();
+        }, 60 * 1000);
+        document.addEventListener('visibilitychange', () => {
+            this.focusManager.setHidden(document.hidden);
+            if (!document.hidden) this.checkDayBoundary();
+        });
+    }
+
+    /**
+     * Roll over to a new day if the date changed since the last check
+     */
+    checkDayBoundary() {
+        const { crossed, rolled } = this.dayBoundary.advance(this.tasks, this.userContext);
+        if (!crossed) return;
+
+        this.refresh();
+        if (rolled.length) {
+            this.showToast(`New day: rolled ${rolled.length} unfinished task${rolled.length === 1 ? '' : 's'} to today`);
+        }
+    }
+
+    /**
+     * Load sample data for demonstration
+     */
     loadSampleData() {
         this.tasks = [
             new Task(1, 'Finalize Q1 pricing proposal for Enterprise client', 45, 5, 4, new Date(Date.now() + 24*60*60*1000).toISOString().slice(0, 16), ['client', 'revenue'], '$50K deal at risk'),
@@ -677,14 +1154,15 @@ class DashboardController {
             new Task(8, 'Organize desktop files', 30, 1, 1, null, ['admin']),
         ];
 
-        // Run initial triage
-        this.triageEngine.triageTasks(this.tasks, this.userContext);
+        this.goalManager.linkTask(this.tasks[0], 'goal-mrr', 4);
+        this.goalManager.linkTask(this.tasks[4], 'goal-mvp', 5);
     }
 
     /**
      * Add a new task
      */
-    addTask(title, time, importance, urgency, deadline) {
+    addTask(title, time, importance, urgency, deadline, tags = [], notes = '') {
+        const before = this.history.snapshot(this.tasks, this.userContext);
         const id = Date.now();
         const task = new Task(
             id,
@@ -693,41 +1171,119 @@ class DashboardController {
             parseInt(importance),
             parseInt(urgency),
             deadline,
-            [],
-            ''
+            tags,
+            notes
         );
 
         this.tasks.push(task);
-        this.saveToLocalStorage();
         
         // Re-run triage
         this.triageEngine.triageTasks(this.tasks, this.userContext);
+        this.logAction('add', task, before);
+        this.saveData();
         
         this.renderTasks();
         this.updateOneThing();
         this.updateStats();
     }
 
+    /**
+     * Read the add-task form: quick-add syntax in the title wins,
+     * the separate inputs fill whatever the title didn't specify
+     */
+    readAddForm() {
+        const parsed = this.quickAddParser.parse(document.getElementById('taskTitle').value);
+
+        return {
+            title: parsed.title,
+            estimatedMinutes: parsed.estimatedMinutes || parseInt(document.getElementById('taskTime').value) || 30,
+            importance: parsed.importance || parseInt(document.getElementById('taskImportance').value),
+            urgency: parsed.urgency || parseInt(document.getElementById('taskUrgency').value),
+            deadline: parsed.deadline || document.getElementById('taskDeadline').value || null,
+            tags: [...new Set([...parsed.tags, ...this.tagManager.parse(document.getElementById('taskTags')?.value)])],
+            notes: parsed.notes,
+            parsed
+        };
+    }
+
+    /**
+     * Show what the quick-add line will create, including its tier
+     */
+    previewQuickAdd() {
+        const container = document.getElementById('quickAddPreview');
+        if (!container) return;
+
+        const fields = this.readAddForm();
+        const parsed = fields.parsed;
+        const recognized = parsed.estimatedMinutes || parsed.importance || parsed.urgency ||
+            parsed.deadline || fields.tags.length || parsed.notes;
+
+        if (!fields.title || !recognized) {
+            container.innerHTML = '';
+            return;
+        }
+
+        // Triage a throwaway copy so the preview matches what Add will produce
+        const preview = new Task(0, fields.title, fields.estimatedMinutes, fields.importance, fields.urgency,
+            fields.deadline, fields.tags, fields.notes);
+        this.triageEngine.triageTasks([preview], this.userContext);
+        const tierClass = (preview.classification || 'T5').toLowerCase();
+
+        const chips = [
+            parsed.estimatedMinutes ? `⏱ ${this.formatMinutes(parsed.estimatedMinutes)}` : '',
+            parsed.importance ? `⭐ ${parsed.importance}/5` : '',
+            parsed.urgency ? `🔥 ${parsed.urgency}/5` : '',
+            parsed.deadline ? `📅 ${new Date(parsed.deadline).toLocaleString([], { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}` : '',
+            ...fields.tags.map(tag => `#${tag}`),
+            parsed.notes ? `📝 ${parsed.notes}` : ''
+        ].filter(Boolean);
+
+        container.innerHTML = `
+            <span class="task-tier tier-${tierClass}">${this.getTierName(preview.classification)}</span>
+            <strong>${escapeHtml(fields.title)}</strong>
+            ${chips.map(chip => `<span class="quick-add-chip">${escapeHtml(chip)}</span>`).join('')}
+        `;
+    }
+
     /**
      * Complete a task
      */
     completeTask(taskId) {
         const task = this.tasks.find(t => t.id === taskId);
         if (task) {
+            const before = this.history.snapshot(this.tasks, this.userContext);
+            const scored = { classification: task.classification, roiScore: task.roiScore }; // As triaged when completed
+            this.recordChoice(task, 'complete');
             task.completed = true;
-            this.userContext.completedToday++;
+            task.completedTier = task.classification;
+
+            // Recurring tasks roll straight into their next occurrence
+            if (task.recurrence) {
+                this.recurrenceManager.recordOccurrence(this.userContext, task, 'completed');
+                const next = this.recurrenceManager.createNextOccurrence(task);
+                if (next) this.tasks.push(next);
+            }
+
+            // A split task is done when all of its subtasks are
+            const parent = this.tasks.find(t => t.id === task.parentId);
+            if (parent && this.clarificationManager.getChildren(parent, this.tasks).every(child => child.completed)) {
+                parent.completed = true;
+            }
+
+            this.goalManager.recalculateProgress(this.userContext, this.tasks);
+            this.triageEngine.triageTasks(this.tasks, this.userContext);
             
             // Update focus time if in focus mode
             if (this.focusManager.active && this.focusManager.currentTask?.id === taskId) {
-                const focusMinutes = this.focusManager.elapsedSeconds / 60;
-                this.userContext.focusTimeMinutes += focusMinutes;
-                this.focusManager.exit();
+                this.endFocusSession('completed');
             }
 
-            this.saveToLocalStorage();
+            this.logAction('complete', { ...task, ...scored }, before);
+            this.saveData();
             this.renderTasks();
             this.updateOneThing();
             this.updateStats();
+            this.renderGoals();
         }
     }
 
@@ -735,12 +1291,20 @@ class DashboardController {
      * Delete a task
      */
     deleteTask(taskId) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) return;
+
+        const before = this.history.snapshot(this.tasks, this.userContext);
         this.tasks = this.tasks.filter(t => t.id !== taskId);
-        this.userContext.distractionsBlocked++;
-        this.saveToLocalStorage();
+        this.dependencyManager.removeTaskReferences(this.tasks, taskId);
+        this.goalManager.recalculateProgress(this.userContext, this.tasks);
+        this.triageEngine.triageTasks(this.tasks, this.userContext);
+        this.logAction('delete', task, before);
+        this.saveData();
         this.renderTasks();
         this.updateOneThing();
         this.updateStats();
+        this.renderGoals();
     }
 
     /**
@@ -749,15 +1313,15 @@ class DashboardController {
     rolloverTask(taskId) {
         const task = this.tasks.find(t => t.id === taskId);
         if (task) {
-            task.rolloverCount++;
+            const before = this.history.snapshot(this.tasks, this.userContext);
             
             // Move deadline to tomorrow
             const tomorrow = new Date();
             tomorrow.setDate(tomorrow.getDate() + 1);
-            tomorrow.setHours(9, 0, 0, 0);
-            task.deadline = tomorrow.toISOString().slice(0, 16);
+            this.dayBoundary.rollTask(task, tomorrow);
 
-            this.saveToLocalStorage();
+            this.logAction('rollover', task, before, `#${task.rolloverCount}`);
+            this.saveData();
             this.renderTasks();
             this.updateOneThing();
         }
@@ -769,7 +1333,184 @@ class DashboardController {
     enterFocusMode(taskId) {
         const task = this.tasks.find(t => t.id === taskId);
         if (task) {
-            this.focusManager.enter(task);
+            this.recordChoice(task, 'focus');
+            this.focusManager.enter(task, this.userContext.focusSettings);
+            this.notify('focusStart', `🔒 Focus: ${task.title}`, `${this.formatMinutes(this.focusManager.remainingSeconds / 60)} block started`);
+        }
+    }
+
+    /**
+     * Resume the focus session that was running when the page closed
+     */
+    restoreFocusSession() {
+        const state = this.userContext.focusState;
+        if (!state) return;
+
+        const task = this.tasks.find(t => t.id === state.taskId && !t.completed);
+        if (task) {
+            this.focusManager.restore(state, task, this.userContext.focusSettings);
+            this.checkFocusTimeout();
+        } else {
+            this.userContext.focusState = null;
+            this.saveData();
+        }
+    }
+
+    /**
+     * End a session that has sat paused past the idle timeout
+     */
+    checkFocusTimeout() {
+        if (!this.focusManager.isTimedOut()) return;
+
+        const title = this.focusManager.currentTask.title;
+        this.endFocusSession('timedOut');
+        document.title = 'Solo Chief - Dashboard';
+        this.refresh();
+        this.showToast(`Focus session on “${title}” timed out after ${this.focusManager.IDLE_TIMEOUT_MINUTES} idle minutes`);
+    }
+
+    /**
+     * Minute-by-minute checks that matter even when the page isn't
+     * looked at: tasks drifting into T1 as deadlines near, and
+     * deadline reminders
+     */
+    checkSchedule(now = new Date()) {
+        const tiers = new Map(this.tasks.map(task => [task.id, task.classification]));
+        this.triageEngine.triageTasks(this.tasks, this.userContext);
+
+        const changed = this.tasks.filter(task => !task.completed && task.classification !== tiers.get(task.id));
+        if (changed.length) {
+            this.updateWhatIf();
+            this.renderTasks();
+            this.updateStats();
+        }
+
+        const settings = this.userContext.notificationSettings;
+        for (const task of changed.filter(t => t.classification === 'T1' && tiers.get(t.id))) {
+            this.notify('promotion', `🚨 Now Critical: ${task.title}`, task.reason || 'Promoted to T1 Critical');
+        }
+
+        // Reminders wait out quiet hours and only count as sent once delivered
+        const sent = this.notifier.pruneSent(this.tasks, this.userContext.remindersSent);
+        const quiet = this.notifier.isQuiet(settings, now);
+        const due = settings.enabled && !quiet ? this.notifier.getDueReminders(this.tasks, settings, sent, now) : [];
+        let delivered = 0;
+        for (const { task, minutesLeft, keys } of due) {
+            const message = `Due in ${this.formatMinutes(minutesLeft)}`;
+            if (!this.notify('reminder', `⏰ ${task.title}`, message)) continue;
+            for (const key of keys) sent[key] = now.toISOString();
+            delivered++;
+            this.showToast(`⏰ “${task.title}” is due in ${this.formatMinutes(minutesLeft)}`);
+        }
+        if (delivered || Object.keys(sent).length !== Object.keys(this.userContext.remindersSent || {}).length) {
+            this.userContext.remindersSent = sent;
+            this.saveData();
+        }
+    }
+
+    notify(kind, title, body, tag = kind) {
+        return this.notifier.notify(this.userContext.notificationSettings, { kind, title, body, tag });
+    }
+
+    /**
+     * Notification opt-in, reminder lead times and quiet hours
+     */
+    openNotificationSettings(message = '') {
+        const notifier = this.notifier;
+        const settings = { ...notifier.DEFAULT_SETTINGS, ...this.userContext.notificationSettings };
+        const quiet = settings.quietHours || { start: '22:00', end: '07:00' };
+        const permission = {
+            granted: 'Desktop notifications are allowed.',
+            denied: 'Desktop notifications are blocked in your browser settings; sounds and in-page toasts still work.',
+            default: 'Your browser will ask for permission when you save.',
+            unsupported: 'This browser doesn\'t support desktop notifications; sounds and in-page toasts still work.'
+        }[notifier.getPermission()];
+
+        this.openModal('🔔 Alerts', `
+            <form class="rule-form" onsubmit="dashboard.saveNotificationSettings(event)">
+                <fieldset>
+                    <legend>Notify me</legend>
+                    <label>Turn on notifications and sounds <input type="checkbox" id="notifyEnabled" ${settings.enabled ? 'checked' : ''}></label>
+                    <label>Play sounds <input type="checkbox" id="notifySound" ${settings.sound ? 'checked' : ''}></label>
+                    <label>Focus blocks and breaks start or end <input type="checkbox" id="notifyFocus" ${settings.focusEvents ? 'checked' : ''}></label>
+                    <label>A task becomes Critical <input type="checkbox" id="notifyPromotions" ${settings.promotions ? 'checked' : ''}></label>
+                    <label>Before deadlines <input type="text" id="notifyLeadTimes" value="${settings.reminderMinutes.map(m => notifier.formatLeadTime(m)).join(', ')}" placeholder="1d, 1h"></label>
+                </fieldset>
+                <fieldset>
+                    <legend>Quiet hours</legend>
+                    <label>Silence alerts overnight <input type="checkbox" id="quietEnabled" ${settings.quietHours ? 'checked' : ''}></label>
+                    <label>From <input type="time" id="quietStart" value="${quiet.start}"> to <input type="time" id="quietEnd" value="${quiet.end}"></label>
+                </fieldset>
+                <p class="sidebar-hint">${permission}</p>
+                <p class="form-error" id="notifyError">${escapeHtml(message)}</p>
+                <div class="modal-form">
+                    <button type="submit">Save</button>
+                    <button type="button" class="secondary" onclick="dashboard.testNotification()">Send a test</button>
+                </div>
+            </form>
+        `);
+    }
+
+    async saveNotificationSettings(event) {
+        event.preventDefault();
+        const errors = [];
+        let reminderMinutes = [];
+        try {
+            reminderMinutes = this.notifier.parseLeadTimes(document.getElementById('notifyLeadTimes').value);
+        } catch (e) {
+            errors.push(e.message);
+        }
+
+        const quietStart = document.getElementById('quietStart').value;
+        const quietEnd = document.getElementById('quietEnd').value;
+        const quietEnabled = document.getElementById('quietEnabled').checked;
+        if (quietEnabled && (!quietStart || !quietEnd || quietStart === quietEnd)) {
+            errors.push('Quiet hours need a start and a different end time.');
+        }
+        if (errors.length) {
+            document.getElementById('notifyError').textContent = errors.join(' ');
+            return;
+        }
+
+        const enabled = document.getElementById('notifyEnabled').checked;
+        this.userContext.notificationSettings = {
+            enabled,
+            sound: document.getElementById('notifySound').checked,
+            focusEvents: document.getElementById('notifyFocus').checked,
+            promotions: document.getElementById('notifyPromotions').checked,
+            reminderMinutes: [...new Set(reminderMinutes)].sort((a, b) => b - a),
+            quietHours: quietEnabled ? { start: quietStart, end: quietEnd } : null
+        };
+        this.saveData();
+
+        if (enabled) await this.notifier.requestPermission();
+        this.closeModal();
+        this.showToast(enabled ? '🔔 Alerts on' : '🔕 Alerts off');
+    }
+
+    async testNotification() {
+        await this.notifier.requestPermission();
+        const settings = { ...this.userContext.notificationSettings, enabled: true };
+        this.notifier.notify(settings, { kind: 'test', title: '🔔 Solo Chief', body: 'Notifications are working.', tag: 'test' });
+    }
+
+    saveFocusState(state) {
+        this.userContext.focusState = state;
+        this.saveData();
+    }
+
+    notifyPhaseEnd(finished, next) {
+        const settings = this.focusManager.settings;
+        const started = settings.autoStartNext ? 'started' : 'ready when you are';
+        if (finished === 'work') {
+            const minutes = next === 'longBreak' ? settings.longBreakMinutes : settings.shortBreakMinutes;
+            const message = `${minutes}-minute ${next === 'longBreak' ? 'long ' : ''}break ${started}.`;
+            this.showToast(`✨ Focus block done. ${message}`);
+            this.notify('focusEnd', '✨ Focus block done', message);
+        } else {
+            const message = `Next focus block ${started}.`;
+            this.showToast(`Break's over. ${message}`);
+            this.notify('breakEnd', '☕ Break\'s over', message);
         }
     }
 
@@ -777,8 +1518,92 @@ class DashboardController {
      * Exit focus mode
      */
     exitFocusMode() {
-        this.focusManager.exit();
+        this.endFocusSession('abandoned');
         document.title = 'Solo Chief - Dashboard';
+        this.refresh();
+    }
+
+    /**
+     * Credit the running focus session to its task (for estimate
+     * calibration) and to today's focus time, log it with its outcome
+     * (completed, abandoned or timedOut), then leave focus mode
+     */
+    endFocusSession(outcome) {
+        const manager = this.focusManager;
+        if (!manager.active || !manager.currentTask) return;
+
+        manager.tick();
+        const minutes = manager.elapsedSeconds / 60;
+        const task = this.tasks.find(t => t.id === manager.currentTask.id);
+        if (task) task.actualMinutes = (task.actualMinutes || 0) + minutes;
+        this.userContext.focusTimeMinutes += minutes;
+
+        if (minutes > 0) {
+            this.userContext.focusSessions = this.userContext.focusSessions || [];
+            this.userContext.focusSessions.push(manager.buildSession(outcome));
+        }
+        manager.exit();
+        this.userContext.focusState = null;
+    }
+
+    /**
+     * Pomodoro lengths; changes apply from the next phase
+     */
+    openFocusSettings() {
+        const settings = { ...this.focusManager.DEFAULT_SETTINGS, ...this.userContext.focusSettings };
+
+        this.openModal('⏱ Focus Timer', `
+            <form class="rule-form" onsubmit="dashboard.saveFocusSettings(event)">
+                <fieldset>
+                    <legend>Lengths (minutes)</legend>
+                    <label>Focus block <input type="number" id="focusWorkMinutes" min="5" max="180" value="${settings.workMinutes}"></label>
+                    <label>Short break <input type="number" id="focusShortBreak" min="1" max="60" value="${settings.shortBreakMinutes}"></label>
+                    <label>Long break <input type="number" id="focusLongBreak" min="1" max="90" value="${settings.longBreakMinutes}"></label>
+                    <label>Long break after every <input type="number" id="focusLongBreakEvery" min="2" max="12" value="${settings.longBreakEvery}"> blocks</label>
+                </fieldset>
+                <fieldset>
+                    <legend>Behaviour</legend>
+                    <label>Shorten blocks to fit the task's estimate <input type="checkbox" id="focusFitToEstimate" ${settings.fitToEstimate ? 'checked' : ''}></label>
+                    <label>Start the next break or block automatically <input type="checkbox" id="focusAutoStart" ${settings.autoStartNext ? 'checked' : ''}></label>
+                </fieldset>
+                <p class="form-error" id="focusSettingsError"></p>
+                <div class="modal-form">
+                    <button type="submit">Save</button>
+                </div>
+            </form>
+        `);
+    }
+
+    saveFocusSettings(event) {
+        event.preventDefault();
+        const errors = [];
+        const number = (id, label, min, max) => {
+            const value = Number(document.getElementById(id).value);
+            if (!Number.isInteger(value) || value < min || value > max) errors.push(`${label} must be a whole number from ${min} to ${max}.`);
+            return value;
+        };
+
+        const settings = {
+            workMinutes: number('focusWorkMinutes', 'Focus block', 5, 180),
+            shortBreakMinutes: number('focusShortBreak', 'Short break', 1, 60),
+            longBreakMinutes: number('focusLongBreak', 'Long break', 1, 90),
+            longBreakEvery: number('focusLongBreakEvery', 'Blocks per long break', 2, 12),
+            fitToEstimate: document.getElementById('focusFitToEstimate').checked,
+            autoStartNext: document.getElementById('focusAutoStart').checked
+        };
+        if (errors.length) {
+            document.getElementById('focusSettingsError').textContent = errors.join(' ');
+            return;
+        }
+
+        this.userContext.focusSettings = settings;
+        if (this.focusManager.active) {
+            this.focusManager.settings = { ...this.focusManager.DEFAULT_SETTINGS, ...settings };
+            this.focusManager.updateFocusUI();
+        }
+        this.saveData();
+        this.closeModal();
+        this.showToast('Focus timer settings saved');
     }
 
     /**
@@ -789,26 +1614,29 @@ class DashboardController {
         const taskCount = document.getElementById('taskCount');
 
         // Filter tasks
-        let filteredTasks = this.tasks.filter(t => !t.completed);
+        let filteredTasks = this.getShownTasks().filter(t => !t.completed);
         
         if (this.currentFilter === 'critical') {
             filteredTasks = filteredTasks.filter(t => t.classification === 'T1');
         } else if (this.currentFilter === 'leverage') {
             filteredTasks = filteredTasks.filter(t => t.classification === 'T2');
         } else if (this.currentFilter === 'today') {
-            const today = new Date();
-            today.setHours(0, 0, 0, 0);
+            const today = this.getNow();
             filteredTasks = filteredTasks.filter(t => {
                 if (!t.deadline) return false;
                 const deadline = new Date(t.deadline);
                 return deadline.toDateString() === today.toDateString();
             });
         }
+        if (this.tagFilter) {
+            filteredTasks = filteredTasks.filter(t => t.tags.some(tag => tag.toLowerCase() === this.tagFilter));
+        }
 
-        // Sort by ROI score
-        filteredTasks.sort((a, b) => b.roiScore - a.roiScore);
+        // Pinned first, then by ROI score
+        filteredTasks.sort((a, b) => this.triageEngine.compareTasks(a, b));
 
         taskCount.textContent = `${filteredTasks.length} tasks`;
+        this.renderTagFilterChip();
 
         if (filteredTasks.length === 0) {
             taskList.innerHTML = `
@@ -820,90 +1648,2469 @@ class DashboardController {
             return;
         }
 
-        taskList.innerHTML = filteredTasks.map(task => this.renderTaskItem(task)).join('');
+        const criticalPaths = new Map(); // Shared by every card in this render
+        taskList.innerHTML = filteredTasks.map(task => this.renderTaskItem(task, criticalPaths)).join('');
+        this.renderSelection();
     }
 
+    // ------------------------------------------------------------------------
+    // Keyboard
+    // ------------------------------------------------------------------------
+
     /**
-     * Render a single task item
+     * Single-key shortcuts on the task list; see SHORTCUTS
      */
-    renderTaskItem(task) {
-        const tierClass = task.classification?.toLowerCase() || 't5';
-        const tierName = this.getTierName(task.classification);
+    handleShortcut(event) {
+        const task = this.getSelectedTask();
+        const onTask = action => {
+            if (!task) return this.moveSelection(1);
+            const index = this.getVisibleTaskIds().indexOf(String(task.id));
+            action(task);
+
+            // Keep the selection in place when the task leaves the list
+            const ids = this.getVisibleTaskIds();
+            if (!ids.includes(String(task.id)) && ids.length) this.selectTask(ids[Math.min(index, ids.length - 1)]);
+        };
+        const change = action => this.unlessPreviewing(() => onTask(action));
+        const actions = {
+            j: () => this.moveSelection(1),
+            ArrowDown: () => this.moveSelection(1),
+            k: () => this.moveSelection(-1),
+            ArrowUp: () => this.moveSelection(-1),
+            f: change(t => this.enterFocusMode(t.id)),
+            Enter: change(t => this.enterFocusMode(t.id)),
+            c: change(t => this.completeTask(t.id)),
+            r: change(t => this.rolloverTask(t.id)),
+            d: change(t => this.deleteTask(t.id)),
+            Delete: change(t => this.deleteTask(t.id)),
+            w: () => onTask(t => this.toggleBreakdown(t.id)),
+            p: change(t => this.openOverride(t.id)),
+            e: change(t => this.openTaskDetails(t.id)),
+            n: () => document.getElementById('taskTitle').focus(),
+            '/': () => document.getElementById('taskTitle').focus(),
+            1: () => this.filterTasks('all'),
+            2: () => this.filterTasks('critical'),
+            3: () => this.filterTasks('leverage'),
+            4: () => this.filterTasks('today'),
+            '?': () => this.openShortcutHelp()
+        };
 
-        return `
-            <div class="task-item ${tierClass}" data-id="${task.id}">
-                <div class="task-header">
-                    <div class="task-title">${task.title}</div>
-                    <span class="task-tier tier-${tierClass}">${tierName}</span>
-                </div>
-                <div class="task-meta">
-                    <span>⏱ ${task.estimatedMinutes}m</span>
-                    <span>⭐ ${task.importance}/5</span>
-                    <span>🔥 ${task.urgency}/5</span>
+        const action = actions[event.key];
+        if (!action) return;
+        // Enter on a focused button is a click, not a shortcut
+        if (event.key === 'Enter' && event.target.closest?.('button, a')) return;
+        event.preventDefault();
+        action();
+    }
+
+    /**
+     * Ids of the rendered task cards, top to bottom
+     */
+    getVisibleTaskIds() {
+        return [...document.querySelectorAll('#taskList [data-id]')].map(item => item.dataset.id);
+    }
+
+    getSelectedTask() {
+        if (this.selectedTaskId === null || !this.getVisibleTaskIds().includes(String(this.selectedTaskId))) return null;
+        return this.tasks.find(t => String(t.id) === String(this.selectedTaskId)) || null;
+    }
+
+    moveSelection(step) {
+        const ids = this.getVisibleTaskIds();
+        if (ids.length === 0) return;
+
+        const index = ids.indexOf(String(this.selectedTaskId));
+        const next = index === -1 ? (step > 0 ? 0 : ids.length - 1) : Math.min(ids.length - 1, Math.max(0, index + step));
+        this.selectTask(ids[next]);
+    }
+
+    selectTask(taskId) {
+        const task = this.tasks.find(t => String(t.id) === String(taskId));
+        this.selectedTaskId = task ? task.id : null;
+        this.renderSelection();
+        document.querySelector('#taskList .task-item.selected')?.scrollIntoView({ block: 'nearest' });
+    }
+
+    /**
+     * Mark the selected card after the list re-renders
+     */
+    renderSelection() {
+        const items = [...document.querySelectorAll('#taskList [data-id]')];
+        items.forEach(item => item.classList.toggle('selected', item.dataset.id === String(this.selectedTaskId)));
+    }
+
+    /**
+     * Ctrl/Cmd+K: commands plus every open task
+     */
+    openCommandPalette() {
+        this.closeModal();
+        this.palette.open();
+    }
+
+    getPaletteItems(query) {
+        const command = (icon, label, run, keywords = '', hint = '') => ({ icon, label, run, keywords, hint });
+        const items = [
+            command('➕', 'New task', () => document.getElementById('taskTitle').focus(), 'add create', 'n'),
+            command('📅', 'Plan my day', () => this.openDayPlanner(), 'day planner schedule'),
+            this.preview
+                ? command('🔮', 'Leave what-if preview', () => this.exitWhatIf(), 'time travel exit', 'Esc')
+                : command('🔮', 'What if… preview triage at another time', () => this.openWhatIf(), 'time travel future energy'),
+            command('↶', 'Undo', () => this.undo(), '', 'Ctrl+Z'),
+            command('↷', 'Redo', () => this.redo(), '', 'Ctrl+Shift+Z'),
+            ...[
+                ['all', 'All'], ['critical', 'Critical'], ['leverage', 'Leverage'], ['today', 'Today']
+            ].map(([filter, name], index) => command('🔎', `Filter: ${name}`, () => this.filterTasks(filter), 'show switch view', String(index + 1))),
+            ...[1, 2, 3, 4, 5].map(level => command('⚡', `Set energy: ${level}/5`, () => setEnergy(level), 'energy level', level === this.userContext.energyLevel ? 'current' : '')),
+            command('💾', 'Export backup (JSON)', () => this.exportData('json'), 'download save'),
+            command('💾', 'Export tasks (CSV)', () => this.exportData('csv'), 'download spreadsheet'),
+            command('📆', 'Export calendar (.ics)', () => this.exportData('ics'), 'download ical'),
+            command('📈', 'Weekly review', () => this.openWeeklyReview(), 'report'),
+            command('🕘', 'History', () => this.openHistory(), 'log undo'),
+            command('🧠', 'Focus log', () => this.openFocusLog(), 'sessions interruptions'),
+            command('🎯', 'Manage goals', () => this.openGoalsManager(), 'goals'),
+            command('⚙', 'Edit rules', () => this.openRulesEditor(), 'heuristics settings'),
+            command('⚖', 'Scoring profiles', () => this.openScoringProfiles(), 'weights thresholds preset compare'),
+            command('🏷', 'Tags: colors and roles', () => this.openTagManager(), 'labels revenue learning recurring'),
+            ...this.tagManager.countTags(this.tasks)
+                .filter(({ count }) => count > 0)
+                .map(({ tag, count }) => command('🏷', `Filter: #${tag}`, () => this.setTagFilter(tag), 'tag show', `${count}`)),
+            ...(this.tagFilter ? [command('🏷', `Clear tag filter #${this.tagFilter}`, () => this.setTagFilter(null), 'tag show all')] : []),
+            command('⏱', 'Focus timer settings', () => this.openFocusSettings(), 'pomodoro break'),
+            command('🔔', 'Alerts', () => this.openNotificationSettings(), 'notifications reminders quiet hours'),
+            command('💾', 'Import or export data', () => this.openDataManager(), 'backup restore csv'),
+            command('⌨', 'Keyboard shortcuts', () => this.openShortcutHelp(), 'help keys', '?')
+        ];
+
+        const open = this.tasks.filter(t => !t.completed).sort((a, b) => b.roiScore - a.roiScore);
+        for (const task of open) {
+            items.push({
+                icon: '▢',
+                label: task.title,
+                keywords: (task.tags || []).map(tag => `#${tag}`).join(' '),
+                hint: `${this.getTierName(task.classification)} · ROI ${task.roiScore}`,
+                run: () => {
+                    this.selectTask(task.id);
+                    return this.getTaskPaletteItems(task);
+                }
+            });
+        }
+
+        if (query) {
+            items.push({ icon: '➕', label: `Add task “${query}”`, hint: 'Quick-add syntax works', always: true, run: () => this.addTaskFromText(query) });
+        }
+        return items;
+    }
+
+    getTaskPaletteItems(task) {
+        const action = (icon, label, run, hint) => ({ icon, label, hint, run });
+        const change = (icon, label, run, hint) => action(icon, label, this.unlessPreviewing(run), hint);
+        return [
+            change('🔒', 'Focus', () => this.enterFocusMode(task.id), 'f'),
+            change('✓', 'Complete', () => this.completeTask(task.id), 'c'),
+            change('↪', 'Roll over to tomorrow', () => this.rolloverTask(task.id), 'r'),
+            action('ⓘ', 'Why this score?', () => this.toggleBreakdown(task.id), 'w'),
+            change('🎯', 'Link to goals', () => this.openGoalLinks(task.id)),
+            change('⛓', 'Dependencies', () => this.openDependencies(task.id)),
+            change('🔁', 'Repeat', () => this.openRecurrence(task.id)),
+            change('📌', 'Override tier, pin or exclude', () => this.openOverride(task.id), 'p'),
+            change('✎', 'Edit tags and notes', () => this.openTaskDetails(task.id), 'e'),
+            change('🗑', 'Delete', () => this.deleteTask(task.id), 'd')
+        ];
+    }
+
+    /**
+     * The preview shows copies; actions that change tasks wait until it's closed
+     */
+    unlessPreviewing(action) {
+        return () => {
+            if (this.preview) return this.showToast('Leave the what-if preview (Esc) to change tasks');
+            return action();
+        };
+    }
+
+    /**
+     * Add a task from a quick-add line, with the add form's defaults
+     */
+    addTaskFromText(text) {
+        const input = document.getElementById('taskTitle');
+        const draft = input.value;
+        input.value = text;
+        const fields = this.readAddForm();
+        input.value = draft;
+
+        if (fields.title) {
+            this.addTask(fields.title, fields.estimatedMinutes, fields.importance, fields.urgency,
+                fields.deadline, fields.tags, fields.notes);
+        }
+    }
+
+    openShortcutHelp() {
+        const rows = this.SHORTCUTS.map(shortcut => `
+            <div class="plan-row">
+                <span class="shortcut-keys">${shortcut.keys.map(key => `<kbd>${escapeHtml(key)}</kbd>`).join(' ')}</span>
+                <span class="plan-title">${escapeHtml(shortcut.label)}</span>
+            </div>
+        `).join('');
+
+        this.openModal('⌨ Keyboard Shortcuts', `
+            <p class="sidebar-hint">Single-key shortcuts work when you're not typing in a field. Select a task with j/k, then act on it.</p>
+            <div class="plan-list">${rows}</div>
+        `);
+    }
+
+    /**
+     * Render a single task item
+     */
+    renderTaskItem(task, criticalPaths = new Map()) {
+        if (this.clarificationManager.isParent(task, this.tasks)) {
+            return this.renderParentItem(task);
+        }
+
+        const tierClass = task.classification?.toLowerCase() || 't5';
+        const tierName = this.getTierName(task.classification);
+        const blocked = this.dependencyManager.isBlocked(task, this.tasks);
+        const change = this.preview && this.preview.result.changes.find(c => c.task.id === task.id);
+
+        return `
+            <div class="task-item ${tierClass} ${blocked ? 'blocked' : ''}" data-id="${task.id}">
+                <div class="task-header">
+                    <div class="task-title">${escapeHtml(task.title)}</div>
+                    ${change ? `<span class="whatif-was" title="Tier right now">was ${this.getTierName(change.from)}</span>` : ''}
+                    <span class="task-tier tier-${tierClass}">${tierName}</span>
+                </div>
+                <div class="task-meta">
+                    <span>⏱ ${task.estimatedMinutes}m${task.calibratedMinutes && task.calibratedMinutes !== task.estimatedMinutes ? ` <span class="calibrated" title="Calibrated from your past focus time">≈${this.formatMinutes(task.calibratedMinutes)}</span>` : ''}${task.actualMinutes >= 1 ? ` · ${this.formatMinutes(Math.round(task.actualMinutes))} spent` : ''}</span>
+                    <span>⭐ ${task.importance}/5</span>
+                    <span>🔥 ${task.urgency}/5</span>
                     <span class="task-roi">ROI: ${task.roiScore}</span>
+                    ${task.recurrence ? `<span>🔁 ${escapeHtml(this.recurrenceManager.describe(task.recurrence))}</span>` : ''}
+                    ${this.renderGoalChips(task)}
+                    ${this.renderDependencyChips(task, criticalPaths)}
+                    ${this.renderClarificationChips(task)}
+                    ${this.renderOverrideChips(task)}
                 </div>
-                ${task.reason ? `<div class="task-meta" style="margin-top: 0.5rem; font-style: italic;">${task.reason}</div>` : ''}
+                ${this.renderTagChips(task)}
+                ${task.outcome ? `<div class="task-meta task-outcome">Done when: ${escapeHtml(task.outcome)}</div>` : ''}
+                ${task.notes ? `<div class="task-meta task-notes" title="Notes">📝 ${escapeHtml(task.notes)}</div>` : ''}
+                ${task.reason ? `<div class="task-meta" style="margin-top: 0.5rem; font-style: italic;">${escapeHtml(task.reason)}</div>` : ''}
                 <div class="task-actions">
+                    ${task.classification === 'T5' ? `<button class="task-action-btn clarify" onclick="dashboard.openClarify(${task.id})">✨ Clarify</button>` : ''}
                     <button class="task-action-btn focus" onclick="dashboard.enterFocusMode(${task.id})">🔒 Focus</button>
+                    <button class="task-action-btn" onclick="dashboard.openGoalLinks(${task.id})" title="Link to goals">🎯</button>
+                    <button class="task-action-btn" onclick="dashboard.openRecurrence(${task.id})" title="Repeat">🔁</button>
+                    <button class="task-action-btn" onclick="dashboard.openDependencies(${task.id})" title="Dependencies">⛓</button>
+                    <button class="task-action-btn" onclick="dashboard.openOverride(${task.id})" title="Override tier, pin or exclude">📌</button>
+                    <button class="task-action-btn" onclick="dashboard.openTaskDetails(${task.id})" title="Edit tags and notes">✎</button>
+                    <button class="task-action-btn why" onclick="dashboard.toggleBreakdown(${task.id})" title="Why this score?">ⓘ Why</button>
                     <button class="task-action-btn complete" onclick="dashboard.completeTask(${task.id})">✓</button>
                     <button class="task-action-btn delete" onclick="dashboard.deleteTask(${task.id})">🗑</button>
                 </div>
+                ${this.expandedBreakdowns.has(task.id) ? this.renderBreakdown(task) : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Render a split task: progress from its subtasks instead of a tier
+     */
+    renderParentItem(task) {
+        const children = this.clarificationManager.getChildren(task, this.tasks);
+        const done = children.filter(child => child.completed).length;
+        const progress = this.clarificationManager.getProgress(task, this.tasks);
+
+        return `
+            <div class="task-item parent" data-id="${task.id}">
+                <div class="task-header">
+                    <div class="task-title">${escapeHtml(task.title)}</div>
+                    <span class="task-tier tier-parent">Project</span>
+                </div>
+                <div class="task-meta">
+                    <span>📂 ${done}/${children.length} subtasks · ${progress}%</span>
+                    ${this.renderGoalChips(task)}
+                    ${this.renderClarificationChips(task)}
+                </div>
+                ${this.renderTagChips(task)}
+                <div class="goal-progress parent-progress"><div class="goal-progress-fill" style="width: ${progress}%"></div></div>
+                ${task.outcome ? `<div class="task-meta task-outcome">Done when: ${escapeHtml(task.outcome)}</div>` : ''}
+                <div class="task-actions">
+                    <button class="task-action-btn" onclick="dashboard.openGoalLinks(${task.id})" title="Link to goals">🎯</button>
+                    <button class="task-action-btn" onclick="dashboard.openTaskDetails(${task.id})" title="Edit tags and notes">✎</button>
+                    <button class="task-action-btn delete" onclick="dashboard.deleteTask(${task.id})">🗑</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render "was a phantom" and subtask-of chips
+     */
+    renderClarificationChips(task) {
+        const chips = [];
+        const parent = task.parentId && this.tasks.find(t => t.id === task.parentId);
+        if (parent) {
+            chips.push(`<span>↳ ${escapeHtml(parent.title)}</span>`);
+        }
+        if (task.clarification) {
+            const from = task.clarification.fromTier || 'T5';
+            const title = task.clarification.fromTitle !== task.title ? ` “${escapeHtml(task.clarification.fromTitle)}”` : '';
+            chips.push(`<span class="task-clarified" title="${escapeHtml(task.clarification.fromReason)}">✨ Clarified from ${from}${title}</span>`);
+        }
+        return chips.join('');
+    }
+
+    /**
+     * Render the "why this score" breakdown from a task's triage explanation
+     */
+    renderBreakdown(task) {
+        const explanation = task.explanation;
+        if (!explanation) return '';
+
+        // With an override, explain the engine's own tier and add the override below
+        const override = explanation.override;
+        const tier = override ? override.engine.tier : explanation.tier;
+        const tierRule = override ? override.engine.tierRule : explanation.tierRule;
+        const overrideNote = override
+            ? `<div class="breakdown-rule">📌 Your override: ${escapeHtml(this.triageEngine.overrideManager.describe(override))}${override.reason ? ` (“${escapeHtml(override.reason)}”)` : ''}</div>`
+            : '';
+
+        if (explanation.heuristic) {
+            const outcome = explanation.heuristic.forcedTier
+                ? `Forced to ${tier} with a fixed ROI of ${explanation.heuristic.roiScore}.`
+                : `ROI fixed at ${explanation.heuristic.roiScore}; ${tier} because ${escapeHtml(tierRule)}.`;
+            return `
+                <div class="score-breakdown">
+                    <div class="breakdown-rule">⚡ Heuristic rule fired: <strong>${escapeHtml(explanation.heuristic.rule)}</strong></div>
+                    <div class="breakdown-note">${outcome} Factor scoring was skipped.</div>
+                    ${overrideNote}
+                </div>
+            `;
+        }
+
+        const factorRows = explanation.factors.map(factor => `
+            <tr>
+                <td>${factor.label}</td>
+                <td>${Math.round(factor.value)}</td>
+                <td>×${factor.weight.toFixed(2)}</td>
+                <td>${factor.contribution.toFixed(1)}</td>
+            </tr>
+        `).join('');
+
+        const adjustmentRows = explanation.adjustments.map(adjustment => `
+            <tr class="breakdown-adjustment">
+                <td colspan="3">${escapeHtml(adjustment.label)}</td>
+                <td>${adjustment.points > 0 ? '+' : ''}${adjustment.points}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <div class="score-breakdown">
+                <table>
+                    <thead><tr><th>Factor</th><th>Value</th><th>Weight</th><th>Points</th></tr></thead>
+                    <tbody>
+                        ${factorRows}
+                        <tr class="breakdown-subtotal"><td colspan="3">Base ROI (rounded, 0-100)</td><td>${explanation.baseScore}</td></tr>
+                        ${adjustmentRows}
+                        <tr class="breakdown-total"><td colspan="3">Final ROI</td><td>${explanation.finalScore}</td></tr>
+                    </tbody>
+                </table>
+                <div class="breakdown-rule">${tier} because ${escapeHtml(tierRule)}${explanation.profile ? ` (${escapeHtml(explanation.profile.name)} profile${explanation.profile.learned ? ', learned weights' : ''})` : ''}</div>
+                ${overrideNote}
+            </div>
+        `;
+    }
+
+    /**
+     * Expand or collapse a task's score breakdown
+     */
+    toggleBreakdown(taskId) {
+        if (this.expandedBreakdowns.has(taskId)) {
+            this.expandedBreakdowns.delete(taskId);
+        } else {
+            this.expandedBreakdowns.add(taskId);
+        }
+        this.renderTasks();
+    }
+
+    /**
+     * Expand or collapse the One Thing score breakdown
+     */
+    toggleOneThingBreakdown() {
+        this.oneThingBreakdownOpen = !this.oneThingBreakdownOpen;
+        this.updateOneThing();
+    }
+
+    /**
+     * Render the goals a task is explicitly linked to
+     */
+    renderGoalChips(task) {
+        return this.goalManager.getActiveLinks(task, this.userContext).map(link => {
+            const goal = this.userContext.goals.find(g => g.id === link.goalId);
+            return `<span class="task-goal">🎯 ${escapeHtml(goal.description)} ×${link.weight}</span>`;
+        }).join('');
+    }
+
+    /**
+     * Render blocked-by, unblocks and critical-path chips for a task.
+     * `criticalPaths` memoizes getCriticalPath across one render.
+     */
+    renderDependencyChips(task, criticalPaths = new Map()) {
+        const chips = [];
+        const tasks = this.getShownTasks(); // Cards are the preview's copies while previewing
+        const blockers = this.dependencyManager.getOpenBlockers(task, tasks);
+        if (blockers.length > 0) {
+            chips.push(`<span class="task-blocked">⛔ Blocked by ${blockers.map(b => escapeHtml(b.title)).join(', ')}</span>`);
+        }
+
+        const dependents = this.dependencyManager.getTransitiveDependents(task, tasks);
+        if (dependents.length > 0) {
+            chips.push(`<span>⛓ Unblocks ${dependents.length}</span>`);
+        }
+
+        for (const { task: dependent, slackMinutes } of this.dependencyManager.getCriticalPathDeadlines(task, tasks, this.getNow(), criticalPaths)) {
+            const slack = slackMinutes < 0 ? `${this.formatMinutes(-slackMinutes)} behind` : `${this.formatMinutes(slackMinutes)} slack`;
+            chips.push(`<span class="task-critical-path">🔥 Critical path to “${escapeHtml(dependent.title)}” · ${slack}</span>`);
+        }
+        return chips.join('');
+    }
+
+    /**
+     * Render the manual override and what the engine would have chosen
+     */
+    renderOverrideChips(task) {
+        const override = task.explanation?.override;
+        if (!override) {
+            return task.override ? '<span class="task-override expired" title="Open 📌 to renew or clear it">📌 Override expired</span>' : '';
+        }
+
+        const chips = [`<span class="task-override" title="${escapeHtml(override.reason)}">📌 ${escapeHtml(this.triageEngine.overrideManager.describe(override))}</span>`];
+        if (override.tier) {
+            const engine = override.engine;
+            chips.push(`<span class="task-engine-tier" title="${escapeHtml(engine.reason || '')}">Engine: ${engine.tier} ${this.getTierName(engine.tier)} · ROI ${engine.roiScore}</span>`);
+        }
+        return chips.join('');
+    }
+
+    /**
+     * Colored tag chips; clicking one filters the list by it
+     */
+    renderTagChips(task) {
+        if (task.tags.length === 0) return '';
+
+        const chips = task.tags.map(tag => {
+            const lower = tag.toLowerCase();
+            const role = this.tagManager.getRole(lower, this.userContext);
+            const title = role ? `Counts as ${this.tagManager.ROLES[role].label.toLowerCase()}. Click to filter` : 'Click to filter';
+            return `<button class="task-tag ${this.tagFilter === lower ? 'active' : ''}" style="--tag-color: ${escapeHtml(this.tagManager.getColor(lower, this.userContext))}" data-tag="${escapeHtml(lower)}" onclick="dashboard.setTagFilter(this.dataset.tag)" title="${title}">#${escapeHtml(tag)}</button>`;
+        });
+        return `<div class="task-tags">${chips.join('')}</div>`;
+    }
+
+    /**
+     * 95 → "1h 35m"
+     */
+    formatMinutes(minutes) {
+        const hours = Math.floor(minutes / 60);
+        const rest = Math.round(minutes % 60);
+        return hours > 0 ? `${hours}h${rest ? ` ${rest}m` : ''}` : `${rest}m`;
+    }
+
+    /**
+     * Get tier display name
+     */
+    getTierName(tier) {
+        return this.triageEngine.TIER_NAMES[tier] || 'Unknown';
+    }
+
+    /**
+     * Update the One Thing section
+     */
+    updateOneThing() {
+        const preview = this.preview && this.preview.result;
+        const recommendation = preview
+            ? preview.preview.recommendation
+            : this.getPlanRecommendation() || this.triageEngine.getRecommendedAction(this.tasks, this.userContext);
+        const labelEl = document.getElementById('oneThingLabel');
+        labelEl.textContent = preview
+            ? `🔮 Your One Thing at ${this.formatPreviewTime(this.preview.at)}`
+            : recommendation.fromPlan ? '📅 Your Plan Right Now' : '🎯 Your One Thing Right Now';
+        const titleEl = document.getElementById('oneThingTitle');
+        const whyEl = document.getElementById('oneThingWhy');
+        const btn = document.getElementById('startFocusBtn');
+        const breakdownBtn = document.getElementById('oneThingBreakdownBtn');
+        const breakdownEl = document.getElementById('oneThingBreakdown');
+
+        if (recommendation.task) {
+            titleEl.textContent = recommendation.task.title;
+            whyEl.textContent = preview ? `${recommendation.why} ${this.describeOneThingShift(preview)}` : recommendation.why;
+            btn.disabled = !!preview;
+            btn.onclick = () => this.enterFocusMode(recommendation.task.id);
+            breakdownBtn.hidden = false;
+            breakdownBtn.textContent = this.oneThingBreakdownOpen ? 'Hide score breakdown' : 'Why this score?';
+            breakdownEl.innerHTML = this.oneThingBreakdownOpen ? this.renderBreakdown(recommendation.task) : '';
+        } else {
+            titleEl.textContent = recommendation.why.split(':')[1] || 'All tasks completed!';
+            whyEl.textContent = 'Enjoy your free time or plan your next priority.';
+            btn.disabled = true;
+            breakdownBtn.hidden = true;
+            breakdownEl.innerHTML = '';
+        }
+    }
+
+    /**
+     * The One Thing from the active day plan's current block, if any
+     */
+    getPlanRecommendation() {
+        const block = this.dayPlanner.getCurrentBlock(this.userContext.dayPlan, this.tasks);
+        if (!block) return null;
+
+        const task = this.tasks.find(t => t.id === block.taskId);
+        const start = this.dayPlanner.formatTime(new Date(block.start));
+        const end = this.dayPlanner.formatTime(new Date(block.end));
+        const protectedNote = block.protected ? ' Protected deep work: no interruptions.' : '';
+
+        return {
+            task,
+            fromPlan: true,
+            why: `Plan block ${start}–${end}.${protectedNote} ${task.reason || ''}`.trim()
+        };
+    }
+
+    /**
+     * Open the day planner: settings, meetings and the current plan
+     */
+    openDayPlanner(notice = '') {
+        const planner = this.dayPlanner;
+        const context = this.userContext;
+        const today = this.getNow().toDateString();
+        const plan = context.dayPlan && context.dayPlan.date === today ? context.dayPlan : null;
+        const hours = context.workingHours || { start: '', end: '' };
+
+        const meetingRows = (context.meetings || [])
+            .filter(meeting => new Date(meeting.start).toDateString() === today)
+            .map(meeting => `
+                <div class="plan-row meeting">
+                    <span class="plan-time">${planner.formatTime(new Date(meeting.start))}–${planner.formatTime(new Date(meeting.end))}</span>
+                    <span class="plan-title">${meeting.source === 'ics' ? '📆 ' : ''}${escapeHtml(meeting.title)}</span>
+                    <button class="task-action-btn delete" data-meeting-id="${escapeHtml(meeting.id)}" onclick="dashboard.removeMeeting(this.dataset.meetingId)">🗑</button>
+                </div>
+            `).join('');
+
+        let planHtml = '<p class="sidebar-hint">No plan yet for today. Build one to pack your available time.</p>';
+        if (plan) {
+            const blockRows = plan.blocks.map(block => {
+                const time = `${planner.formatTime(new Date(block.start))}–${planner.formatTime(new Date(block.end))}`;
+                if (block.type === 'meeting') {
+                    return `<div class="plan-row meeting"><span class="plan-time">${time}</span><span class="plan-title">📅 ${escapeHtml(block.title)}</span></div>`;
+                }
+                const task = this.tasks.find(t => t.id === block.taskId);
+                const done = !task || task.completed;
+                return `
+                    <div class="plan-row ${done ? 'done' : ''}">
+                        <span class="plan-time">${time}</span>
+                        <span class="task-tier tier-${block.tier.toLowerCase()}">${block.tier}</span>
+                        <span class="plan-title">${escapeHtml(block.title)}</span>
+                        ${block.protected ? '<span class="plan-protected" title="Protected deep work block">🛡 Protected</span>' : ''}
+                        <span class="task-roi">ROI ${block.roiScore}</span>
+                    </div>
+                `;
+            }).join('');
+
+            const unscheduledRows = plan.unscheduled.map(item => {
+                const task = this.tasks.find(t => t.id === item.taskId);
+                if (!task || task.completed) return '';
+                return `<div class="plan-row unscheduled"><span class="plan-title">${escapeHtml(task.title)}</span><span class="plan-reason">${escapeHtml(item.reason)}</span></div>`;
+            }).join('');
+
+            planHtml = `
+                <div class="plan-summary">Budget ${plan.budgetMinutes}m · Scheduled ${plan.usedMinutes}m · Total ROI ${plan.totalRoi}</div>
+                <div class="plan-list">${blockRows || '<p class="sidebar-hint">Nothing fit in the plan.</p>'}</div>
+                ${unscheduledRows ? `<h4 class="plan-heading">Didn't fit</h4><div class="plan-list">${unscheduledRows}</div>` : ''}
+            `;
+        }
+
+        this.openModal('📅 Plan My Day', `
+            <div class="plan-settings">
+                <label>Available minutes <input type="number" id="planAvailable" min="0" max="1440" value="${context.availableMinutes}" onchange="dashboard.savePlanSettings()"></label>
+                <span class="plan-reason">${this.triageEngine.getAvailableMinutes(context)}m left after meetings</span>
+                <label>Working hours
+                    <span><input type="time" id="planStart" value="${hours.start}" onchange="dashboard.savePlanSettings()"> – <input type="time" id="planEnd" value="${hours.end}" onchange="dashboard.savePlanSettings()"></span>
+                </label>
+            </div>
+            <h4 class="plan-heading">Meetings today</h4>
+            <div class="plan-list">${meetingRows || '<p class="sidebar-hint">No fixed meetings.</p>'}</div>
+            <form class="modal-form" onsubmit="dashboard.addMeeting(event)">
+                <input type="text" id="meetingTitle" placeholder="Meeting" required>
+                <input type="time" id="meetingStart" required>
+                <input type="time" id="meetingEnd" required>
+                <button type="submit">+ Add</button>
+            </form>
+            <div class="rule-form">
+                <label>Block out meetings from a calendar (.ics) <input type="file" accept=".ics,text/calendar" onchange="dashboard.importCalendar(event)"></label>
+            </div>
+            ${notice ? `<p class="sidebar-hint">${escapeHtml(notice)}</p>` : ''}
+            <div class="modal-form">
+                <button type="button" onclick="dashboard.planDay()">${plan ? '↻ Rebuild plan' : 'Build plan'}</button>
+                ${plan ? '<button type="button" class="secondary" onclick="dashboard.clearDayPlan()">Clear plan</button>' : ''}
+                <button type="button" class="secondary" onclick="dashboard.exportData('ics')">📆 Export to calendar</button>
+            </div>
+            ${planHtml}
+        `);
+    }
+
+    /**
+     * Save available minutes and working hours from the planner
+     */
+    savePlanSettings() {
+        const available = parseInt(document.getElementById('planAvailable').value);
+        const start = document.getElementById('planStart').value;
+        const end = document.getElementById('planEnd').value;
+
+        if (Number.isFinite(available) && available >= 0) {
+            this.userContext.availableMinutes = available;
+        }
+        this.userContext.workingHours = start && end && start < end ? { start, end } : null;
+        this.saveData();
+        this.updateOneThing();
+    }
+
+    /**
+     * Add a fixed meeting for today
+     */
+    addMeeting(event) {
+        event.preventDefault();
+        const title = document.getElementById('meetingTitle').value.trim();
+        const start = document.getElementById('meetingStart').value;
+        const end = document.getElementById('meetingEnd').value;
+        if (!title || !start || !end || start >= end) return;
+
+        const today = toLocalDateTime(new Date()).slice(0, 10);
+        this.userContext.meetings = this.userContext.meetings || [];
+        this.userContext.meetings.push({ id: `meeting-${Date.now()}`, title, start: `${today}T${start}`, end: `${today}T${end}` });
+        this.saveData();
+        this.openDayPlanner();
+    }
+
+    /**
+     * Remove a fixed meeting
+     */
+    removeMeeting(meetingId) {
+        this.userContext.meetings = (this.userContext.meetings || []).filter(m => m.id !== meetingId);
+        this.saveData();
+        this.openDayPlanner();
+    }
+
+    /**
+     * Import busy time from an .ics file as meetings. Events already
+     * imported (same UID) are replaced, so re-importing updates them.
+     */
+    importCalendar(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            const now = new Date();
+            const { meetings, skipped, errors } = this.calendarManager.importICS(reader.result, now);
+            if (errors.length && !meetings.length) {
+                this.openDayPlanner(`Nothing imported. ${errors.join(' ')}`);
+                return;
+            }
+
+            const uids = new Set(meetings.map(meeting => meeting.uid));
+            this.userContext.meetings = (this.userContext.meetings || [])
+                .filter(meeting => !(meeting.source === 'ics' && (uids.has(meeting.uid) || new Date(meeting.end) <= now)))
+                .concat(meetings);
+            this.saveData();
+            this.updateOneThing();
+
+            const notes = [`Imported ${meetings.length} meeting${meetings.length === 1 ? '' : 's'} for the next ${this.calendarManager.IMPORT_HORIZON_DAYS} days.`];
+            if (skipped) notes.push(`${skipped} all-day, free or cancelled event${skipped === 1 ? '' : 's'} skipped.`);
+            if (errors.length) notes.push(errors.join(' '));
+            this.openDayPlanner(notes.join(' '));
+        };
+        reader.readAsText(file);
+    }
+
+    /**
+     * Build (or rebuild) today's plan and let it drive the One Thing
+     */
+    planDay() {
+        const triaged = this.triageEngine.triageTasks(this.tasks, this.userContext);
+        this.userContext.dayPlan = this.dayPlanner.buildPlan(triaged, this.userContext);
+        this.saveData();
+        this.updateOneThing();
+        this.openDayPlanner();
+    }
+
+    /**
+     * Leave plan mode and go back to single recommendations
+     */
+    clearDayPlan() {
+        this.userContext.dayPlan = null;
+        this.saveData();
+        this.updateOneThing();
+        this.openDayPlanner();
+    }
+
+    // ------------------------------------------------------------------------
+    // What-if preview
+    // ------------------------------------------------------------------------
+
+    /**
+     * The moment the board is shown for: the what-if time while previewing
+     */
+    getNow() {
+        return this.preview ? new Date(this.preview.at) : new Date();
+    }
+
+    /**
+     * Tasks the board renders: the preview's triaged copies while previewing
+     */
+    getShownTasks() {
+        return this.preview ? this.preview.result.preview.tasks : this.tasks;
+    }
+
+    formatPreviewTime(date) {
+        return date.toLocaleString([], { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+    }
+
+    /**
+     * How the previewed One Thing compares with the current one
+     */
+    describeOneThingShift(result) {
+        if (!result.oneThingChanged) return 'Same as right now.';
+        const current = result.current.recommendation.task;
+        return current ? `Right now it's “${current.title}”.` : 'Right now nothing fits.';
+    }
+
+    /**
+     * Pick a date/time and energy level to re-triage at
+     */
+    openWhatIf(error = '') {
+        const tomorrow = new Date();
+        tomorrow.setDate(tomorrow.getDate() + 1);
+        tomorrow.setHours(9, 0, 0, 0);
+        const inDays = days => toLocalDateTime(new Date(Date.now() + days * 24 * 60 * 60 * 1000));
+
+        const at = this.preview ? this.preview.at : tomorrow;
+        const energy = this.preview ? this.preview.energyLevel : this.userContext.energyLevel;
+        const presets = [['In 2 hours', toLocalDateTime(new Date(Date.now() + 2 * 60 * 60 * 1000))], ['Tomorrow 9:00', toLocalDateTime(tomorrow)], ['In 3 days', inDays(3)], ['In a week', inDays(7)]];
+
+        this.openModal('🔮 What if…', `
+            <p class="sidebar-hint">Re-triage your tasks as if it were another time, at another energy level. The preview works on copies: nothing is changed or saved.</p>
+            <form class="rule-form" onsubmit="dashboard.startWhatIf(event)">
+                <fieldset>
+                    <legend>Preview</legend>
+                    <label>At <input type="datetime-local" id="whatIfAt" value="${toLocalDateTime(at)}" required></label>
+                    <label>Energy
+                        <select id="whatIfEnergy">
+                            ${[1, 2, 3, 4, 5].map(level => `<option value="${level}" ${level === energy ? 'selected' : ''}>⚡ ${level}/5${level === this.userContext.energyLevel ? ' (now)' : ''}</option>`).join('')}
+                        </select>
+                    </label>
+                    <div class="whatif-presets">
+                        ${presets.map(([label, value]) => `<button type="button" class="task-action-btn" onclick="document.getElementById('whatIfAt').value = '${value}'">${label}</button>`).join('')}
+                    </div>
+                </fieldset>
+                <p class="form-error" id="whatIfError">${escapeHtml(error)}</p>
+                <div class="modal-form">
+                    <button type="submit">Preview</button>
+                    ${this.preview ? '<button type="button" class="secondary" onclick="dashboard.exitWhatIf()">Leave preview</button>' : ''}
+                </div>
+            </form>
+        `);
+    }
+
+    startWhatIf(event) {
+        event.preventDefault();
+        const at = new Date(document.getElementById('whatIfAt').value);
+        if (isNaN(at)) return this.openWhatIf('Pick a date and time to preview.');
+
+        this.preview = { at, energyLevel: Number(document.getElementById('whatIfEnergy').value), result: null };
+        this.closeModal();
+        this.updateWhatIf();
+        this.renderTasks();
+        this.updateOneThing();
+        this.updateStats();
+    }
+
+    exitWhatIf() {
+        if (!this.preview) return;
+        this.preview = null;
+        this.closeModal();
+        this.updateWhatIf();
+        this.renderTasks();
+        this.updateOneThing();
+        this.updateStats();
+    }
+
+    /**
+     * Re-run the preview against the live data and render its banner:
+     * the moment, the energy level and every task that changes tier
+     */
+    updateWhatIf() {
+        const banner = document.getElementById('whatIfBanner');
+        document.body.classList.toggle('previewing', !!this.preview);
+        if (!this.preview) {
+            banner.hidden = true;
+            banner.innerHTML = '';
+            return;
+        }
+
+        const { at, energyLevel } = this.preview;
+        const result = this.whatIf.build(this.tasks, this.userContext, { at, energyLevel });
+        this.preview.result = result;
+
+        const tier = classification => `<span class="task-tier tier-${classification ? classification.toLowerCase() : 't5'}">${this.getTierName(classification)}</span>`;
+        const rows = result.changes.map(change => `
+            <div class="plan-row">
+                <span class="plan-title">${escapeHtml(change.task.title)}</span>
+                ${tier(change.from)} → ${tier(change.to)}
+                <span class="plan-reason">ROI ${change.fromScore ?? '–'} → ${change.toScore}</span>
+            </div>
+        `).join('');
+        const energyNote = energyLevel === this.userContext.energyLevel ? '' : ` · energy ${energyLevel}/5 (now ${this.userContext.energyLevel})`;
+
+        banner.hidden = false;
+        banner.innerHTML = `
+            <div class="whatif-head">
+                <strong>🔮 What if: ${this.formatPreviewTime(at)}${energyNote}</strong>
+                <button class="sidebar-link-btn" onclick="dashboard.openWhatIf()">Change</button>
+                <button class="sidebar-link-btn" onclick="dashboard.exitWhatIf()">Leave preview</button>
+            </div>
+            <p class="sidebar-hint">A preview on copies of your tasks. Nothing is changed or saved; press Esc to go back.</p>
+            <div class="plan-summary">${result.changes.length ? `${result.changes.length} task${result.changes.length === 1 ? '' : 's'} would change tier` : 'No task would change tier.'}</div>
+            ${rows ? `<div class="plan-list">${rows}</div>` : ''}
+        `;
+    }
+
+    /**
+     * Update statistics
+     */
+    updateStats() {
+        // Update stat cards
+        document.getElementById('statCompleted').textContent = this.history.countCompleted(this.userContext);
+        document.getElementById('statBlocked').textContent = this.history.countDistractionsCut(this.userContext);
+        document.getElementById('statFocusTime').textContent = `${Math.floor(this.userContext.focusTimeMinutes / 60)}h`;
+        document.getElementById('statStreak').textContent = this.dayBoundary.getStreak(this.userContext);
+        this.renderFocusQuality();
+
+        // Update triage summary
+        const triaged = this.getShownTasks().filter(t => !t.completed);
+        document.getElementById('t1Count').textContent = triaged.filter(t => t.classification === 'T1').length;
+        document.getElementById('t2Count').textContent = triaged.filter(t => t.classification === 'T2').length;
+        document.getElementById('t3Count').textContent = triaged.filter(t => t.classification === 'T3').length;
+        document.getElementById('t4Count').textContent = triaged.filter(t => t.classification === 'T4').length;
+        document.getElementById('t5Count').textContent = triaged.filter(t => t.classification === 'T5').length;
+        this.renderActiveProfile();
+
+        this.renderCalibration();
+        this.renderLearning();
+        this.renderTags();
+    }
+
+    /**
+     * Today's focus quality from the session log
+     */
+    renderFocusQuality() {
+        const container = document.getElementById('focusQuality');
+        if (!container) return;
+
+        const summary = this.focusLog.summarize(this.focusLog.getSessionsOn(this.userContext));
+        if (summary.sessions === 0) {
+            container.innerHTML = '<p class="sidebar-hint">No focus sessions yet today. Hit 🔒 Focus on a task to start one.</p>';
+            return;
+        }
+
+        const rows = [
+            ['Deep minutes', this.formatMinutes(summary.deepMinutes), `${summary.awayMinutes}m of focus time spent away from the page`],
+            ['Interruptions / session', summary.interruptionsPerSession.toFixed(1), `${summary.interruptions} across ${summary.sessions} session${summary.sessions === 1 ? '' : 's'}`],
+            ['Longest stretch', this.formatMinutes(summary.longestStretchMinutes), 'Longest run of focus without a pause or leaving the page']
+        ];
+        container.innerHTML = rows.map(([label, value, title]) => `
+            <div class="quality-row" title="${escapeHtml(title)}">
+                <span class="label">${label}</span>
+                <span class="value">${value}</span>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Recent focus sessions, newest first
+     */
+    openFocusLog() {
+        const sessions = (this.userContext.focusSessions || []).slice(-50).reverse();
+        const time = value => new Date(value).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+        const rows = sessions.map(session => {
+            const outcome = this.focusLog.OUTCOMES[this.focusLog.getOutcome(session)];
+            const interruptions = (session.interruptions || []).length;
+            const pauses = (session.pauses || []).length;
+            const details = [
+                `${this.formatMinutes(Math.round(this.focusLog.getWorkMinutes(session)))} focus`,
+                session.deepMinutes !== undefined ? `${this.formatMinutes(Math.round(session.deepMinutes))} deep` : '',
+                interruptions ? `${interruptions} interruption${interruptions === 1 ? '' : 's'} (${Math.round(this.focusLog.getAwayMinutes(session))}m away)` : '',
+                pauses ? `${pauses} pause${pauses === 1 ? '' : 's'}` : ''
+            ].filter(Boolean).join(' · ');
+            return `
+                <div class="plan-row history-row">
+                    <span class="plan-time">${new Date(session.start).toLocaleDateString([], { month: 'short', day: 'numeric' })} ${time(session.start)}–${time(session.end)}</span>
+                    <span class="history-icon" title="${outcome.label}">${outcome.icon}</span>
+                    <span class="plan-title">${escapeHtml(session.title)}</span>
+                    <span class="plan-reason">${details}</span>
+                </div>
+            `;
+        }).join('');
+
+        const week = [];
+        for (let i = 0; i < 7; i++) {
+            const day = new Date();
+            day.setDate(day.getDate() - i);
+            week.push(...this.focusLog.getSessionsOn(this.userContext, day));
+        }
+        const summary = this.focusLog.summarize(week);
+
+        this.openModal('🧠 Focus Log', `
+            <p class="plan-summary">Last 7 days: ${summary.sessions} session${summary.sessions === 1 ? '' : 's'}, ${this.formatMinutes(summary.deepMinutes)} deep, ${summary.interruptionsPerSession.toFixed(1)} interruptions per session, longest stretch ${this.formatMinutes(summary.longestStretchMinutes)}. ✓ ${summary.outcomes.completed} · ↩ ${summary.outcomes.abandoned} · ⌛ ${summary.outcomes.timedOut}</p>
+            <div class="plan-list">
+                ${rows || '<p class="sidebar-hint">No focus sessions logged yet.</p>'}
+            </div>
+        `);
+    }
+
+    /**
+     * Show estimate bias insights and the calibrated-estimates switch
+     */
+    renderCalibration() {
+        const container = document.getElementById('calibrationPanel');
+        if (!container) return;
+
+        const calibrator = this.triageEngine.calibrator;
+        const bias = calibrator.getBias(this.tasks);
+        const tierNames = Object.fromEntries(['T1', 'T2', 'T3', 'T4', 'T5'].map(tier => [tier, this.getTierName(tier)]));
+        const insights = calibrator.getInsights(bias, tierNames).slice(0, 3);
+        const overall = bias.overall.samples >= calibrator.MIN_SAMPLES
+            ? `Overall: ${bias.overall.ratio.toFixed(1)}× your estimates across ${bias.overall.samples} timed tasks.`
+            : `Complete ${calibrator.MIN_SAMPLES - bias.overall.samples} more task${calibrator.MIN_SAMPLES - bias.overall.samples === 1 ? '' : 's'} in Focus Mode to calibrate.`;
+
+        container.innerHTML = `
+            ${insights.map(text => `<div class="calibration-insight">${escapeHtml(text)}</div>`).join('')}
+            <p class="sidebar-hint">${overall}</p>
+            <label class="calibration-toggle">
+                <input type="checkbox" ${this.userContext.useCalibratedEstimates ? 'checked' : ''} onchange="dashboard.setCalibratedEstimates(this.checked)">
+                Use calibrated estimates for scoring and planning
+            </label>
+        `;
+    }
+
+    setCalibratedEstimates(enabled) {
+        this.userContext.useCalibratedEstimates = enabled;
+        this.refresh();
+    }
+
+    /**
+     * Log a focus or completion against the One Thing as shown (the plan
+     * block when a day plan is active); overrides teach the learner
+     */
+    recordChoice(task, type) {
+        const shown = this.getPlanRecommendation() || this.triageEngine.getRecommendedAction(this.tasks, this.userContext);
+        return this.triageEngine.recordChoice(this.tasks, this.userContext, task, shown.task, type);
+    }
+
+    /**
+     * What the engine has learned from followed and skipped recommendations
+     */
+    renderLearning() {
+        const container = document.getElementById('learningPanel');
+        if (!container) return;
+
+        const learner = this.triageEngine.learner;
+        const summary = learner.summarize(this.userContext);
+        const profile = this.triageEngine.getProfile(this.userContext);
+        const labels = this.triageEngine.profileManager.FACTOR_LABELS;
+        const percent = weight => `${Math.round(weight * 100)}%`;
+
+        const drift = profile.learned
+            ? Object.keys(profile.weights)
+                .filter(key => Math.round(profile.weights[key] * 100) !== Math.round(profile.baseWeights[key] * 100))
+                .map(key => `<div class="calibration-insight">${labels[key]}: ${percent(profile.baseWeights[key])} → ${percent(profile.weights[key])}</div>`)
+                .join('')
+            : '';
+        const tags = summary.tags.slice(0, 5)
+            .map(({ tag, points }) => `#${escapeHtml(tag)} ${points > 0 ? '+' : '−'}${Math.abs(points)}`)
+            .join(' · ');
+        const followRate = summary.choices
+            ? `You followed the One Thing ${summary.followed} of ${summary.choices} times (${Math.round(summary.followed / summary.choices * 100)}%).`
+            : 'Nothing recorded yet. Focusing on or completing a task is compared with the One Thing at that moment.';
+
+        container.innerHTML = `
+            <p class="sidebar-hint">${followRate}</p>
+            ${drift}
+            ${tags ? `<div class="calibration-insight">Tag bias: ${tags}</div>` : ''}
+            ${!drift && !tags && summary.overrides ? `<p class="sidebar-hint">No drift from ${escapeHtml(profile.name)} yet.</p>` : ''}
+            <label class="calibration-toggle">
+                <input type="checkbox" ${learner.isEnabled(this.userContext) ? 'checked' : ''} onchange="dashboard.setLearning(this.checked)">
+                Learn from the tasks I pick instead
+            </label>
+            ${drift || tags ? '<button class="sidebar-link-btn" onclick="dashboard.resetLearning()">Reset to profile weights</button>' : ''}
+        `;
+    }
+
+    setLearning(enabled) {
+        this.userContext.learningEnabled = enabled;
+        this.refresh();
+    }
+
+    resetLearning() {
+        if (!confirm('Forget the learned weights and tag biases? Your choice log is kept.')) return;
+        this.triageEngine.learner.reset(this.userContext);
+        this.refresh();
+        this.showToast('Scoring reset to the profile weights');
+    }
+
+    /**
+     * Recent choices: followed recommendations and overrides
+     */
+    openChoiceLog() {
+        const events = (this.userContext.choiceEvents || []).slice(-50).reverse();
+        const verb = event => (event.type === 'focus' ? 'Focused on' : 'Completed');
+        const rows = events.map(event => `
+            <div class="plan-row">
+                <span class="plan-time">${new Date(event.at).toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}</span>
+                <span class="plan-title">${event.followed
+                    ? `✓ ${verb(event)} the One Thing “${escapeHtml(event.chosenTitle)}”`
+                    : `↷ ${verb(event)} “${escapeHtml(event.chosenTitle)}” instead of “${escapeHtml(event.recommendedTitle)}”`}</span>
+            </div>
+        `).join('');
+
+        this.openModal('🧭 Choices', `
+            <p class="sidebar-hint">Each focus or completion is compared with the One Thing at that moment. Overrides shift the factor weights and tag biases a little; nothing leaves this device.</p>
+            <div class="plan-list">${rows || '<p class="sidebar-hint">No choices recorded yet.</p>'}</div>
+        `);
+    }
+
+    /**
+     * Open the weekly review; offset steps back whole weeks from today
+     */
+    openWeeklyReview(offset = 0) {
+        const end = new Date();
+        end.setDate(end.getDate() + offset * 7);
+        const review = this.weeklyReview.build(this.tasks, this.userContext, end);
+        const t = review.totals;
+        const tiers = this.weeklyReview.TIERS;
+        const dayLabel = date => this.dayBoundary.parseKey(date).toLocaleDateString([], { weekday: 'short' });
+
+        // Stacked bars: one column per day, one segment per tier
+        const tierChart = (field, title) => {
+            const max = Math.max(1, ...review.days.map(day => tiers.reduce((sum, tier) => sum + (day[field][tier] || 0), 0)));
+            return `
+                <h4 class="plan-heading">${title}</h4>
+                <div class="review-chart">
+                    ${review.days.map(day => `
+                        <div class="review-column" title="${escapeHtml(tiers.map(tier => `${tier}: ${day[field][tier] || 0}`).join(', '))}">
+                            <div class="review-bar">
+                                ${tiers.map(tier => day[field][tier] ? `<div class="review-segment tier-fill-${tier.toLowerCase()}" style="height: ${day[field][tier] / max * 100}%"></div>` : '').join('')}
+                            </div>
+                            <span class="review-label">${dayLabel(day.date)}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            `;
+        };
+
+        const maxFocus = Math.max(1, ...review.days.map(day => day.focusMinutes));
+        const focusChart = `
+            <h4 class="plan-heading">Focus minutes</h4>
+            <div class="review-chart">
+                ${review.days.map(day => `
+                    <div class="review-column" title="${day.focusMinutes}m">
+                        <div class="review-bar"><div class="review-segment focus" style="height: ${day.focusMinutes / maxFocus * 100}%"></div></div>
+                        <span class="review-label">${dayLabel(day.date)}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+
+        const splitTotal = review.highValueMinutes + review.lowValueMinutes;
+        const split = splitTotal > 0 ? `
+            <div class="review-split">
+                <div class="review-split-high" style="width: ${review.highValueShare}%"></div>
+                <div class="review-split-low" style="width: ${100 - review.highValueShare}%"></div>
+            </div>
+            <p class="sidebar-hint">${this.formatMinutes(review.highValueMinutes)} on Critical/Leverage vs ${this.formatMinutes(review.lowValueMinutes)} on Interrupt/Distract (${review.highValueShare}% high-value, from estimates of completed work)</p>
+        ` : '<p class="sidebar-hint">No completed work this week yet.</p>';
+
+        const rolloverRows = review.chronicRollovers.map(item => `
+            <div class="plan-row">
+                <span class="task-tier tier-${(item.tier || 't5').toLowerCase()}">${item.tier || '—'}</span>
+                <span class="plan-title">${escapeHtml(item.title)}</span>
+                <span class="plan-reason">⤼ ${item.rolloverCount}× total · ${item.thisWeek}× this week</span>
+            </div>
+        `).join('');
+
+        this.openModal('📈 Weekly Review', `
+            <div class="modal-form no-print">
+                <button type="button" class="secondary" onclick="dashboard.openWeeklyReview(${offset - 1})">← Previous</button>
+                <button type="button" class="secondary" onclick="dashboard.openWeeklyReview(${offset + 1})" ${offset >= 0 ? 'disabled' : ''}>Next →</button>
+                <button type="button" onclick="window.print()">🖨 Print</button>
+                <button type="button" class="secondary" onclick="dashboard.exportWeeklyReview(${offset})">⬇ Export</button>
+            </div>
+            <p class="plan-summary">${review.start} – ${review.end}</p>
+            <div class="review-totals">
+                <div><strong>${t.completed}</strong><span>completed</span></div>
+                <div><strong>${t.completedRoi}</strong><span>ROI delivered</span></div>
+                <div><strong>${this.formatMinutes(t.focusMinutes)}</strong><span>focus</span></div>
+                <div><strong>${t.deleted}</strong><span>deleted (${t.distractionsCut} distractions)</span></div>
+                <div><strong>${t.rolledOver}</strong><span>rollovers</span></div>
+            </div>
+            <h4 class="plan-heading">Time by tier</h4>
+            ${split}
+            ${tierChart('completedByTier', 'Completed per day by tier')}
+            ${focusChart}
+            ${tierChart('openByTier', 'Open queue at end of day')}
+            <h4 class="plan-heading">Chronic rollovers</h4>
+            <div class="plan-list">${rolloverRows || '<p class="sidebar-hint">Nothing keeps slipping. 👏</p>'}</div>
+        `);
+    }
+
+    /**
+     * Download the weekly review as Markdown
+     */
+    exportWeeklyReview(offset = 0) {
+        const end = new Date();
+        end.setDate(end.getDate() + offset * 7);
+        const review = this.weeklyReview.build(this.tasks, this.userContext, end);
+        this.downloadFile(`solo-chief-review-${review.end}.md`, this.weeklyReview.toMarkdown(review), 'text/markdown');
+    }
+
+    /**
+     * Edit what counts as a productive day, with the last two weeks for reference
+     */
+    openStreakSettings() {
+        const boundary = this.dayBoundary;
+        const rule = { ...boundary.DEFAULT_RULE, ...this.userContext.streakRule };
+        const byDate = new Map((this.userContext.dailyStats || []).map(stats => [stats.date, stats]));
+
+        const days = [];
+        for (let i = 13; i >= 0; i--) {
+            const day = new Date();
+            day.setDate(day.getDate() - i);
+            const stats = i === 0 ? boundary.getStatsFor(this.userContext, day) : byDate.get(boundary.dateKey(day));
+            const productive = stats && boundary.isProductive(stats, rule);
+            const label = `${day.toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' })}: ${stats ? `${stats.completed} done, ${stats.focusMinutes}m focus` : 'no data'}`;
+            days.push(`<span class="streak-day ${productive ? 'productive' : ''} ${i === 0 ? 'today' : ''}" title="${escapeHtml(label)}"></span>`);
+        }
+
+        this.openModal('🔥 Day Streak', `
+            <p class="plan-summary">${boundary.getStreak(this.userContext)} day streak</p>
+            <div class="streak-days">${days.join('')}</div>
+            <form class="rule-form" onsubmit="dashboard.saveStreakRule(event)">
+                <fieldset>
+                    <legend>A day counts when</legend>
+                    <label>Tasks completed at least <input type="number" id="streakMinCompleted" min="0" max="50" value="${rule.minCompleted}"></label>
+                    <label>Only count Critical and Leverage tasks <input type="checkbox" id="streakHighValue" ${rule.highValueOnly ? 'checked' : ''}></label>
+                    <label>Focus minutes at least <input type="number" id="streakMinFocus" min="0" max="1440" value="${rule.minFocusMinutes}"></label>
+                    <label>Weekends don't break the streak <input type="checkbox" id="streakSkipWeekends" ${rule.skipWeekends ? 'checked' : ''}></label>
+                </fieldset>
+                <div class="modal-form">
+                    <button type="submit">Save</button>
+                </div>
+            </form>
+        `);
+    }
+
+    saveStreakRule(event) {
+        event.preventDefault();
+        const number = id => Math.max(0, parseInt(document.getElementById(id).value) || 0);
+        this.userContext.streakRule = {
+            minCompleted: number('streakMinCompleted'),
+            highValueOnly: document.getElementById('streakHighValue').checked,
+            minFocusMinutes: number('streakMinFocus'),
+            skipWeekends: document.getElementById('streakSkipWeekends').checked
+        };
+        this.saveData();
+        this.updateStats();
+        this.openStreakSettings();
+    }
+
+    /**
+     * Render active goal progress in the sidebar
+     */
+    renderGoals() {
+        const container = document.getElementById('goalList');
+        if (!container) return;
+
+        const goals = this.goalManager.getActiveGoals(this.userContext);
+        if (goals.length === 0) {
+            container.innerHTML = '<p class="sidebar-hint">No active goals. Add one so triage knows what matters.</p>';
+            return;
+        }
+
+        container.innerHTML = goals.map(goal => `
+            <div class="goal-row">
+                <div class="goal-row-header">
+                    <span>${escapeHtml(goal.description)}</span>
+                    <span class="goal-percent">${goal.progress}%</span>
+                </div>
+                <div class="goal-progress"><div class="goal-progress-fill" style="width: ${goal.progress}%"></div></div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Open the shared modal with the given content
+     */
+    openModal(title, bodyHtml) {
+        document.getElementById('modalTitle').textContent = title;
+        document.getElementById('modalBody').innerHTML = bodyHtml;
+        document.getElementById('modalOverlay').classList.add('active');
+        this.historyOpen = false;
+    }
+
+    /**
+     * Close the shared modal
+     */
+    closeModal() {
+        document.getElementById('modalOverlay').classList.remove('active');
+        this.historyOpen = false;
+    }
+
+    /**
+     * Open the goals manager (create, edit, retire)
+     */
+    openGoalsManager() {
+        const rows = this.userContext.goals.map(goal => {
+            const linkedCount = this.tasks.filter(t => (t.goalLinks || []).some(l => l.goalId === goal.id)).length;
+            return `
+                <div class="goal-editor-row ${goal.retired ? 'retired' : ''}">
+                    <input type="text" id="goalDesc-${goal.id}" value="${escapeHtml(goal.description)}" onchange="dashboard.saveGoal('${goal.id}')">
+                    <input type="number" id="goalBase-${goal.id}" value="${goal.baseProgress}" min="0" max="100" title="Starting progress %" onchange="dashboard.saveGoal('${goal.id}')">
+                    <span class="goal-editor-meta">${goal.progress}% · ${linkedCount} linked</span>
+                    <button class="task-action-btn" onclick="dashboard.toggleGoalRetired('${goal.id}')">${goal.retired ? 'Restore' : 'Retire'}</button>
+                </div>
+            `;
+        }).join('');
+
+        this.openModal('🎯 Goals', `
+            <div class="goal-editor">${rows || '<p class="sidebar-hint">No goals yet.</p>'}</div>
+            <form class="modal-form" onsubmit="dashboard.createGoal(event)">
+                <input type="text" id="newGoalDesc" placeholder="New goal, e.g. Land 3 agency retainers" required>
+                <input type="number" id="newGoalBase" placeholder="Start %" min="0" max="100" value="0" title="Starting progress %">
+                <button type="submit">+ Add Goal</button>
+            </form>
+            <p class="sidebar-hint">Progress starts at the given % and fills as linked tasks are completed, weighted by link strength.</p>
+        `);
+    }
+
+    /**
+     * Create a goal from the goals manager form
+     */
+    createGoal(event) {
+        event.preventDefault();
+        const description = document.getElementById('newGoalDesc').value;
+        const baseProgress = document.getElementById('newGoalBase').value;
+        if (!description.trim()) return;
+
+        this.goalManager.createGoal(this.userContext, description, baseProgress);
+        this.refresh();
+        this.openGoalsManager();
+    }
+
+    /**
+     * Save inline edits to a goal
+     */
+    saveGoal(goalId) {
+        this.goalManager.updateGoal(this.userContext, goalId, {
+            description: document.getElementById(`goalDesc-${goalId}`).value,
+            baseProgress: document.getElementById(`goalBase-${goalId}`).value
+        });
+        this.refresh();
+        this.openGoalsManager();
+    }
+
+    /**
+     * Retire or restore a goal
+     */
+    toggleGoalRetired(goalId) {
+        const goal = this.userContext.goals.find(g => g.id === goalId);
+        if (!goal) return;
+
+        this.goalManager.setGoalRetired(this.userContext, goalId, !goal.retired);
+        this.refresh();
+        this.openGoalsManager();
+    }
+
+    /**
+     * Open the goal link editor for a task
+     */
+    openGoalLinks(taskId) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) return;
+
+        const goals = this.goalManager.getActiveGoals(this.userContext);
+        const rows = goals.map(goal => {
+            const link = task.goalLinks.find(l => l.goalId === goal.id);
+            const weight = link ? link.weight : this.goalManager.DEFAULT_LINK_WEIGHT;
+            const options = [1, 2, 3, 4, 5].map(w => `<option value="${w}" ${w === weight ? 'selected' : ''}>Weight ${w}</option>`).join('');
+            return `
+                <label class="goal-link-row">
+                    <input type="checkbox" id="goalLink-${goal.id}" ${link ? 'checked' : ''} onchange="dashboard.setTaskGoalLink(${task.id}, '${goal.id}')">
+                    <span>${escapeHtml(goal.description)}</span>
+                    <select id="goalWeight-${goal.id}" onchange="dashboard.setTaskGoalLink(${task.id}, '${goal.id}')">${options}</select>
+                </label>
+            `;
+        }).join('');
+
+        this.openModal(`Link “${task.title}” to goals`, `
+            <div class="goal-editor">${rows || '<p class="sidebar-hint">No active goals. Create one in the goals manager first.</p>'}</div>
+            <p class="sidebar-hint">Linked tasks use their strongest link for goal alignment instead of keyword guessing.</p>
+        `);
+    }
+
+    /**
+     * Apply the link checkbox/weight for one goal on a task
+     */
+    setTaskGoalLink(taskId, goalId) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) return;
+
+        const before = this.history.snapshot(this.tasks, this.userContext);
+        const checked = document.getElementById(`goalLink-${goalId}`).checked;
+        const weight = document.getElementById(`goalWeight-${goalId}`).value;
+        if (checked) {
+            this.goalManager.linkTask(task, goalId, weight);
+        } else {
+            this.goalManager.unlinkTask(task, goalId);
+        }
+        this.logAction('goalLink', task, before);
+        this.refresh();
+    }
+
+    /**
+     * Re-derive goal progress, re-triage, save and re-render everything
+     */
+    refresh() {
+        this.goalManager.recalculateProgress(this.userContext, this.tasks);
+        this.triageEngine.triageTasks(this.tasks, this.userContext);
+        this.saveData();
+        this.updateWhatIf();
+        this.renderTasks();
+        this.updateOneThing();
+        this.updateStats();
+        this.renderGoals();
+    }
+
+    /**
+     * Log a task mutation and make it undoable; `before` is the
+     * snapshot taken before the change
+     */
+    logAction(type, task, before, detail = '') {
+        const after = this.history.snapshot(this.tasks, this.userContext);
+        const entry = this.history.record(this.userContext, { type, task, detail, before, after });
+        this.showToast(this.history.describe(entry), 'undo');
+    }
+
+    /**
+     * Undo the last task action
+     */
+    undo() {
+        const step = this.history.undo(this.userContext);
+        if (!step) {
+            this.showToast('Nothing to undo');
+            return;
+        }
+        this.applySnapshot(step.snapshot);
+        this.showToast(`Undid: ${step.entry ? this.history.describe(step.entry) : 'last action'}`, 'redo');
+    }
+
+    /**
+     * Redo the last undone task action
+     */
+    redo() {
+        const step = this.history.redo(this.userContext);
+        if (!step) {
+            this.showToast('Nothing to redo');
+            return;
+        }
+        this.applySnapshot(step.snapshot);
+        this.showToast(`Redid: ${step.entry ? this.history.describe(step.entry) : 'last action'}`, 'undo');
+    }
+
+    applySnapshot(snapshot) {
+        const state = this.history.restore(snapshot);
+        this.tasks = state.tasks;
+        Object.assign(this.userContext, state.context);
+        this.refresh();
+        if (this.historyOpen) this.openHistory();
+    }
+
+    /**
+     * Brief message at the bottom of the screen, optionally with an
+     * Undo or Redo button
+     */
+    showToast(message, action = null) {
+        const toast = document.getElementById('toast');
+        if (!toast) return;
+
+        document.getElementById('toastMessage').textContent = message;
+        const button = document.getElementById('toastAction');
+        button.hidden = !action;
+        button.textContent = action === 'redo' ? 'Redo' : 'Undo';
+        button.onclick = () => (action === 'redo' ? this.redo() : this.undo());
+        toast.classList.add('active');
+
+        clearTimeout(this.toastTimer);
+        this.toastTimer = setTimeout(() => toast.classList.remove('active'), 6000);
+    }
+
+    /**
+     * Show the action log, newest first
+     */
+    openHistory() {
+        const entries = (this.userContext.actionLog || []).slice().reverse();
+        const rows = entries.map(entry => `
+            <div class="plan-row history-row ${entry.undone ? 'undone' : ''}">
+                <span class="plan-time">${new Date(entry.at).toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}</span>
+                <span class="history-icon">${this.history.icon(entry)}</span>
+                <span class="plan-title">${escapeHtml(this.history.describe(entry))}</span>
+                ${entry.undone ? '<span class="plan-reason">undone</span>' : ''}
+            </div>
+        `).join('');
+
+        this.openModal('🕘 History', `
+            <div class="modal-form">
+                <button type="button" onclick="dashboard.undo()" ${this.history.canUndo() ? '' : 'disabled'}>↶ Undo</button>
+                <button type="button" class="secondary" onclick="dashboard.redo()" ${this.history.canRedo() ? '' : 'disabled'}>↷ Redo</button>
+                <span class="sidebar-hint">Ctrl/⌘+Z to undo, Ctrl/⌘+Shift+Z to redo</span>
+            </div>
+            <div class="plan-list">${rows || '<p class="sidebar-hint">No actions yet.</p>'}</div>
+        `);
+        this.historyOpen = true;
+    }
+
+    /**
+     * Open the recurrence editor for a task
+     */
+    openRecurrence(taskId) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) return;
+
+        const manager = this.recurrenceManager;
+        const recurrence = task.recurrence || { type: '' };
+        const typeOptions = [['', 'Does not repeat'], ...Object.entries(manager.TYPES)]
+            .map(([type, label]) => `<option value="${type}" ${recurrence.type === type ? 'selected' : ''}>${label}</option>`).join('');
+
+        const history = task.seriesId ? (this.userContext.seriesHistory || {})[task.seriesId] || [] : [];
+        const rate = task.seriesId ? manager.getCompletionRate(this.userContext, task.seriesId) : null;
+        const historyRows = history.slice().reverse().map(entry => `
+            <div class="plan-row">
+                <span class="plan-time">${entry.status === 'completed' ? '✓' : '⤼'}</span>
+                <span class="plan-title">${entry.deadline ? new Date(entry.deadline).toLocaleDateString() : 'No deadline'}</span>
+                <span class="plan-reason">${entry.status} ${new Date(entry.at).toLocaleString()}</span>
+            </div>
+        `).join('');
+
+        this.openModal(`🔁 Repeat “${task.title}”`, `
+            <form class="rule-form" onsubmit="dashboard.saveRecurrence(event, ${task.id})">
+                <label>Repeat <select id="recurrenceType">${typeOptions}</select></label>
+                <label>Every N days <input type="number" id="recurrenceInterval" min="1" value="${recurrence.interval || 2}"></label>
+                <label>Day of month <input type="number" id="recurrenceDay" min="1" max="31" value="${recurrence.dayOfMonth || new Date().getDate()}"></label>
+                <label>RRULE <input type="text" id="recurrenceRRule" value="${escapeHtml(recurrence.rrule || '')}" placeholder="FREQ=WEEKLY;BYDAY=MO,TH"></label>
+                <div class="form-error" id="recurrenceErrors"></div>
+                <div class="modal-form">
+                    <button type="submit">Save</button>
+                    ${task.recurrence ? `
+                        <button type="button" class="secondary" onclick="dashboard.skipOccurrence(${task.id})">Skip this occurrence</button>
+                        <button type="button" class="secondary" onclick="dashboard.endRecurrence(${task.id})">End recurrence</button>
+                    ` : ''}
+                </div>
+            </form>
+            ${history.length ? `
+                <h4 class="plan-heading">Series history · ${rate}% completed recently</h4>
+                <div class="plan-list">${historyRows}</div>
+            ` : ''}
+        `);
+    }
+
+    /**
+     * Save the recurrence form
+     */
+    saveRecurrence(event, taskId) {
+        event.preventDefault();
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) return;
+
+        const before = this.history.snapshot(this.tasks, this.userContext);
+        const type = document.getElementById('recurrenceType').value;
+        if (!type) {
+            this.recurrenceManager.endRecurrence(task);
+        } else {
+            const recurrence = { type };
+            if (type === 'everyNDays') recurrence.interval = parseInt(document.getElementById('recurrenceInterval').value);
+            if (type === 'monthly') recurrence.dayOfMonth = parseInt(document.getElementById('recurrenceDay').value);
+            if (type === 'rrule') recurrence.rrule = document.getElementById('recurrenceRRule').value.trim().toUpperCase();
+
+            const errors = this.recurrenceManager.validate(recurrence);
+            if (errors.length > 0) {
+                document.getElementById('recurrenceErrors').textContent = errors.join(' ');
+                return;
+            }
+            this.recurrenceManager.setRecurrence(task, recurrence);
+        }
+
+        this.logAction('recurrence', task, before, type ? this.recurrenceManager.describe(task.recurrence) : 'no longer repeats');
+        this.refresh();
+        this.closeModal();
+    }
+
+    /**
+     * Skip the current occurrence of a recurring task
+     */
+    skipOccurrence(taskId) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task || !task.recurrence) return;
+
+        const before = this.history.snapshot(this.tasks, this.userContext);
+        this.recurrenceManager.recordOccurrence(this.userContext, task, 'skipped');
+        if (!this.recurrenceManager.skipOccurrence(task)) {
+            // Series has no more dates; drop the skipped occurrence
+            this.tasks = this.tasks.filter(t => t.id !== taskId);
+        }
+        this.logAction('skip', task, before);
+        this.refresh();
+        this.closeModal();
+    }
+
+    /**
+     * Stop a task from repeating
+     */
+    endRecurrence(taskId) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) return;
+
+        const before = this.history.snapshot(this.tasks, this.userContext);
+        this.recurrenceManager.endRecurrence(task);
+        this.logAction('recurrence', task, before, 'no longer repeats');
+        this.refresh();
+        this.closeModal();
+    }
+
+    /**
+     * Pin a tier, pin to the top or exclude a task from recommendations
+     */
+    openOverride(taskId, error = '') {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) return;
+
+        const manager = this.triageEngine.overrideManager;
+        const override = task.override || {};
+        const active = manager.getActive(task);
+        const engine = task.explanation?.override?.engine || { tier: task.classification, roiScore: task.roiScore, reason: task.reason };
+        const tierOptions = manager.TIERS
+            .map(tier => `<option value="${tier}" ${override.tier === tier ? 'selected' : ''}>${tier} ${this.getTierName(tier)}</option>`).join('');
+
+        this.openModal(`📌 Override “${task.title}”`, `
+            ${engine.tier ? `<p class="sidebar-hint">The engine would choose <strong>${engine.tier} ${this.getTierName(engine.tier)}</strong> (ROI ${engine.roiScore})${engine.reason ? `: ${escapeHtml(engine.reason)}` : ''}</p>` : ''}
+            ${task.override && !active ? `<p class="sidebar-hint">Your last override expired ${new Date(override.until).toLocaleString()}.</p>` : ''}
+            <form class="rule-form" onsubmit="dashboard.saveOverride(event, ${task.id})">
+                <label>Tier
+                    <select id="overrideTier">
+                        <option value="">Let the engine decide</option>
+                        ${tierOptions}
+                    </select>
+                </label>
+                <label>Pin to the top of the queue <input type="checkbox" id="overridePinned" ${override.pinned ? 'checked' : ''}></label>
+                <label>Never recommend as the One Thing <input type="checkbox" id="overrideExcluded" ${override.excluded ? 'checked' : ''}></label>
+                <label>Reason <input type="text" id="overrideReason" value="${escapeHtml(override.reason || '')}" placeholder="Optional, e.g. Client asked for this first"></label>
+                <label>Until <input type="datetime-local" id="overrideUntil" value="${active && override.until ? override.until : ''}"></label>
+                <p class="sidebar-hint">Leave “Until” empty to keep the override until you clear it.</p>
+                <div class="form-error" id="overrideErrors">${escapeHtml(error)}</div>
+                <div class="modal-form">
+                    <button type="submit">Save</button>
+                    ${task.override ? `<button type="button" class="secondary" onclick="dashboard.clearOverride(${task.id})">Clear override</button>` : ''}
+                </div>
+            </form>
+        `);
+    }
+
+    saveOverride(event, taskId) {
+        event.preventDefault();
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) return;
+
+        const manager = this.triageEngine.overrideManager;
+        const override = {
+            tier: document.getElementById('overrideTier').value || null,
+            pinned: document.getElementById('overridePinned').checked,
+            excluded: document.getElementById('overrideExcluded').checked,
+            reason: document.getElementById('overrideReason').value,
+            until: document.getElementById('overrideUntil').value || null
+        };
+        const errors = manager.validate(override);
+        if (errors.length > 0) {
+            document.getElementById('overrideErrors').textContent = errors.join(' ');
+            return;
+        }
+
+        const before = this.history.snapshot(this.tasks, this.userContext);
+        manager.set(task, override);
+        this.logAction('override', task, before, manager.describe(task.override));
+        this.refresh();
+        this.closeModal();
+    }
+
+    clearOverride(taskId) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task || !task.override) return;
+
+        const before = this.history.snapshot(this.tasks, this.userContext);
+        this.triageEngine.overrideManager.clear(task);
+        this.logAction('override', task, before, 'cleared');
+        this.refresh();
+        this.closeModal();
+    }
+
+    /**
+     * Open the dependency editor and chain view for a task
+     */
+    openDependencies(taskId, error = '') {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) return;
+
+        const deps = this.dependencyManager;
+        const critical = deps.getCriticalPath(task, this.tasks);
+
+        const blockerRows = task.blockedBy.map(id => {
+            const blocker = this.tasks.find(t => t.id === id);
+            if (!blocker) return '';
+            return `
+                <div class="plan-row ${blocker.completed ? 'done' : ''}">
+                    <span class="plan-title">${escapeHtml(blocker.title)}</span>
+                    ${critical.path.includes(blocker) ? '<span class="task-critical-path">🔥 Critical path</span>' : ''}
+                    <button class="task-action-btn delete" onclick="dashboard.removeBlocker(${task.id}, ${blocker.id})" title="Remove">✕</button>
+                </div>
+            `;
+        }).join('');
+
+        const candidates = this.tasks
+            .filter(t => !t.completed && t.id !== task.id && !task.blockedBy.includes(t.id))
+            .map(t => `<option value="${t.id}">${escapeHtml(t.title)}</option>`).join('');
+
+        const dependents = deps.getTransitiveDependents(task, this.tasks);
+        const deadlineNote = task.deadline && critical.path.length > 0
+            ? `<p class="sidebar-hint">${this.formatMinutes(critical.minutes)} of blocking work on the critical path before this can start (due ${new Date(task.deadline).toLocaleString()}).</p>`
+            : '';
+
+        this.openModal(`⛓ Dependencies: ${task.title}`, `
+            <h4 class="plan-heading">Blocked by</h4>
+            <div class="plan-list">${blockerRows || '<p class="sidebar-hint">Nothing. This task can start now.</p>'}</div>
+            <form class="modal-form" onsubmit="dashboard.addBlocker(event, ${task.id})">
+                <select id="blockerSelect">${candidates}</select>
+                <button type="submit" ${candidates ? '' : 'disabled'}>+ Blocked by</button>
+            </form>
+            <div class="form-error">${escapeHtml(error)}</div>
+            <h4 class="plan-heading">Chain</h4>
+            <div class="dependency-chain">${this.renderDependencyChain(task, critical.path, new Set())}</div>
+            ${deadlineNote}
+            ${dependents.length ? `
+                <h4 class="plan-heading">Waiting on this task</h4>
+                <div class="plan-list">${dependents.map(d => `<div class="plan-row"><span class="plan-title">${escapeHtml(d.title)}</span><span class="task-roi">ROI ${d.roiScore}</span></div>`).join('')}</div>
+            ` : ''}
+        `);
+    }
+
+    /**
+     * Nested list of a task's open blockers, critical path highlighted
+     */
+    renderDependencyChain(task, criticalPath, visited) {
+        if (visited.has(task.id)) return '';
+        visited.add(task.id);
+
+        const blockers = this.dependencyManager.getOpenBlockers(task, this.tasks);
+        const children = blockers.map(blocker => `<li>${this.renderDependencyChain(blocker, criticalPath, visited)}</li>`).join('');
+        const isCritical = criticalPath.includes(task);
+
+        return `
+            <span class="${isCritical ? 'task-critical-path' : ''}">${escapeHtml(task.title)} <small>${task.estimatedMinutes}m</small></span>
+            ${children ? `<ul>${children}</ul>` : ''}
+        `;
+    }
+
+    /**
+     * Add a "blocked by" link from the dependency editor
+     */
+    addBlocker(event, taskId) {
+        event.preventDefault();
+        const blockerId = Number(document.getElementById('blockerSelect').value);
+        const before = this.history.snapshot(this.tasks, this.userContext);
+
+        const error = this.dependencyManager.addBlocker(this.tasks, taskId, blockerId);
+        if (!error) {
+            const blocker = this.tasks.find(t => t.id === blockerId);
+            this.logAction('dependency', this.tasks.find(t => t.id === taskId), before, `blocked by “${blocker.title}”`);
+            this.refresh();
+        }
+        this.openDependencies(taskId, error || '');
+    }
+
+    /**
+     * Remove a "blocked by" link
+     */
+    removeBlocker(taskId, blockerId) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) return;
+
+        const before = this.history.snapshot(this.tasks, this.userContext);
+        this.dependencyManager.removeBlocker(task, blockerId);
+        this.logAction('dependency', task, before, 'blocker removed');
+        this.refresh();
+        this.openDependencies(taskId);
+    }
+
+    /**
+     * Open the guided clarify flow for a phantom task
+     */
+    openClarify(taskId) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) return;
+
+        const why = task.explanation?.heuristic?.rule || task.reason || '';
+        this.openModal('✨ Clarify this phantom', `
+            <p class="sidebar-hint">“${escapeHtml(task.title)}” is too vague to act on${why ? `: ${escapeHtml(why)}` : ''}. Answer a few questions to turn it into real work.</p>
+            <form class="rule-form" onsubmit="dashboard.saveClarify(event, ${task.id})">
+                <label>1. What's the very next physical action?
+                    <input type="text" id="clarifyAction" placeholder="e.g. Email Dana three newsletter layout options">
+                </label>
+                <label>2. What does done look like?
+                    <input type="text" id="clarifyOutcome" placeholder="e.g. Layout picked and signed off">
+                </label>
+                <label>3. How long will it take? (minutes)
+                    <input type="number" id="clarifyEstimate" min="5" max="480" value="${task.estimatedMinutes}">
+                </label>
+                <label>4. When is it due?
+                    <input type="datetime-local" id="clarifyDeadline" value="${task.deadline || ''}">
+                </label>
+                <fieldset>
+                    <legend>Or split it into subtasks (one per line, optional “~30m”)</legend>
+                    <textarea id="clarifySubtasks" rows="4" placeholder="Collect three reference newsletters ~20m&#10;Sketch two layouts ~45m&#10;Send layouts to Dana ~10m"></textarea>
+                </fieldset>
+                <div class="form-error" id="clarifyErrors"></div>
+                <div class="modal-form">
+                    <button type="submit">Clarify</button>
+                </div>
+            </form>
+        `);
+    }
+
+    /**
+     * Apply the clarify form, then show how the task was reclassified
+     */
+    saveClarify(event, taskId) {
+        event.preventDefault();
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) return;
+
+        const nextAction = document.getElementById('clarifyAction').value.trim();
+        const outcome = document.getElementById('clarifyOutcome').value;
+        const estimatedMinutes = parseInt(document.getElementById('clarifyEstimate').value) || task.estimatedMinutes;
+        const deadline = document.getElementById('clarifyDeadline').value;
+        const subtaskText = document.getElementById('clarifySubtasks').value;
+
+        if (!nextAction && !subtaskText.trim()) {
+            document.getElementById('clarifyErrors').textContent = 'Give it a next action, or split it into subtasks.';
+            return;
+        }
+
+        const before = this.history.snapshot(this.tasks, this.userContext);
+        const fromTitle = task.title;
+        let changed;
+        if (subtaskText.trim()) {
+            // The next action, if given, is the first subtask
+            const lines = nextAction ? `${nextAction}\n${subtaskText}` : subtaskText;
+            const subtasks = this.clarificationManager.parseSubtasks(lines, estimatedMinutes);
+            changed = this.clarificationManager.split(task, subtasks, { outcome, deadline });
+            this.tasks.push(...changed);
+        } else {
+            this.clarificationManager.clarify(task, { nextAction, outcome, estimatedMinutes, deadline });
+            changed = [task];
+        }
+
+        this.logAction('clarify', { ...task, title: fromTitle }, before,
+            subtaskText.trim() ? `split into ${changed.length} subtasks` : `→ “${task.title}”`);
+        this.refresh();
+        this.showClarifyResult(task, changed);
+    }
+
+    /**
+     * Show before/after tiers for a clarified task
+     */
+    showClarifyResult(task, changed) {
+        const rows = changed.map(t => `
+            <div class="plan-row">
+                <span class="task-tier tier-${(t.classification || 't5').toLowerCase()}">${t.classification}</span>
+                <span class="plan-title">${escapeHtml(t.title)}</span>
+                <span class="task-roi">ROI ${t.roiScore}</span>
+            </div>
+            ${t.classification === 'T5' ? `<p class="form-error">Still a phantom: ${escapeHtml(t.explanation?.heuristic?.rule || '')}. Check your triage rules.</p>` : ''}
+        `).join('');
+
+        this.openModal('✨ Reclassified', `
+            <p class="sidebar-hint">Was ${task.clarification.fromTier} “${escapeHtml(task.clarification.fromTitle)}”. Now:</p>
+            <div class="plan-list">${rows}</div>
+        `);
+    }
+
+    /**
+     * Open the heuristic rules editor
+     */
+    openRulesEditor() {
+        const ruleEngine = this.triageEngine.ruleEngine;
+        const rules = ruleEngine.getRules(this.userContext);
+
+        const rows = rules.map((rule, index) => `
+            <div class="rule-row ${rule.enabled ? '' : 'disabled'}">
+                <span class="rule-priority">#${index + 1}</span>
+                <input type="checkbox" ${rule.enabled ? 'checked' : ''} onchange="dashboard.toggleRule('${rule.id}')" title="Enabled">
+                <div class="rule-body">
+                    <div class="rule-name">${escapeHtml(rule.name)}</div>
+                    <div class="rule-summary">${escapeHtml(ruleEngine.describeRule(rule))}</div>
+                </div>
+                <div class="rule-buttons">
+                    <button class="task-action-btn" onclick="dashboard.moveRule('${rule.id}', -1)" ${index === 0 ? 'disabled' : ''} title="Higher priority">↑</button>
+                    <button class="task-action-btn" onclick="dashboard.moveRule('${rule.id}', 1)" ${index === rules.length - 1 ? 'disabled' : ''} title="Lower priority">↓</button>
+                    <button class="task-action-btn" onclick="dashboard.openRuleForm('${rule.id}')" title="Edit">✎</button>
+                    <button class="task-action-btn delete" onclick="dashboard.deleteRule('${rule.id}')" title="Delete">🗑</button>
+                </div>
             </div>
+        `).join('');
+
+        this.openModal('⚙ Triage Rules', `
+            <p class="sidebar-hint">Rules run top to bottom. The first matching “force tier” or “set score” rule decides the task; every matching “add points” rule adjusts the ROI.</p>
+            <div class="rule-list">${rows || '<p class="sidebar-hint">No rules. Every task gets full ROI scoring.</p>'}</div>
+            <div class="modal-form">
+                <button type="button" onclick="dashboard.openRuleForm(null)">+ Add Rule</button>
+                <button type="button" class="secondary" onclick="dashboard.resetRules()">Reset to defaults</button>
+            </div>
+        `);
+    }
+
+    /**
+     * Open the add/edit form for a rule (null ruleId = new rule)
+     */
+    openRuleForm(ruleId) {
+        const ruleEngine = this.triageEngine.ruleEngine;
+        const rule = ruleEngine.getRules(this.userContext).find(r => r.id === ruleId);
+        const values = this.ruleToFormValues(rule);
+
+        const tierOptions = ruleEngine.TIERS.map(tier => `<option value="${tier}" ${values.tier === tier ? 'selected' : ''}>${tier}</option>`).join('');
+        const actionOptions = [
+            ['forceTier', 'Force tier'],
+            ['setScore', 'Set fixed score'],
+            ['adjustScore', 'Add / subtract points']
+        ].map(([type, label]) => `<option value="${type}" ${values.actionType === type ? 'selected' : ''}>${label}</option>`).join('');
+        const notesOptions = [['', 'Any'], ['empty', 'Empty'], ['present', 'Present']]
+            .map(([op, label]) => `<option value="${op}" ${values.notes === op ? 'selected' : ''}>${label}</option>`).join('');
+        const recurringOptions = [['', 'Any'], ['present', 'Recurring'], ['empty', 'One-off']]
+            .map(([op, label]) => `<option value="${op}" ${values.recurring === op ? 'selected' : ''}>${label}</option>`).join('');
+        const clarifiedOptions = [['', 'Any'], ['present', 'Clarified'], ['empty', 'Not clarified']]
+            .map(([op, label]) => `<option value="${op}" ${values.clarified === op ? 'selected' : ''}>${label}</option>`).join('');
+        const range = (key, label) => `
+            <label>${label}
+                <span><input type="number" id="rf-${key}Min" value="${values[key + 'Min']}" placeholder="min"> – <input type="number" id="rf-${key}Max" value="${values[key + 'Max']}" placeholder="max"></span>
+            </label>
         `;
+
+        this.openModal(rule ? `Edit rule: ${rule.name}` : 'New rule', `
+            <form class="rule-form" onsubmit="dashboard.saveRule(event, ${rule ? `'${rule.id}'` : 'null'})">
+                <label>Name <input type="text" id="rf-name" value="${escapeHtml(values.name)}" required></label>
+                <fieldset>
+                    <legend>When all of these match (leave blank to ignore)</legend>
+                    <label>Title contains any of <input type="text" id="rf-titleAny" value="${escapeHtml(values.titleAny)}" placeholder="deploy, invoice"></label>
+                    <label>Title contains none of <input type="text" id="rf-titleNone" value="${escapeHtml(values.titleNone)}"></label>
+                    <label>Title longer than (words) <input type="number" id="rf-titleWords" value="${values.titleWords}"></label>
+                    <label>Tags include any of <input type="text" id="rf-tagsAny" value="${escapeHtml(values.tagsAny)}" placeholder="client, revenue"></label>
+                    <label>Tags include none of <input type="text" id="rf-tagsNone" value="${escapeHtml(values.tagsNone)}"></label>
+                    ${range('importance', 'Importance (1-5)')}
+                    ${range('urgency', 'Urgency (1-5)')}
+                    ${range('estimatedMinutes', 'Estimate (minutes)')}
+                    ${range('deadlineHours', 'Deadline within (hours)')}
+                    ${range('rolloverCount', 'Rollover count')}
+                    <label>Notes <select id="rf-notes">${notesOptions}</select></label>
+                    <label>Recurrence <select id="rf-recurring">${recurringOptions}</select></label>
+                    <label>Clarified <select id="rf-clarified">${clarifiedOptions}</select></label>
+                    ${range('seriesCompletionRate', 'Series completion %')}
+                </fieldset>
+                <fieldset>
+                    <legend>Then</legend>
+                    <label>Action <select id="rf-actionType">${actionOptions}</select></label>
+                    <label>Tier (force tier only) <select id="rf-tier">${tierOptions}</select></label>
+                    <label>Score / points <input type="number" id="rf-score" value="${values.score}"></label>
+                    <label>Reason shown on card <input type="text" id="rf-reason" value="${escapeHtml(values.reason)}"></label>
+                </fieldset>
+                <div class="form-error" id="ruleFormErrors"></div>
+                <div class="modal-form">
+                    <button type="submit">Save Rule</button>
+                    <button type="button" class="secondary" onclick="dashboard.openRulesEditor()">Cancel</button>
+                </div>
+            </form>
+        `);
     }
 
     /**
-     * Get tier display name
+     * Flatten a rule into the rule form's field values
      */
-    getTierName(tier) {
-        const names = {
-            'T1': 'Critical',
-            'T2': 'Leverage',
-            'T3': 'Interrupt',
-            'T4': 'Distract',
-            'T5': 'Phantom'
+    ruleToFormValues(rule) {
+        const values = {
+            name: '', titleAny: '', titleNone: '', titleWords: '', tagsAny: '', tagsNone: '', notes: '', recurring: '', clarified: '',
+            actionType: 'forceTier', tier: 'T1', score: '', reason: ''
         };
-        return names[tier] || 'Unknown';
+        for (const key of this.RULE_RANGE_FIELDS) {
+            values[key + 'Min'] = '';
+            values[key + 'Max'] = '';
+        }
+        if (!rule) return values;
+
+        values.name = rule.name;
+        for (const { field, op, value } of rule.conditions) {
+            if (field === 'title' && op === 'containsAny') values.titleAny = value.join(', ');
+            if (field === 'title' && op === 'containsNone') values.titleNone = value.join(', ');
+            if (field === 'title' && op === 'wordsOver') values.titleWords = value;
+            if (field === 'tags' && op === 'hasAny') values.tagsAny = value.join(', ');
+            if (field === 'tags' && op === 'hasNone') values.tagsNone = value.join(', ');
+            if (field === 'notes') values.notes = op;
+            if (field === 'recurring') values.recurring = op;
+            if (field === 'clarified') values.clarified = op;
+            if (op === 'gte') values[field + 'Min'] = value;
+            if (op === 'lte') values[field + 'Max'] = value;
+        }
+
+        values.actionType = rule.action.type;
+        values.tier = rule.action.tier || 'T1';
+        values.score = rule.action.type === 'adjustScore' ? rule.action.points : rule.action.score;
+        values.reason = rule.action.reason || '';
+        return values;
     }
 
     /**
-     * Update the One Thing section
+     * Build a rule from the rule form's inputs
      */
-    updateOneThing() {
-        const recommendation = this.triageEngine.getRecommendedAction(this.tasks, this.userContext);
-        const titleEl = document.getElementById('oneThingTitle');
-        const whyEl = document.getElementById('oneThingWhy');
-        const btn = document.getElementById('startFocusBtn');
+    readRuleForm() {
+        const read = id => document.getElementById(`rf-${id}`).value.trim();
+        const list = id => read(id).split(',').map(word => word.trim().toLowerCase()).filter(Boolean);
+        const conditions = [];
+
+        if (list('titleAny').length) conditions.push({ field: 'title', op: 'containsAny', value: list('titleAny') });
+        if (list('titleNone').length) conditions.push({ field: 'title', op: 'containsNone', value: list('titleNone') });
+        if (read('titleWords') !== '') conditions.push({ field: 'title', op: 'wordsOver', value: Number(read('titleWords')) });
+        if (list('tagsAny').length) conditions.push({ field: 'tags', op: 'hasAny', value: list('tagsAny') });
+        if (list('tagsNone').length) conditions.push({ field: 'tags', op: 'hasNone', value: list('tagsNone') });
+        for (const key of this.RULE_RANGE_FIELDS) {
+            if (read(key + 'Min') !== '') conditions.push({ field: key, op: 'gte', value: Number(read(key + 'Min')) });
+            if (read(key + 'Max') !== '') conditions.push({ field: key, op: 'lte', value: Number(read(key + 'Max')) });
+        }
+        if (read('notes')) conditions.push({ field: 'notes', op: read('notes'), value: null });
+        if (read('recurring')) conditions.push({ field: 'recurring', op: read('recurring'), value: null });
+        if (read('clarified')) conditions.push({ field: 'clarified', op: read('clarified'), value: null });
+
+        const type = read('actionType');
+        const amount = read('score') === '' ? NaN : Number(read('score'));
+        const action = { type };
+        if (type === 'forceTier') Object.assign(action, { tier: read('tier'), score: amount });
+        if (type === 'setScore') action.score = amount;
+        if (type === 'adjustScore') action.points = amount;
+        if (type !== 'adjustScore' && read('reason')) action.reason = read('reason');
+
+        return { name: read('name'), enabled: true, conditions, action };
+    }
 
-        if (recommendation.task) {
-            titleEl.textContent = recommendation.task.title;
-            whyEl.textContent = recommendation.why;
-            btn.disabled = false;
-            btn.onclick = () => this.enterFocusMode(recommendation.task.id);
+    /**
+     * Validate and save the rule form
+     */
+    saveRule(event, ruleId) {
+        event.preventDefault();
+        const ruleEngine = this.triageEngine.ruleEngine;
+        const rule = this.readRuleForm();
+
+        const errors = ruleEngine.validateRule(rule);
+        if (errors.length > 0) {
+            document.getElementById('ruleFormErrors').innerHTML = errors.map(escapeHtml).join('<br>');
+            return;
+        }
+
+        const rules = [...ruleEngine.getRules(this.userContext)];
+        const index = rules.findIndex(r => r.id === ruleId);
+        if (index >= 0) {
+            rules[index] = { ...rule, id: ruleId, enabled: rules[index].enabled };
         } else {
-            titleEl.textContent = recommendation.why.split(':')[1] || 'All tasks completed!';
-            whyEl.textContent = 'Enjoy your free time or plan your next priority.';
-            btn.disabled = true;
+            // New rules go first so they can override the built-ins
+            rules.unshift({ ...rule, id: `rule-${Date.now()}` });
         }
+
+        this.userContext.rules = rules;
+        this.refresh();
+        this.openRulesEditor();
     }
 
     /**
-     * Update statistics
+     * Enable or disable a rule
      */
-    updateStats() {
-        // Update stat cards
-        document.getElementById('statCompleted').textContent = this.userContext.completedToday;
-        document.getElementById('statBlocked').textContent = this.userContext.distractionsBlocked;
-        document.getElementById('statFocusTime').textContent = `${Math.floor(this.userContext.focusTimeMinutes / 60)}h`;
-        document.getElementById('statStreak').textContent = this.userContext.dayStreak;
+    toggleRule(ruleId) {
+        const rule = this.triageEngine.ruleEngine.getRules(this.userContext).find(r => r.id === ruleId);
+        if (!rule) return;
 
-        // Update triage summary
-        const triaged = this.tasks.filter(t => !t.completed);
-        document.getElementById('t1Count').textContent = triaged.filter(t => t.classification === 'T1').length;
-        document.getElementById('t2Count').textContent = triaged.filter(t => t.classification === 'T2').length;
-        document.getElementById('t3Count').textContent = triaged.filter(t => t.classification === 'T3').length;
-        document.getElementById('t4Count').textContent = triaged.filter(t => t.classification === 'T4').length;
-        document.getElementById('t5Count').textContent = triaged.filter(t => t.classification === 'T5').length;
+        rule.enabled = !rule.enabled;
+        this.refresh();
+        this.openRulesEditor();
+    }
+
+    /**
+     * Move a rule up (-1) or down (+1) in evaluation order
+     */
+    moveRule(ruleId, direction) {
+        const rules = [...this.triageEngine.ruleEngine.getRules(this.userContext)];
+        const index = rules.findIndex(r => r.id === ruleId);
+        const target = index + direction;
+        if (index < 0 || target < 0 || target >= rules.length) return;
+
+        [rules[index], rules[target]] = [rules[target], rules[index]];
+        this.userContext.rules = rules;
+        this.refresh();
+        this.openRulesEditor();
+    }
+
+    /**
+     * Delete a rule
+     */
+    deleteRule(ruleId) {
+        this.userContext.rules = this.triageEngine.ruleEngine.getRules(this.userContext).filter(r => r.id !== ruleId);
+        this.refresh();
+        this.openRulesEditor();
+    }
+
+    /**
+     * Replace the user's rules with the built-in defaults
+     */
+    resetRules() {
+        if (!confirm('Replace all triage rules with the built-in defaults?')) return;
+
+        this.userContext.rules = this.triageEngine.ruleEngine.getDefaultRules();
+        this.refresh();
+        this.openRulesEditor();
+    }
+
+    // ------------------------------------------------------------------------
+    // Scoring profiles
+    // ------------------------------------------------------------------------
+
+    /**
+     * List presets and custom profiles, and pick today's and the default one
+     */
+    openScoringProfiles(notice = '') {
+        const profiles = this.triageEngine.profileManager;
+        const all = profiles.getProfiles(this.userContext);
+        const todayId = profiles.getActiveId(this.userContext);
+        const defaultId = this.userContext.defaultProfileId || profiles.DEFAULT_ID;
+        const options = selected => all.map(profile => `<option value="${profile.id}" ${profile.id === selected ? 'selected' : ''}>${escapeHtml(profile.name)}</option>`).join('');
+
+        const rows = all.map(profile => `
+            <div class="rule-row">
+                <div class="rule-body">
+                    <div class="rule-name">${escapeHtml(profile.name)}${profile.preset ? ' <span class="plan-reason">preset</span>' : ''}${profile.id === todayId ? ' <span class="plan-protected">ACTIVE TODAY</span>' : ''}</div>
+                    <div class="rule-summary">${escapeHtml(profile.description || this.describeProfile(profile))}</div>
+                </div>
+                <div class="rule-buttons">
+                    ${profile.id === todayId ? '' : `<button class="task-action-btn" onclick="dashboard.openProfileDiff('${profile.id}')" title="How your tasks would re-tier">Compare</button>`}
+                    <button class="task-action-btn" onclick="dashboard.openProfileForm(null, '${profile.id}')" title="Duplicate">⧉</button>
+                    ${profile.preset ? '' : `
+                        <button class="task-action-btn" onclick="dashboard.openProfileForm('${profile.id}')" title="Edit">✎</button>
+                        <button class="task-action-btn delete" onclick="dashboard.deleteScoringProfile('${profile.id}')" title="Delete">🗑</button>
+                    `}
+                </div>
+            </div>
+        `).join('');
+
+        this.openModal('⚖ Scoring Profiles', `
+            ${notice ? `<p class="sidebar-hint">${escapeHtml(notice)}</p>` : ''}
+            <p class="sidebar-hint">A profile sets how much each ROI factor counts, the cutoffs between tiers and the size of score adjustments.</p>
+            <div class="plan-settings">
+                <label>Today <select onchange="dashboard.setScoringProfile(this.value, true)">${options(todayId)}</select></label>
+                <label>Other days <select onchange="dashboard.setScoringProfile(this.value, false)">${options(defaultId)}</select></label>
+            </div>
+            <div class="rule-list">${rows}</div>
+            <div class="modal-form">
+                <button type="button" onclick="dashboard.openProfileForm(null, '${todayId}')">+ New profile from today's</button>
+            </div>
+        `);
+    }
+
+    /**
+     * One-line summary of a profile's weights
+     */
+    describeProfile(profile) {
+        const labels = this.triageEngine.profileManager.FACTOR_LABELS;
+        return Object.entries(profile.weights)
+            .map(([key, weight]) => `${labels[key]} ${Math.round(weight * 100)}%`)
+            .join(' · ');
+    }
+
+    /**
+     * Switch profile for today only, or for every day without its own choice
+     */
+    setScoringProfile(profileId, todayOnly) {
+        const profiles = this.triageEngine.profileManager;
+        profiles.setActive(this.userContext, profileId, todayOnly ? new Date() : null);
+        this.refresh();
+
+        const name = profiles.getProfile(this.userContext, profileId).name;
+        this.openScoringProfiles(todayOnly ? `Scoring with ${name} today.` : `${name} is now the default profile.`);
+    }
+
+    /**
+     * Side by side: each open task's tier under today's profile and under
+     * `profileId`. Runs on copies, like the what-if preview.
+     */
+    openProfileDiff(profileId) {
+        const profiles = this.triageEngine.profileManager;
+        const active = profiles.getActiveProfile(this.userContext);
+        const other = profiles.getProfile(this.userContext, profileId);
+        const result = this.whatIf.build(this.tasks, this.userContext, { at: new Date(), profileId });
+        const before = new Map(result.current.tasks.map(task => [task.id, task]));
+
+        const tier = task => `<span class="task-tier tier-${task.classification.toLowerCase()}">${this.getTierName(task.classification)}</span> <span class="plan-reason">${task.roiScore}</span>`;
+        const shown = result.preview.tasks
+            .filter(task => !task.completed && task.classification)
+            .sort((a, b) => b.roiScore - a.roiScore);
+        const rows = shown.map(task => {
+            const current = before.get(task.id);
+            const changed = current.classification !== task.classification;
+            return `
+                <div class="plan-row profile-diff-row ${changed ? 'changed' : ''}">
+                    <span class="plan-title">${escapeHtml(task.title)}</span>
+                    <span>${tier(current)}</span>
+                    <span>${tier(task)}</span>
+                </div>
+            `;
+        }).join('');
+
+        const oneThing = result.preview.recommendation.task;
+        this.openModal(`⚖ ${active.name} vs ${other.name}`, `
+            <div class="plan-summary">${result.changes.length} of ${shown.length} open task${shown.length === 1 ? '' : 's'} would re-tier</div>
+            <div class="plan-row profile-diff-row profile-diff-head">
+                <span class="plan-title">Task</span>
+                <span>${escapeHtml(active.name)}</span>
+                <span>${escapeHtml(other.name)}</span>
+            </div>
+            <div class="plan-list">${rows || '<p class="sidebar-hint">No open tasks.</p>'}</div>
+            <p class="sidebar-hint">One Thing under ${escapeHtml(other.name)}: ${oneThing ? `“${escapeHtml(oneThing.title)}”` : 'nothing fits'}. ${escapeHtml(this.describeOneThingShift(result))}</p>
+            <div class="modal-form">
+                <button type="button" onclick="dashboard.setScoringProfile('${profileId}', true)">Use ${escapeHtml(other.name)} today</button>
+                <button type="button" class="secondary" onclick="dashboard.openScoringProfiles()">Back</button>
+            </div>
+        `);
+    }
+
+    /**
+     * Edit a custom profile, or start a new one from `sourceId`
+     */
+    openProfileForm(profileId, sourceId = null) {
+        const profiles = this.triageEngine.profileManager;
+        const source = profiles.getProfile(this.userContext, profileId || sourceId) || profiles.getActiveProfile(this.userContext);
+        const name = profileId ? source.name : `${source.name} (copy)`;
+        const adjustRules = this.triageEngine.ruleEngine.getRules(this.userContext).filter(rule => rule.action.type === 'adjustScore');
+        const number = (id, value, min, max) => `<input type="number" id="${id}" value="${value}" min="${min}" max="${max}" step="1">`;
+
+        const weights = Object.entries(profiles.FACTOR_LABELS).map(([key, label]) =>
+            `<label>${label} ${number(`profileWeight-${key}`, Math.round(source.weights[key] * 100), 0, 100)} %</label>`
+        ).join('');
+        const thresholds = Object.entries(profiles.THRESHOLD_FIELDS).map(([key, field]) =>
+            `<label>${field.label} ${number(`profileThreshold-${key}`, source.thresholds[key], field.min, field.max)}</label>`
+        ).join('');
+        const max = profiles.MAX_ADJUSTMENT;
+        const rulePoints = adjustRules.map(rule =>
+            `<label>${escapeHtml(rule.name)} ${number(`profilePoints-${rule.id}`, source.adjustments.rulePoints[rule.id] ?? rule.action.points, -max, max)}</label>`
+        ).join('');
+
+        this.openModal(profileId ? '⚖ Edit Profile' : '⚖ New Profile', `
+            <form class="rule-form" onsubmit="dashboard.saveScoringProfile(event, ${profileId ? `'${profileId}'` : 'null'})">
+                <label>Name <input type="text" id="profileName" value="${escapeHtml(name)}" required></label>
+                <label>Description <input type="text" id="profileDescription" value="${escapeHtml(source.description)}" placeholder="When to use it"></label>
+                <fieldset>
+                    <legend>ROI weights</legend>
+                    ${weights}
+                    <p class="sidebar-hint">Scaled to add up to 100% when saved.</p>
+                </fieldset>
+                <fieldset>
+                    <legend>Tier thresholds</legend>
+                    ${thresholds}
+                </fieldset>
+                <fieldset>
+                    <legend>Adjustments (points)</legend>
+                    <label>Unblocks high-ROI work ${number('profileUnblockBoost', source.adjustments.unblockBoost, -max, max)}</label>
+                    ${rulePoints}
+                    <p class="sidebar-hint">0 turns an adjustment off for this profile.</p>
+                </fieldset>
+                <p class="form-error" id="profileFormErrors"></p>
+                <div class="modal-form">
+                    <button type="submit">Save</button>
+                    <button type="button" class="secondary" onclick="dashboard.openScoringProfiles()">Cancel</button>
+                </div>
+            </form>
+        `);
+    }
+
+    /**
+     * Profile data from the form. Rule points are only kept where they
+     * differ from the rule itself, so later rule edits still apply.
+     */
+    readProfileForm() {
+        const profiles = this.triageEngine.profileManager;
+        const value = id => {
+            const raw = document.getElementById(id).value.trim();
+            return raw === '' ? NaN : Number(raw);
+        };
+
+        const rulePoints = {};
+        for (const rule of this.triageEngine.ruleEngine.getRules(this.userContext)) {
+            if (rule.action.type !== 'adjustScore') continue;
+            const points = value(`profilePoints-${rule.id}`);
+            if (points !== rule.action.points) rulePoints[rule.id] = points;
+        }
+
+        return {
+            name: document.getElementById('profileName').value,
+            description: document.getElementById('profileDescription').value.trim(),
+            weights: Object.fromEntries(Object.keys(profiles.FACTOR_LABELS).map(key => [key, value(`profileWeight-${key}`) / 100])),
+            thresholds: Object.fromEntries(Object.keys(profiles.THRESHOLD_FIELDS).map(key => [key, value(`profileThreshold-${key}`)])),
+            adjustments: { unblockBoost: value('profileUnblockBoost'), rulePoints }
+        };
+    }
+
+    saveScoringProfile(event, profileId) {
+        event.preventDefault();
+        const profiles = this.triageEngine.profileManager;
+        const profile = { ...this.readProfileForm(), id: profileId };
+
+        const errors = profiles.validate(profile, this.userContext);
+        if (errors.length > 0) {
+            document.getElementById('profileFormErrors').innerHTML = errors.map(escapeHtml).join('<br>');
+            return;
+        }
+
+        const saved = profiles.saveProfile(this.userContext, profile);
+        this.refresh();
+        this.openScoringProfiles(`Saved ${saved.name}.`);
+    }
+
+    deleteScoringProfile(profileId) {
+        const profiles = this.triageEngine.profileManager;
+        const profile = profiles.getProfile(this.userContext, profileId);
+        if (!profile || !confirm(`Delete the scoring profile "${profile.name}"?`)) return;
+
+        profiles.deleteProfile(this.userContext, profileId);
+        this.refresh();
+        this.openScoringProfiles(`Deleted ${profile.name}.`);
+    }
+
+    /**
+     * Sidebar line: the profile scoring the board right now
+     */
+    renderActiveProfile() {
+        const container = document.getElementById('activeProfile');
+        if (!container) return;
+
+        const profiles = this.triageEngine.profileManager;
+        const now = this.getNow();
+        const profile = profiles.getActiveProfile(this.userContext, now);
+        const todayOnly = profile.id !== (this.userContext.defaultProfileId || profiles.DEFAULT_ID);
+        container.textContent = `⚖ Scoring: ${profile.name}${todayOnly ? (this.preview ? ' (that day only)' : ' (today only)') : ''}`;
+        container.title = this.describeProfile(profile);
+    }
+
+    // ------------------------------------------------------------------------
+    // Tags and notes
+    // ------------------------------------------------------------------------
+
+    /**
+     * Edit a task's tags (with autocomplete) and notes
+     */
+    openTaskDetails(taskId) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) return;
+
+        this.openModal(`✎ “${task.title}”`, `
+            <form class="rule-form" onsubmit="dashboard.saveTaskDetails(event, ${task.id})">
+                <label>Tags
+                    <input type="text" id="detailTags" value="${escapeHtml(task.tags.join(', '))}" placeholder="e.g. acme, writing" autocomplete="off"
+                        oninput="dashboard.suggestTags('detailTags', 'detailTagSuggestions')" onkeydown="dashboard.handleTagKey(event, 'detailTags', 'detailTagSuggestions')">
+                </label>
+                <div class="tag-suggestions" id="detailTagSuggestions"></div>
+                <label>Notes
+                    <textarea id="detailNotes" rows="5" placeholder="Context, links, next steps">${escapeHtml(task.notes)}</textarea>
+                </label>
+                <p class="sidebar-hint">Tags like #client, #learn and #recurring change the score. Map your own tags onto them in <button type="button" class="sidebar-link-btn" onclick="dashboard.openTagManager()">Tags</button>.</p>
+                <div class="modal-form">
+                    <button type="submit">Save</button>
+                </div>
+            </form>
+        `);
+    }
+
+    saveTaskDetails(event, taskId) {
+        event.preventDefault();
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) return;
+
+        const tags = this.tagManager.parse(document.getElementById('detailTags').value);
+        const notes = document.getElementById('detailNotes').value.trim();
+        const tagsChanged = tags.join(' ') !== task.tags.join(' ');
+        if (!tagsChanged && notes === task.notes) {
+            this.closeModal();
+            return;
+        }
+
+        const before = this.history.snapshot(this.tasks, this.userContext);
+        const detail = [
+            tagsChanged ? (tags.length ? tags.map(tag => `#${tag}`).join(' ') : 'no tags') : '',
+            notes !== task.notes ? (notes ? 'notes' : 'notes cleared') : ''
+        ].filter(Boolean).join(' · ');
+        task.tags = tags;
+        task.notes = notes;
+        this.logAction('edit', task, before, detail);
+        this.refresh();
+        this.closeModal();
+    }
+
+    /**
+     * Suggest known tags for the word being typed in a tags input
+     */
+    suggestTags(inputId, containerId) {
+        const input = document.getElementById(inputId);
+        const container = document.getElementById(containerId);
+        if (!input || !container) return;
+
+        const words = input.value.split(/[\s,]+/);
+        const typing = words.pop();
+        const exclude = words.map(word => this.tagManager.normalize(word));
+        const suggestions = typing ? this.tagManager.suggest(typing, this.tasks, this.userContext, exclude) : [];
+
+        container.innerHTML = suggestions.map((tag, index) => `
+            <button type="button" class="task-tag ${index === 0 ? 'active' : ''}" style="--tag-color: ${escapeHtml(this.tagManager.getColor(tag, this.userContext))}"
+                onmousedown="event.preventDefault()" data-tag="${escapeHtml(tag)}" onclick="dashboard.completeTag('${inputId}', '${containerId}', this.dataset.tag)">#${escapeHtml(tag)}</button>
+        `).join('');
+    }
+
+    /**
+     * Replace the word being typed with a suggested tag
+     */
+    completeTag(inputId, containerId, tag) {
+        const input = document.getElementById(inputId);
+        const words = input.value.split(/[\s,]+/);
+        words.pop();
+        input.value = [...words.filter(Boolean), tag].join(', ') + ', ';
+        document.getElementById(containerId).innerHTML = '';
+        input.focus();
+        this.previewQuickAdd();
+    }
+
+    /**
+     * Tab accepts the first suggestion, Escape dismisses them
+     */
+    handleTagKey(event, inputId, containerId) {
+        const container = document.getElementById(containerId);
+        const first = container.querySelector('button');
+        if (!first) return;
+
+        if (event.key === 'Tab' && !event.shiftKey) {
+            event.preventDefault();
+            first.click();
+        } else if (event.key === 'Escape') {
+            event.stopPropagation();
+            container.innerHTML = '';
+        }
+    }
+
+    /**
+     * Show only tasks with this tag (again to clear), on top of the tab filter
+     */
+    setTagFilter(tag) {
+        this.tagFilter = tag && tag !== this.tagFilter ? tag : null;
+        this.renderTasks();
+        this.renderTags();
+    }
+
+    renderTagFilterChip() {
+        const chip = document.getElementById('tagFilterChip');
+        if (!chip) return;
+
+        chip.hidden = !this.tagFilter;
+        chip.textContent = this.tagFilter ? `#${this.tagFilter} ✕` : '';
+        chip.style.setProperty('--tag-color', this.tagFilter ? this.tagManager.getColor(this.tagFilter, this.userContext) : '');
+    }
+
+    /**
+     * Tags on open tasks with counts; click one to filter the list
+     */
+    renderTags() {
+        const container = document.getElementById('tagList');
+        if (!container) return;
+
+        const tags = this.tagManager.countTags(this.getShownTasks()).filter(({ count }) => count > 0);
+        if (tags.length === 0) {
+            container.innerHTML = '<p class="sidebar-hint">No tags yet. Add #tags in the task bar or with ✎ on a task.</p>';
+            return;
+        }
+
+        container.innerHTML = tags.map(({ tag, count }) => `
+            <button class="task-tag ${this.tagFilter === tag ? 'active' : ''}" style="--tag-color: ${escapeHtml(this.tagManager.getColor(tag, this.userContext))}"
+                data-tag="${escapeHtml(tag)}" onclick="dashboard.setTagFilter(this.dataset.tag)">#${escapeHtml(tag)} <span class="tag-count">${count}</span></button>
+        `).join('');
+    }
+
+    /**
+     * Per-tag colors, and which scoring role (revenue, learning, recurring) a tag plays
+     */
+    openTagManager() {
+        const manager = this.tagManager;
+        const tags = [...new Set([
+            ...manager.countTags(this.tasks).map(({ tag }) => tag),
+            ...Object.keys(this.userContext.tagRoles || {})
+        ])].sort();
+
+        const rows = tags.map(tag => {
+            const mapped = (this.userContext.tagRoles || {})[tag] || '';
+            const builtIn = Object.keys(manager.ROLES).find(role => manager.ROLES[role].builtIn.includes(tag));
+            const roleOptions = Object.entries(manager.ROLES)
+                .filter(([role]) => role !== builtIn)
+                .map(([role, { label, tag: roleTag }]) => `<option value="${role}" ${mapped === role ? 'selected' : ''}>${label} (as #${roleTag})</option>`)
+                .join('');
+            return `
+                <div class="rule-row">
+                    <input type="color" class="tag-color-input" value="${escapeHtml(manager.getColor(tag, this.userContext))}" data-tag="${escapeHtml(tag)}" onchange="dashboard.setTagColor(this.dataset.tag, this.value)" title="Tag color">
+                    <div class="rule-body">
+                        <div class="rule-name">#${escapeHtml(tag)}</div>
+                        <div class="rule-summary">${builtIn ? `Built in: ${manager.ROLES[builtIn].label.toLowerCase()}` : ''}</div>
+                    </div>
+                    <select data-tag="${escapeHtml(tag)}" onchange="dashboard.setTagRole(this.dataset.tag, this.value)" title="Scores as">
+                        <option value="">${builtIn ? manager.ROLES[builtIn].label : 'No role'}</option>
+                        ${roleOptions}
+                    </select>
+                </div>
+            `;
+        }).join('');
+
+        this.openModal('🏷 Tags', `
+            <p class="sidebar-hint">Revenue tags add impact and can force Critical, learning tags add impact and recurring tags add rule points. Map your own tags onto a role so they score the same way, e.g. #acme as #revenue.</p>
+            <div class="rule-list">${rows || '<p class="sidebar-hint">No tags yet.</p>'}</div>
+        `);
+    }
+
+    setTagColor(tag, color) {
+        this.tagManager.setColor(this.userContext, tag, color);
+        this.refresh();
+    }
+
+    setTagRole(tag, role) {
+        this.tagManager.setRole(this.userContext, tag, role || null);
+        this.refresh();
+        this.showToast(role ? `#${tag} now scores as #${this.tagManager.ROLES[role].tag}` : `#${tag} has no mapped role`);
     }
 
     /**
@@ -925,45 +4132,172 @@ class DashboardController {
     }
 
     /**
-     * Save tasks to localStorage
+     * Open backup/restore and CSV import/export
+     */
+    openDataManager() {
+        this.pendingImport = null;
+        this.openModal('💾 Backup & Import', `
+            <h4 class="plan-heading">Export</h4>
+            <div class="modal-form">
+                <button type="button" onclick="dashboard.exportData('json')">Full backup (JSON)</button>
+                <button type="button" class="secondary" onclick="dashboard.exportData('csv')">Tasks (CSV)</button>
+                <button type="button" class="secondary" onclick="dashboard.exportData('ics')">Calendar (.ics)</button>
+            </div>
+            <h4 class="plan-heading">Import</h4>
+            <div class="rule-form">
+                <label>Backup (.json) or task list (.csv) <input type="file" id="importFile" accept=".json,.csv,application/json,text/csv" onchange="dashboard.readImportFile(event)"></label>
+                <label>Existing data
+                    <select id="importMode">
+                        <option value="merge">Merge (same id is overwritten)</option>
+                        <option value="replace">Replace everything</option>
+                    </select>
+                </label>
+            </div>
+            <div id="importMapping"></div>
+            <div class="form-error" id="importErrors"></div>
+        `);
+    }
+
+    /**
+     * Download the dataset as a backup, task CSV or calendar
      */
-    saveToLocalStorage() {
-        const data = {
-            tasks: this.tasks,
-            userContext: this.userContext
+    exportData(format) {
+        const date = toLocalDateTime(new Date()).slice(0, 10);
+        const exporters = {
+            json: { type: 'application/json', build: () => this.dataPorter.exportJSON(this.tasks, this.userContext) },
+            csv: { type: 'text/csv', build: () => this.dataPorter.exportCSV(this.tasks) },
+            ics: { type: 'text/calendar', build: () => this.calendarManager.exportICS(this.tasks, this.userContext) }
         };
-        localStorage.setItem('soloChiefData', JSON.stringify(data));
+        const exporter = exporters[format];
+        this.downloadFile(`solo-chief-${date}.${format}`, exporter.build(), exporter.type);
     }
 
     /**
-     * Load tasks from localStorage
+     * Save generated text as a file through a temporary link
      */
-    loadFromLocalStorage() {
-        const data = localStorage.getItem('soloChiefData');
-        if (data) {
-            try {
-                const parsed = JSON.parse(data);
-                if (parsed.tasks) {
-                    this.tasks = parsed.tasks;
-                    // Re-hydrate Task objects
-                    this.tasks = this.tasks.map(t => {
-                        const task = new Task(t.id, t.title, t.estimatedMinutes, t.importance, t.urgency, t.deadline, t.tags, t.notes);
-                        Object.assign(task, t);
-                        return task;
-                    });
-                    // Re-run triage on loaded tasks
-                    this.triageEngine.triageTasks(this.tasks, this.userContext);
-                    this.renderTasks();
-                    this.updateOneThing();
-                    this.updateStats();
-                }
-                if (parsed.userContext) {
-                    this.userContext = { ...this.userContext, ...parsed.userContext };
-                }
-            } catch (e) {
-                console.error('Failed to load from localStorage:', e);
-            }
+    downloadFile(filename, content, type) {
+        const blob = new Blob([content], { type });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    /**
+     * Read the chosen import file: JSON imports straight away,
+     * CSV first shows the column mapping
+     */
+    readImportFile(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            if (/\.csv$/i.test(file.name) || file.type === 'text/csv') this.showCSVMapping(reader.result);
+            else this.importJSON(reader.result);
+        };
+        reader.readAsText(file);
+    }
+
+    importJSON(text) {
+        const { tasks, userContext, errors } = this.dataPorter.parseJSON(text);
+        if (errors.length) {
+            this.showImportErrors(errors);
+            return;
+        }
+        this.applyImport(tasks, userContext);
+    }
+
+    /**
+     * Let the user confirm which column feeds which task field
+     */
+    showCSVMapping(text) {
+        const rows = this.dataPorter.parseCSV(text);
+        if (rows.length < 2) {
+            this.showImportErrors(['CSV needs a header row and at least one task.']);
+            return;
+        }
+
+        const headers = rows[0];
+        const mapping = this.dataPorter.guessMapping(headers);
+        this.pendingImport = rows;
+
+        const fieldOptions = selected => ['', ...this.dataPorter.CSV_COLUMNS]
+            .map(field => `<option value="${field}" ${field === (selected || '') ? 'selected' : ''}>${field || '— skip —'}</option>`)
+            .join('');
+
+        document.getElementById('importErrors').innerHTML = '';
+        document.getElementById('importMapping').innerHTML = `
+            <form class="rule-form" onsubmit="dashboard.importCSV(event)">
+                <fieldset>
+                    <legend>Columns (${rows.length - 1} rows)</legend>
+                    ${headers.map((header, index) => `
+                        <label>${escapeHtml(header)} <span class="plan-reason">${escapeHtml(rows[1][index] || '')}</span>
+                            <select id="csvMap-${index}">${fieldOptions(mapping[index])}</select>
+                        </label>
+                    `).join('')}
+                </fieldset>
+                <div class="modal-form">
+                    <button type="submit">Import ${rows.length - 1} tasks</button>
+                </div>
+            </form>
+        `;
+    }
+
+    importCSV(event) {
+        event.preventDefault();
+        const rows = this.pendingImport;
+        if (!rows) return;
+
+        const mapping = {};
+        rows[0].forEach((header, index) => {
+            const field = document.getElementById(`csvMap-${index}`).value;
+            if (field) mapping[index] = field;
+        });
+
+        const { tasks, errors } = this.dataPorter.tasksFromCSV(rows, mapping);
+        if (errors.length) {
+            this.showImportErrors(errors);
+            return;
         }
+        this.applyImport(tasks, null);
+    }
+
+    /**
+     * Merge or replace the current data with validated imports
+     */
+    applyImport(tasks, userContext) {
+        const mode = document.getElementById('importMode').value;
+        if (mode === 'replace' && !confirm('Replace all current tasks with the imported data?')) return;
+
+        const result = this.dataPorter.mergeTasks(this.tasks, tasks, mode);
+        if (mode === 'replace') this.storageError = null; // A restored backup may overwrite unreadable data
+        this.tasks = result.tasks;
+        this.userContext = this.dataPorter.mergeUserContext(this.userContext, userContext, mode);
+        this.userContext.goals = this.goalManager.normalizeGoals(this.userContext.goals);
+        // Not undoable: a restore can swap out the whole context
+        this.history.record(this.userContext, { type: 'import', detail: `${result.added} added, ${result.updated} updated (${mode})` });
+
+        this.pendingImport = null;
+        this.refresh();
+        document.getElementById('importErrors').innerHTML = '';
+        document.getElementById('importMapping').innerHTML =
+            `<p class="sidebar-hint">Imported: ${result.added} added, ${result.updated} updated.</p>`;
+    }
+
+    showImportErrors(errors) {
+        const shown = errors.slice(0, 20);
+        if (errors.length > shown.length) shown.push(`…and ${errors.length - shown.length} more.`);
+        document.getElementById('importErrors').innerHTML = `Nothing was imported.<br>${shown.map(escapeHtml).join('<br>')}`;
+    }
+
+    /**
+     * Persist tasks and context (IndexedDB, or localStorage as a fallback)
+     */
+    saveData() {
+        if (this.storageError) return;
+        this.storage.save(this.tasks, this.userContext);
     }
 }
 
@@ -983,22 +4317,26 @@ document.addEventListener('DOMContentLoaded', () => {
 function addTask(event) {
     event.preventDefault();
     
-    const title = document.getElementById('taskTitle').value;
-    const time = document.getElementById('taskTime').value || 30;
-    const importance = document.getElementById('taskImportance').value;
-    const urgency = document.getElementById('taskUrgency').value;
-    const deadline = document.getElementById('taskDeadline').value;
-
-    if (title.trim()) {
-        dashboard.addTask(title, time, importance, urgency, deadline);
+    const fields = dashboard.readAddForm();
+
+    if (fields.title) {
+        dashboard.addTask(fields.title, fields.estimatedMinutes, fields.importance, fields.urgency,
+            fields.deadline, fields.tags, fields.notes);
         
         // Clear form
         document.getElementById('taskTitle').value = '';
         document.getElementById('taskTime').value = '';
         document.getElementById('taskDeadline').value = '';
+        document.getElementById('taskTags').value = '';
+        document.getElementById('taskTagSuggestions').innerHTML = '';
+        dashboard.previewQuickAdd();
     }
 }
 
+function previewQuickAdd() {
+    dashboard.previewQuickAdd();
+}
+
 function filterTasks(filter) {
     dashboard.filterTasks(filter);
 }
@@ -1011,6 +4349,42 @@ function exitFocusMode() {
     dashboard.exitFocusMode();
 }
 
+function toggleOneThingBreakdown() {
+    dashboard.toggleOneThingBreakdown();
+}
+
+function openGoalsManager() {
+    dashboard.openGoalsManager();
+}
+
+function openDayPlanner() {
+    dashboard.openDayPlanner();
+}
+
+function openRulesEditor() {
+    dashboard.openRulesEditor();
+}
+
+function openDataManager() {
+    dashboard.openDataManager();
+}
+
+function openHistory() {
+    dashboard.openHistory();
+}
+
+function openStreakSettings() {
+    dashboard.openStreakSettings();
+}
+
+function openWeeklyReview() {
+    dashboard.openWeeklyReview();
+}
+
+function closeModal() {
+    dashboard.closeModal();
+}
+
 function completeFocusedTask() {
     if (dashboard.focusManager.active && dashboard.focusManager.currentTask) {
         dashboard.completeTask(dashboard.focusManager.currentTask.id);
@@ -1018,10 +4392,53 @@ function completeFocusedTask() {
 }
 
 function pauseFocus() {
-    const overlay = document.getElementById('focusOverlay');
-    if (overlay.classList.contains('active')) {
-        // Pause
-        dashboard.focusManager.pause();
-        alert('Focus paused. Take a break, then refresh to resume (full pause/resume UI coming soon).');
-    }
+    dashboard.focusManager.togglePause();
+}
+
+function extendFocus() {
+    dashboard.focusManager.extend();
+}
+
+function skipBreak() {
+    dashboard.focusManager.skipBreak();
+}
+
+function openCommandPalette() {
+    dashboard.openCommandPalette();
+}
+
+function openShortcutHelp() {
+    dashboard.openShortcutHelp();
+}
+
+function openNotificationSettings() {
+    dashboard.openNotificationSettings();
+}
+
+function openFocusLog() {
+    dashboard.openFocusLog();
+}
+
+function openFocusSettings() {
+    dashboard.openFocusSettings();
+}
+
+function openWhatIf() {
+    dashboard.openWhatIf();
+}
+
+function openScoringProfiles() {
+    dashboard.openScoringProfiles();
+}
+
+function openChoiceLog() {
+    dashboard.openChoiceLog();
+}
+
+function openTagManager() {
+    dashboard.openTagManager();
+}
+
+function clearTagFilter() {
+    dashboard.setTagFilter(null);
 }
@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+/**
+ * Solo Chief CLI - run triage outside the browser
+ *
+ *   node cli.js tasks.json
+ *   node cli.js --format csv < tasks.csv
+ *   node cli.js backup.json --json --energy 2 --minutes 90
+ *   node cli.js backup.json --at 2024-06-03T09:00 --profile deep-build
+ *
+ * Reads a dashboard backup, a bare array of tasks or a CSV export and
+ * prints the triaged list, the tier counts and the One Thing.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { UserContext, StrategicTriageEngine, DataPorter } = require('./triage-core.js');
+
+const USAGE = `Usage: node cli.js [file|-] [options]
+
+Reads tasks from a file, or from stdin when the file is "-" or missing.
+
+Options:
+  --format json|csv   Input format (default: from the file extension, else sniffed)
+  --json              Print JSON instead of a table
+  --energy 1-5        Override the energy level
+  --minutes N         Override the minutes available today
+  --at DATETIME       Triage as of this local time, e.g. 2024-06-03T09:00
+  --profile ID|NAME   Score with this scoring profile, e.g. deadline-crunch
+  --all               Also list completed tasks
+  -h, --help          Show this help`;
+
+/**
+ * argv -> { file, format, json, energy, minutes, at, profile, all, help }; throws on
+ * anything it doesn't recognize
+ */
+function parseArgs(argv) {
+    const options = { file: null, format: null, json: false, energy: null, minutes: null, at: null, profile: null, all: false, help: false };
+    const value = (flag, index) => {
+        if (index >= argv.length) throw new Error(`${flag} needs a value.`);
+        return argv[index];
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h' || arg === '--help') options.help = true;
+        else if (arg === '--json') options.json = true;
+        else if (arg === '--all') options.all = true;
+        else if (arg === '--format') options.format = value(arg, ++i).toLowerCase();
+        else if (arg === '--energy') options.energy = Number(value(arg, ++i));
+        else if (arg === '--minutes') options.minutes = Number(value(arg, ++i));
+        else if (arg === '--at') options.at = new Date(value(arg, ++i));
+        else if (arg === '--profile') options.profile = value(arg, ++i);
+        else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}.`);
+        else if (options.file === null) options.file = arg;
+        else throw new Error(`Only one input file is allowed (got "${options.file}" and "${arg}").`);
+    }
+
+    if (options.format !== null && !['json', 'csv'].includes(options.format)) throw new Error('--format must be json or csv.');
+    if (options.energy !== null && !(Number.isInteger(options.energy) && options.energy >= 1 && options.energy <= 5)) {
+        throw new Error('--energy must be a whole number from 1 to 5.');
+    }
+    if (options.minutes !== null && !(Number.isFinite(options.minutes) && options.minutes >= 0)) {
+        throw new Error('--minutes must be zero or more.');
+    }
+    if (options.at !== null && isNaN(options.at)) throw new Error('--at must be a date and time like 2024-06-03T09:00.');
+    return options;
+}
+
+function readInput(file) {
+    if (file === null || file === '-') {
+        if (process.stdin.isTTY) throw new Error(`No input. Pass a file or pipe tasks in.\n\n${USAGE}`);
+        return fs.readFileSync(0, 'utf8');
+    }
+    return fs.readFileSync(file, 'utf8');
+}
+
+function detectFormat(file, text) {
+    if (file && /\.csv$/i.test(file)) return 'csv';
+    if (file && /\.json$/i.test(file)) return 'json';
+    return /^\s*[[{]/.test(text) ? 'json' : 'csv';
+}
+
+/**
+ * Text -> { tasks, userContext } using the dashboard's own import
+ * validation; throws with every problem found
+ */
+function loadTasks(text, format, porter) {
+    if (format === 'csv') {
+        const rows = porter.parseCSV(text);
+        if (rows.length < 2) throw new Error('The CSV needs a header row and at least one task.');
+        const { tasks, errors } = porter.tasksFromCSV(rows, porter.guessMapping(rows[0]));
+        if (errors.length) throw new Error(errors.join('\n'));
+        return { tasks, userContext: new UserContext() };
+    }
+
+    // A bare array is a task list without the backup envelope
+    let json = text;
+    try {
+        if (Array.isArray(JSON.parse(text))) json = JSON.stringify({ tasks: JSON.parse(text) });
+    } catch (e) {
+        // parseJSON reports the syntax error
+    }
+    const { tasks, userContext, errors } = porter.parseJSON(json);
+    if (errors.length) throw new Error(errors.join('\n'));
+    return { tasks, userContext: userContext || new UserContext() };
+}
+
+function triage(tasks, userContext, options) {
+    const engine = new StrategicTriageEngine();
+    engine.goalManager.recalculateProgress(userContext, tasks);
+    const now = options.at || new Date();
+    if (options.profile !== null) {
+        const profiles = engine.profileManager.getProfiles(userContext);
+        const wanted = options.profile.toLowerCase();
+        const profile = profiles.find(p => p.id === options.profile || p.name.toLowerCase() === wanted);
+        if (!profile) throw new Error(`No scoring profile "${options.profile}". Available: ${profiles.map(p => p.id).join(', ')}.`);
+        engine.profileManager.setActive(userContext, profile.id, now, now);
+    }
+    const triaged = engine.triageTasks(tasks, userContext, now);
+    const recommendation = engine.getRecommendedAction(tasks, userContext, now);
+
+    const counts = Object.fromEntries(Object.keys(engine.TIER_NAMES).map(tier => [tier, 0]));
+    for (const task of triaged) counts[task.classification]++;
+
+    const completed = options.all ? tasks.filter(task => task.completed) : [];
+    const profile = engine.getProfile(userContext, now);
+    return { engine, triaged, completed, counts, recommendation, profile };
+}
+
+function toJSON({ engine, triaged, completed, counts, recommendation, profile }) {
+    const row = task => ({
+        id: task.id,
+        title: task.title,
+        tier: task.classification,
+        tierName: engine.TIER_NAMES[task.classification],
+        roiScore: task.roiScore,
+        estimatedMinutes: task.estimatedMinutes,
+        deadline: task.deadline,
+        tags: task.tags,
+        reason: task.reason,
+        completed: task.completed
+    });
+    return JSON.stringify({
+        tasks: triaged.map(row),
+        completed: completed.map(row),
+        counts,
+        profile: profile.id,
+        oneThing: recommendation.task ? row(recommendation.task) : null,
+        why: recommendation.why
+    }, null, 2);
+}
+
+function toTable({ engine, triaged, completed, counts, recommendation, profile }) {
+    const header = ['#', 'Tier', 'ROI', 'Est', 'Deadline', 'Title'];
+    const rows = [...triaged, ...completed].map((task, index) => [
+        task.completed ? '✓' : String(index + 1),
+        task.completed ? 'Done' : `${task.classification} ${engine.TIER_NAMES[task.classification]}`,
+        task.completed ? '' : String(task.roiScore),
+        `${task.estimatedMinutes}m`,
+        task.deadline ? task.deadline.replace('T', ' ') : '',
+        task.title + (task.tags.length ? `  ${task.tags.map(tag => `#${tag}`).join(' ')}` : '')
+    ]);
+
+    const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+    const line = cells => cells.map((cell, column) => (column === cells.length - 1 ? cell : cell.padEnd(widths[column]))).join('  ');
+
+    const summary = Object.entries(counts).map(([tier, count]) => `${tier} ${engine.TIER_NAMES[tier]}: ${count}`).join(' · ');
+    const oneThing = recommendation.task
+        ? `One Thing: ${recommendation.task.title}\n  ${recommendation.why}`
+        : `One Thing: none. ${recommendation.why}`;
+
+    return [
+        line(header),
+        line(widths.map(width => '-'.repeat(width))),
+        ...rows.map(line),
+        '',
+        `${summary}  (${profile.name} profile)`,
+        '',
+        oneThing
+    ].join('\n');
+}
+
+function main(argv) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (e) {
+        console.error(`${e.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    try {
+        const text = readInput(options.file);
+        const porter = new DataPorter();
+        const { tasks, userContext } = loadTasks(text, options.format || detectFormat(options.file, text), porter);
+        if (options.energy !== null) userContext.energyLevel = options.energy;
+        if (options.minutes !== null) userContext.availableMinutes = options.minutes;
+
+        const result = triage(tasks, userContext, options);
+        console.log(options.json ? toJSON(result) : toTable(result));
+        return 0;
+    } catch (e) {
+        console.error(`${path.basename(process.argv[1])}: ${e.message}`);
+        return 1;
+    }
+}
+
+process.exitCode = main(process.argv.slice(2));
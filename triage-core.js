@@ -0,0 +1,3904 @@
+/**
+ * Solo Chief - Triage Core
+ * The DOM-free half of Solo Chief: data models, the 5-tier triage
+ * engine and the managers around it. Loaded as a plain script by
+ * dashboard.html (before app.js) and with require() by cli.js.
+ */
+
+// ============================================================================
+// DATA MODELS
+// ============================================================================
+
+class Task {
+    constructor(id, title, estimatedMinutes, importance, urgency, deadline = null, tags = [], notes = '') {
+        this.id = id;
+        this.title = title;
+        this.estimatedMinutes = estimatedMinutes || 30;
+        this.importance = importance || 3; // 1-5
+        this.urgency = urgency || 3; // 1-5
+        this.deadline = deadline;
+        this.tags = tags;
+        this.notes = notes;
+        this.createdAt = new Date();
+        this.rolloverCount = 0;
+        this.completed = false;
+        this.completedTier = null; // Tier it was in when completed; triage output isn't kept
+        this.classification = null; // Set by triage
+        this.roiScore = 0; // Set by triage
+        this.goalLinks = []; // Explicit goal links: [{ goalId, weight }]
+        this.recurrence = null; // Recurrence rule, see RecurrenceManager
+        this.seriesId = null; // Shared by every occurrence of a recurring task
+        this.blockedBy = []; // Ids of tasks that must be completed first
+        this.parentId = null; // Set on subtasks of a split phantom
+        this.outcome = ''; // What "done" looks like, captured when clarifying
+        this.clarification = null; // { at, fromTitle, fromTier, fromReason } once clarified
+        this.actualMinutes = 0; // Focus time spent on it, summed across sessions
+        this.calibratedMinutes = null; // Set by triage when calibrated estimates are on
+        this.override = null; // Manual tier/pin/exclude, see OverrideManager
+    }
+
+    /**
+     * Rebuild a Task from stored JSON. Triage output is dropped since
+     * it is recomputed; createdAt comes back as a Date.
+     */
+    static fromJSON(data) {
+        const task = new Task(data.id, data.title, data.estimatedMinutes, data.importance, data.urgency, data.deadline || null, data.tags || [], data.notes || '');
+        const { classification, roiScore, reason, tierRule, explanation, calibratedMinutes, ...stored } = data;
+        Object.assign(task, stored);
+        task.createdAt = data.createdAt ? new Date(data.createdAt) : new Date();
+        if (isNaN(task.createdAt)) task.createdAt = new Date();
+        return task;
+    }
+}
+
+class UserContext {
+    constructor() {
+        // progress is derived from baseProgress plus completed linked tasks
+        this.goals = [
+            { id: 'goal-mvp', description: 'Ship Solo Chief MVP', baseProgress: 65, progress: 65, retired: false },
+            { id: 'goal-mrr', description: 'Reach $10k MRR', baseProgress: 30, progress: 30, retired: false }
+        ];
+        this.rules = new HeuristicRuleEngine().getDefaultRules();
+        this.energyLevel = 4; // 1-5
+        this.availableMinutes = 480; // 8 hours
+        this.workingHours = null; // Optional { start: 'HH:MM', end: 'HH:MM' } for the day planner
+        this.meetings = []; // Fixed meetings: [{ id, title, start, end }] as local datetime strings
+        this.dayPlan = null; // Active plan from DayPlanner.buildPlan
+        this.seriesHistory = {}; // seriesId -> [{ taskId, deadline, status, at }]
+        this.focusSessions = []; // Finished focus sessions, see FocusModeManager.buildSession
+        this.actionLog = []; // Task mutations, oldest first; see HistoryManager
+        this.focusTimeMinutes = 0; // Today only; reset at the day boundary
+        this.currentDay = null; // YYYY-MM-DD the daily counters belong to
+        this.dailyStats = []; // One snapshot per finished day, see DayBoundaryManager
+        this.streakRule = { minCompleted: 1, highValueOnly: false, minFocusMinutes: 0, skipWeekends: false };
+        this.useCalibratedEstimates = false; // Score and plan with estimates corrected by past actual time
+        this.focusSettings = { workMinutes: 25, shortBreakMinutes: 5, longBreakMinutes: 15, longBreakEvery: 4, fitToEstimate: false, autoStartNext: false };
+        this.focusState = null; // Running focus session, see FocusModeManager.getState
+        this.notificationSettings = { enabled: false, sound: true, focusEvents: true, promotions: true, reminderMinutes: [1440, 60], quietHours: null };
+        this.remindersSent = {}; // `${taskId}|${deadline}|${minutes}` -> when the reminder went out
+        this.tagColors = {}; // tag -> CSS color, overriding TagManager's palette
+        this.tagRoles = {}; // tag -> 'revenue' | 'learning' | 'recurring', see TagManager
+        this.scoringProfiles = []; // Custom scoring profiles, see ScoringProfileManager
+        this.defaultProfileId = 'balanced';
+        this.dayProfiles = {}; // YYYY-MM-DD -> profile id, for days that use another profile
+        this.choiceEvents = []; // Recommended vs chosen task, see PreferenceLearner
+        this.learnedPreferences = null; // Learned weight shifts and tag biases, see PreferenceLearner
+        this.learningEnabled = true;
+    }
+
+    /**
+     * Rebuild a UserContext from stored JSON; fields added since the
+     * data was saved keep their defaults
+     */
+    static fromJSON(data) {
+        const context = new UserContext();
+        for (const [key, value] of Object.entries(data || {})) {
+            if (value !== undefined) context[key] = value;
+        }
+        return context;
+    }
+}
+
+// ============================================================================
+// GOAL MANAGER
+// ============================================================================
+
+class GoalManager {
+    constructor() {
+        this.DEFAULT_LINK_WEIGHT = 3; // 1-5, same scale as importance
+    }
+
+    /**
+     * Goals that still count for alignment and progress
+     */
+    getActiveGoals(userContext) {
+        return userContext.goals.filter(goal => !goal.retired);
+    }
+
+    /**
+     * Create a new goal
+     */
+    createGoal(userContext, description, baseProgress = 0) {
+        const goal = {
+            id: `goal-${Date.now()}`,
+            description: description.trim(),
+            baseProgress: this.clampProgress(baseProgress),
+            progress: this.clampProgress(baseProgress),
+            retired: false
+        };
+        userContext.goals.push(goal);
+        return goal;
+    }
+
+    /**
+     * Edit a goal's description or starting progress
+     */
+    updateGoal(userContext, goalId, changes) {
+        const goal = userContext.goals.find(g => g.id === goalId);
+        if (!goal) return null;
+
+        if (typeof changes.description === 'string' && changes.description.trim()) {
+            goal.description = changes.description.trim();
+        }
+        if (changes.baseProgress !== undefined) {
+            goal.baseProgress = this.clampProgress(changes.baseProgress);
+        }
+        return goal;
+    }
+
+    /**
+     * Retire (or restore) a goal. Retired goals keep their links but are
+     * ignored by alignment scoring.
+     */
+    setGoalRetired(userContext, goalId, retired) {
+        const goal = userContext.goals.find(g => g.id === goalId);
+        if (goal) goal.retired = retired;
+        return goal;
+    }
+
+    /**
+     * Link a task to a goal, or update the weight of an existing link
+     */
+    linkTask(task, goalId, weight = this.DEFAULT_LINK_WEIGHT) {
+        const clamped = Math.min(5, Math.max(1, parseInt(weight) || this.DEFAULT_LINK_WEIGHT));
+        const existing = task.goalLinks.find(link => link.goalId === goalId);
+        if (existing) {
+            existing.weight = clamped;
+        } else {
+            task.goalLinks.push({ goalId, weight: clamped });
+        }
+    }
+
+    /**
+     * Remove a task's link to a goal
+     */
+    unlinkTask(task, goalId) {
+        task.goalLinks = task.goalLinks.filter(link => link.goalId !== goalId);
+    }
+
+    /**
+     * Links from a task to goals that are still active
+     */
+    getActiveLinks(task, userContext) {
+        const activeIds = new Set(this.getActiveGoals(userContext).map(g => g.id));
+        return (task.goalLinks || []).filter(link => activeIds.has(link.goalId));
+    }
+
+    /**
+     * Derive each goal's progress from its linked tasks.
+     * The remaining distance (100 - baseProgress) is split across linked
+     * tasks by link weight; completed tasks fill their share.
+     */
+    recalculateProgress(userContext, tasks) {
+        for (const goal of userContext.goals) {
+            let totalWeight = 0;
+            let completedWeight = 0;
+
+            for (const task of tasks) {
+                const link = (task.goalLinks || []).find(l => l.goalId === goal.id);
+                if (!link) continue;
+                totalWeight += link.weight;
+                if (task.completed) completedWeight += link.weight;
+            }
+
+            const remaining = 100 - goal.baseProgress;
+            goal.progress = totalWeight > 0
+                ? Math.round(goal.baseProgress + remaining * (completedWeight / totalWeight))
+                : goal.baseProgress;
+        }
+    }
+
+    /**
+     * Bring goals saved by older versions up to the current shape
+     */
+    normalizeGoals(goals) {
+        return (goals || []).map((goal, index) => ({
+            id: goal.id || `goal-legacy-${index}`,
+            description: goal.description,
+            baseProgress: goal.baseProgress ?? goal.progress ?? 0,
+            progress: goal.progress ?? 0,
+            retired: !!goal.retired
+        }));
+    }
+
+    clampProgress(value) {
+        return Math.min(100, Math.max(0, parseInt(value) || 0));
+    }
+}
+
+// ============================================================================
+// TAGS
+// ============================================================================
+
+/**
+ * Tag helpers: normalizing, counts, autocomplete, colors and the semantic
+ * roles scoring cares about. Each role has built-in tags; the user can map
+ * any of their own tags onto a role in userContext.tagRoles ({ tag: role }),
+ * which then counts as the role's own tag (#acme → #revenue).
+ */
+class TagManager {
+    constructor() {
+        this.ROLES = {
+            revenue: { label: 'Revenue', tag: 'revenue', builtIn: ['client', 'revenue', 'sales', 'deal', 'contract'] },
+            learning: { label: 'Learning', tag: 'learn', builtIn: ['learn', 'study', 'research', 'read'] },
+            recurring: { label: 'Recurring', tag: 'recurring', builtIn: ['recurring'] }
+        };
+        this.COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#ec4899', '#14b8a6', '#f97316'];
+        this.MAX_SUGGESTIONS = 8;
+    }
+
+    /**
+     * "#Client Work" → "client-work"; same alphabet as quick-add tags
+     */
+    normalize(tag) {
+        return String(tag).trim().replace(/^#+/, '').toLowerCase().replace(/\s+/g, '-').replace(/[^\w-]/g, '');
+    }
+
+    /**
+     * Unique tags from a comma/space separated string
+     */
+    parse(text) {
+        return [...new Set(String(text || '').split(/[\s,]+/).map(tag => this.normalize(tag)).filter(Boolean))];
+    }
+
+    /**
+     * Role of a tag: the user's mapping first, then the built-in lists
+     */
+    getRole(tag, userContext) {
+        const lower = tag.toLowerCase();
+        const mapped = (userContext.tagRoles || {})[lower];
+        if (mapped && this.ROLES[mapped]) return mapped;
+        return Object.keys(this.ROLES).find(role => this.ROLES[role].builtIn.includes(lower)) || null;
+    }
+
+    hasRole(task, role, userContext) {
+        return task.tags.some(tag => this.getRole(tag, userContext) === role);
+    }
+
+    /**
+     * Tags as rules should see them: each tag, plus its role's own tag
+     * when the user mapped it onto a role. Built-in role tags only count
+     * as themselves, so default rules tier them as before. Returns [{ tag, as }].
+     */
+    getEffectiveTags(task, userContext) {
+        const roles = userContext.tagRoles || {};
+        const tags = [];
+        for (const tag of task.tags.map(t => t.toLowerCase())) {
+            tags.push({ tag, as: tag });
+            const role = this.ROLES[roles[tag]];
+            if (role && role.tag !== tag) tags.push({ tag, as: role.tag });
+        }
+        return tags;
+    }
+
+    /**
+     * Every tag in use with its number of open tasks, most used first
+     */
+    countTags(tasks) {
+        const counts = new Map();
+        for (const task of tasks) {
+            for (const tag of task.tags.map(t => t.toLowerCase())) {
+                counts.set(tag, (counts.get(tag) || 0) + (task.completed ? 0 : 1));
+            }
+        }
+        return [...counts.entries()]
+            .map(([tag, count]) => ({ tag, count }))
+            .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+    }
+
+    /**
+     * Known tags starting with (then containing) `prefix`, minus `exclude`
+     */
+    suggest(prefix, tasks, userContext, exclude = []) {
+        const wanted = this.normalize(prefix);
+        const known = [...new Set([
+            ...this.countTags(tasks).map(({ tag }) => tag),
+            ...Object.keys(userContext.tagRoles || {}),
+            ...Object.values(this.ROLES).flatMap(role => role.builtIn)
+        ])].filter(tag => !exclude.includes(tag));
+
+        const starts = known.filter(tag => tag.startsWith(wanted));
+        const contains = known.filter(tag => !tag.startsWith(wanted) && wanted && tag.includes(wanted));
+        return [...starts, ...contains].slice(0, this.MAX_SUGGESTIONS);
+    }
+
+    /**
+     * The user's color for a tag, else a stable one from the palette
+     */
+    getColor(tag, userContext) {
+        const custom = (userContext.tagColors || {})[tag];
+        if (custom) return custom;
+        const hash = [...tag].reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) >>> 0, 7);
+        return this.COLORS[hash % this.COLORS.length];
+    }
+
+    setColor(userContext, tag, color) {
+        userContext.tagColors = { ...userContext.tagColors, [tag]: color };
+    }
+
+    /**
+     * Map a tag onto a role, or back to its built-in role (if any) with null
+     */
+    setRole(userContext, tag, role) {
+        const roles = { ...userContext.tagRoles };
+        if (role) roles[tag] = role;
+        else delete roles[tag];
+        userContext.tagRoles = roles;
+    }
+}
+
+// ============================================================================
+// HEURISTIC RULES ENGINE
+// ============================================================================
+
+/**
+ * Declarative triage rules. Each rule is plain data so it can be stored with
+ * the user's data and edited in the app:
+ *
+ *   {
+ *     id, name, enabled,
+ *     conditions: [{ field, op, value }],   // all must match
+ *     action: { type: 'forceTier', tier, score, reason }
+ *           | { type: 'setScore', score }
+ *           | { type: 'adjustScore', points }
+ *   }
+ *
+ * Rules are evaluated in list order. The first matching forceTier/setScore
+ * rule short-circuits ROI scoring; every matching adjustScore rule is applied
+ * as a strategic adjustment.
+ */
+class HeuristicRuleEngine {
+    constructor() {
+        this.FIELDS = {
+            title: { label: 'Title', ops: ['containsAny', 'containsNone', 'wordsOver'] },
+            tags: { label: 'Tags', ops: ['hasAny', 'hasNone'] },
+            importance: { label: 'Importance', ops: ['gte', 'lte'] },
+            urgency: { label: 'Urgency', ops: ['gte', 'lte'] },
+            estimatedMinutes: { label: 'Estimate (min)', ops: ['gte', 'lte'] },
+            deadlineHours: { label: 'Hours until deadline', ops: ['gte', 'lte'] },
+            rolloverCount: { label: 'Rollovers', ops: ['gte', 'lte'] },
+            notes: { label: 'Notes', ops: ['empty', 'present'] },
+            recurring: { label: 'Recurrence', ops: ['empty', 'present'] },
+            clarified: { label: 'Clarified', ops: ['empty', 'present'] },
+            seriesCompletionRate: { label: 'Series completion %', ops: ['gte', 'lte'] }
+        };
+        this.ACTION_TYPES = ['forceTier', 'setScore', 'adjustScore'];
+        this.TIERS = ['T1', 'T2', 'T3', 'T4', 'T5'];
+        this.recurrenceManager = new RecurrenceManager();
+        this.tagManager = new TagManager();
+    }
+
+    /**
+     * The built-in rule set, shipped as the editable default
+     */
+    getDefaultRules() {
+        const critical = { type: 'forceTier', tier: 'T1', score: 90, reason: 'CRITICAL: Urgent deadline or emergency detected' };
+        const distraction = { type: 'forceTier', tier: 'T4', score: 15, reason: 'DISTRACTION: Low importance, no clear value' };
+        const phantom = { type: 'forceTier', tier: 'T5', score: 10, reason: 'PHANTOM: Too vague - needs clarification or deletion' };
+
+        const rules = [
+            {
+                id: 'critical-deadline', name: 'Deadline within 24h on important work',
+                conditions: [
+                    { field: 'deadlineHours', op: 'gte', value: 0 },
+                    { field: 'deadlineHours', op: 'lte', value: 24 },
+                    { field: 'importance', op: 'gte', value: 4 }
+                ],
+                action: critical
+            },
+            {
+                id: 'critical-keywords', name: 'Urgency keywords',
+                conditions: [{ field: 'title', op: 'containsAny', value: ['asap', 'emergency', 'urgent', 'broken', 'down', 'critical'] }],
+                action: critical
+            },
+            {
+                id: 'critical-revenue-tags', name: 'Revenue at risk',
+                conditions: [{ field: 'tags', op: 'hasAny', value: ['client', 'revenue', 'money', 'critical'] }],
+                action: critical
+            },
+            {
+                id: 'distraction-low-value', name: 'Low importance and low urgency',
+                conditions: [
+                    { field: 'importance', op: 'lte', value: 2 },
+                    { field: 'urgency', op: 'lte', value: 2 }
+                ],
+                action: distraction
+            },
+            {
+                id: 'distraction-keywords', name: 'Distraction keywords',
+                conditions: [{ field: 'title', op: 'containsAny', value: ['scroll', 'check social', 'browse', 'news', 'entertainment'] }],
+                action: distraction
+            },
+            {
+                id: 'distraction-long-low-importance', name: 'Long task with low importance',
+                conditions: [
+                    { field: 'estimatedMinutes', op: 'gte', value: 241 },
+                    { field: 'importance', op: 'lte', value: 3 }
+                ],
+                action: distraction
+            },
+            {
+                id: 'distraction-chronic-rollover', name: 'Chronic rollover',
+                conditions: [{ field: 'rolloverCount', op: 'gte', value: 5 }],
+                action: distraction
+            },
+            {
+                id: 'phantom-no-verb', name: 'No action verb',
+                conditions: [
+                    { field: 'title', op: 'containsNone', value: ['write', 'create', 'build', 'fix', 'update', 'send', 'review', 'analyze', 'design', 'implement', 'call', 'meet'] },
+                    { field: 'clarified', op: 'empty', value: null }
+                ],
+                action: phantom
+            },
+            {
+                id: 'phantom-long-title', name: 'Vague or overcomplicated title',
+                conditions: [
+                    { field: 'title', op: 'wordsOver', value: 15 },
+                    { field: 'clarified', op: 'empty', value: null }
+                ],
+                action: phantom
+            },
+            {
+                id: 'phantom-stale', name: 'Rolled over with no notes',
+                conditions: [
+                    { field: 'rolloverCount', op: 'gte', value: 3 },
+                    { field: 'notes', op: 'empty', value: null },
+                    { field: 'clarified', op: 'empty', value: null }
+                ],
+                action: phantom
+            },
+            {
+                id: 'adjust-chronic-rollover', name: 'Chronic rollover penalty',
+                conditions: [{ field: 'rolloverCount', op: 'gte', value: 3 }],
+                action: { type: 'adjustScore', points: -15 }
+            },
+            {
+                id: 'adjust-recurring', name: 'Recurring task',
+                conditions: [{ field: 'recurring', op: 'present', value: null }],
+                action: { type: 'adjustScore', points: 10 }
+            },
+            {
+                id: 'adjust-series-skipped', name: 'Recurring series usually skipped',
+                conditions: [{ field: 'seriesCompletionRate', op: 'lte', value: 40 }],
+                action: { type: 'adjustScore', points: -10 }
+            },
+            {
+                id: 'adjust-quick-win', name: 'Quick win (≤30 min, importance ≥ 3)',
+                conditions: [
+                    { field: 'estimatedMinutes', op: 'lte', value: 30 },
+                    { field: 'importance', op: 'gte', value: 3 }
+                ],
+                action: { type: 'adjustScore', points: 10 }
+            }
+        ];
+
+        // Deep copy so edits never touch the shared action objects above
+        return JSON.parse(JSON.stringify(rules.map(rule => ({ ...rule, enabled: true }))));
+    }
+
+    /**
+     * The user's rule set, falling back to the defaults
+     */
+    getRules(userContext) {
+        return userContext.rules || this.getDefaultRules();
+    }
+
+    /**
+     * Find the first enabled forceTier/setScore rule that matches
+     * Returns { rule, details } or null
+     */
+    findClassifyingRule(task, userContext, now = new Date()) {
+        for (const rule of this.getRules(userContext)) {
+            if (!rule.enabled || rule.action.type === 'adjustScore') continue;
+            const details = this.matchRule(rule, task, userContext, now);
+            if (details) return { rule, details };
+        }
+        return null;
+    }
+
+    /**
+     * All enabled adjustScore rules that match, as { label, points, ruleId }
+     */
+    getAdjustments(task, userContext, now = new Date()) {
+        const adjustments = [];
+        for (const rule of this.getRules(userContext)) {
+            if (!rule.enabled || rule.action.type !== 'adjustScore') continue;
+            if (this.matchRule(rule, task, userContext, now)) {
+                adjustments.push({ label: rule.name, points: rule.action.points, ruleId: rule.id });
+            }
+        }
+        return adjustments;
+    }
+
+    /**
+     * Evaluate all conditions of a rule against a task.
+     * Returns a list of what matched, or null if any condition fails.
+     */
+    matchRule(rule, task, userContext, now = new Date()) {
+        if (rule.conditions.length === 0) return null;
+
+        const details = [];
+        for (const condition of rule.conditions) {
+            const detail = this.evaluateCondition(condition, task, userContext, now);
+            if (!detail) return null;
+            details.push(detail);
+        }
+        return details;
+    }
+
+    /**
+     * Evaluate one condition. Returns a short description when it matches.
+     */
+    evaluateCondition(condition, task, userContext, now = new Date()) {
+        const { field, op, value } = condition;
+
+        if (field === 'title') {
+            const lowerTitle = task.title.toLowerCase();
+            if (op === 'containsAny') {
+                const keyword = value.find(kw => lowerTitle.includes(kw.toLowerCase()));
+                return keyword ? `title contains "${keyword}"` : null;
+            }
+            if (op === 'containsNone') {
+                return value.some(kw => lowerTitle.includes(kw.toLowerCase())) ? null : 'title has none of the listed words';
+            }
+            if (op === 'wordsOver') {
+                const wordCount = task.title.split(/\s+/).length;
+                return wordCount > value ? `title is ${wordCount} words` : null;
+            }
+        }
+
+        if (field === 'tags') {
+            // Tags mapped to a role also match the role's own tag
+            const tags = this.tagManager.getEffectiveTags(task, userContext);
+            const wanted = value.map(tag => tag.toLowerCase());
+            if (op === 'hasAny') {
+                const match = tags.find(t => wanted.includes(t.as));
+                if (!match) return null;
+                return match.as === match.tag ? `tag #${match.tag}` : `tag #${match.tag} (as #${match.as})`;
+            }
+            if (op === 'hasNone') {
+                return tags.some(t => wanted.includes(t.as)) ? null : 'none of the listed tags';
+            }
+        }
+
+        if (field === 'notes') {
+            const hasNotes = !!(task.notes && task.notes.trim());
+            if (op === 'empty') return hasNotes ? null : 'no notes';
+            if (op === 'present') return hasNotes ? 'has notes' : null;
+        }
+
+        if (field === 'clarified') {
+            if (op === 'empty') return task.clarification ? null : 'not clarified';
+            if (op === 'present') return task.clarification ? 'clarified' : null;
+        }
+
+        if (field === 'recurring') {
+            // Legacy #recurring tags (or tags mapped to it) count until the task gets a real rule
+            const isRecurring = !!task.recurrence || this.tagManager.hasRole(task, 'recurring', userContext);
+            if (op === 'empty') return isRecurring ? null : 'not recurring';
+            if (op === 'present') return isRecurring ? 'recurring' : null;
+        }
+
+        const actual = this.getNumericField(field, task, userContext, now);
+        if (actual === null) return null;
+        const label = this.FIELDS[field].label.toLowerCase();
+        if (op === 'gte' && actual >= value) return `${label} ${Math.round(actual)} ≥ ${value}`;
+        if (op === 'lte' && actual <= value) return `${label} ${Math.round(actual)} ≤ ${value}`;
+
+        return null;
+    }
+
+    /**
+     * Numeric value of a field, or null when it does not apply (no deadline).
+     * deadlineHours is measured from `now`.
+     */
+    getNumericField(field, task, userContext, now = new Date()) {
+        if (field === 'deadlineHours') {
+            if (!task.deadline) return null;
+            return (new Date(task.deadline) - now) / (1000 * 60 * 60);
+        }
+        if (field === 'seriesCompletionRate') {
+            if (!task.seriesId) return null;
+            return this.recurrenceManager.getCompletionRate(userContext, task.seriesId);
+        }
+        const value = task[field];
+        return typeof value === 'number' ? value : null;
+    }
+
+    /**
+     * Validate a rule before saving it. Returns a list of problems.
+     */
+    validateRule(rule) {
+        const errors = [];
+
+        if (!rule.name || !rule.name.trim()) errors.push('Rule needs a name.');
+        if (!rule.conditions || rule.conditions.length === 0) errors.push('Rule needs at least one condition.');
+
+        for (const condition of rule.conditions || []) {
+            const field = this.FIELDS[condition.field];
+            if (!field) {
+                errors.push(`Unknown field "${condition.field}".`);
+            } else if (!field.ops.includes(condition.op)) {
+                errors.push(`${field.label} does not support "${condition.op}".`);
+            } else if (Array.isArray(condition.value) && condition.value.length === 0) {
+                errors.push(`${field.label} needs at least one word.`);
+            } else if (['gte', 'lte', 'wordsOver'].includes(condition.op) && !Number.isFinite(condition.value)) {
+                errors.push(`${field.label} needs a number.`);
+            }
+        }
+
+        const action = rule.action || {};
+        if (!this.ACTION_TYPES.includes(action.type)) {
+            errors.push('Pick an action.');
+        } else if (action.type === 'forceTier' && !this.TIERS.includes(action.tier)) {
+            errors.push('Pick a tier to force.');
+        } else if (action.type !== 'adjustScore' && !Number.isFinite(action.score)) {
+            errors.push('Action needs a score.');
+        } else if (action.type === 'adjustScore' && !Number.isFinite(action.points)) {
+            errors.push('Action needs a number of points.');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Human-readable summary of a rule for the editor list
+     */
+    describeRule(rule) {
+        const opText = {
+            containsAny: 'contains any of', containsNone: 'contains none of', wordsOver: 'has more words than',
+            hasAny: 'include any of', hasNone: 'include none of', gte: '≥', lte: '≤', empty: 'are empty', present: 'are present'
+        };
+        const conditions = rule.conditions.map(c => {
+            const value = Array.isArray(c.value) ? c.value.join(', ') : (c.value ?? '');
+            return `${this.FIELDS[c.field]?.label || c.field} ${opText[c.op] || c.op} ${value}`.trim();
+        }).join(' AND ');
+
+        const { action } = rule;
+        let outcome = '';
+        if (action.type === 'forceTier') outcome = `force ${action.tier} (ROI ${action.score})`;
+        if (action.type === 'setScore') outcome = `set ROI to ${action.score}`;
+        if (action.type === 'adjustScore') outcome = `${action.points > 0 ? '+' : ''}${action.points} points`;
+
+        return `${conditions} → ${outcome}`;
+    }
+}
+
+// ============================================================================
+// DEPENDENCY MANAGER
+// ============================================================================
+
+/**
+ * "Blocked by" links between tasks. `task.blockedBy` holds the ids of tasks
+ * that must be completed first; completed or deleted blockers no longer block.
+ */
+class DependencyManager {
+    /**
+     * Add a blocker to a task. Returns an error message, or null on success.
+     */
+    addBlocker(tasks, taskId, blockerId) {
+        const task = tasks.find(t => t.id === taskId);
+        const blocker = tasks.find(t => t.id === blockerId);
+
+        if (!task || !blocker) return 'Task not found.';
+        if (taskId === blockerId) return 'A task cannot block itself.';
+        if (task.blockedBy.includes(blockerId)) return `Already blocked by “${blocker.title}”.`;
+
+        const cycle = this.findPath(tasks, blockerId, taskId);
+        if (cycle) {
+            const titles = [task, ...cycle].map(t => `“${t.title}”`).join(' → ');
+            return `That would create a cycle: ${titles}.`;
+        }
+
+        task.blockedBy.push(blockerId);
+        return null;
+    }
+
+    /**
+     * Remove a blocker from a task
+     */
+    removeBlocker(task, blockerId) {
+        task.blockedBy = task.blockedBy.filter(id => id !== blockerId);
+    }
+
+    /**
+     * Drop links to a task that no longer exists
+     */
+    removeTaskReferences(tasks, removedId) {
+        for (const task of tasks) {
+            if (task.blockedBy.includes(removedId)) this.removeBlocker(task, removedId);
+        }
+    }
+
+    /**
+     * Path of tasks from `fromId` up its blockers to `toId`, or null.
+     * Used for cycle detection: if the new blocker already (transitively)
+     * waits on the task, linking them closes a loop.
+     */
+    findPath(tasks, fromId, toId, visited = new Set()) {
+        const from = tasks.find(t => t.id === fromId);
+        if (!from || visited.has(fromId)) return null;
+        visited.add(fromId);
+
+        if (fromId === toId) return [from];
+        for (const blockerId of from.blockedBy) {
+            const path = this.findPath(tasks, blockerId, toId, visited);
+            if (path) return [from, ...path];
+        }
+        return null;
+    }
+
+    /**
+     * Blockers that still need doing
+     */
+    getOpenBlockers(task, tasks) {
+        return (task.blockedBy || [])
+            .map(id => tasks.find(t => t.id === id))
+            .filter(blocker => blocker && !blocker.completed);
+    }
+
+    isBlocked(task, tasks) {
+        return this.getOpenBlockers(task, tasks).length > 0;
+    }
+
+    /**
+     * Open tasks waiting on this one, directly or through other tasks
+     */
+    getTransitiveDependents(task, tasks, visited = new Set()) {
+        const dependents = [];
+        for (const other of tasks) {
+            if (other.completed || visited.has(other.id) || !(other.blockedBy || []).includes(task.id)) continue;
+            visited.add(other.id);
+            dependents.push(other, ...this.getTransitiveDependents(other, tasks, visited));
+        }
+        return dependents;
+    }
+
+    /**
+     * Minutes a task still needs: the calibrated estimate when triage set one
+     */
+    getMinutes(task) {
+        return task.calibratedMinutes || task.estimatedMinutes;
+    }
+
+    /**
+     * Longest chain of open blockers (by estimated minutes) that has to be
+     * finished before the task can start: the critical path to its deadline.
+     * Returns { path: [blockers, furthest first], minutes }.
+     * Blockers form a DAG, so each task's path is computed once per `memo`;
+     * pass the same Map for every lookup over an unchanged task list.
+     */
+    getCriticalPath(task, tasks, memo = new Map()) {
+        if (memo.has(task.id)) return memo.get(task.id);
+        memo.set(task.id, { path: [], minutes: 0 }); // Stops a cycle in hand-edited data
+
+        let best = { path: [], minutes: 0 };
+        for (const blocker of this.getOpenBlockers(task, tasks)) {
+            const upstream = this.getCriticalPath(blocker, tasks, memo);
+            const minutes = upstream.minutes + this.getMinutes(blocker);
+            if (minutes > best.minutes) {
+                best = { path: [...upstream.path, blocker], minutes };
+            }
+        }
+        memo.set(task.id, best);
+        return best;
+    }
+
+    /**
+     * Deadlines this task is on the critical path for, with slack in minutes
+     * (time left before the deadline minus all work still needed)
+     */
+    getCriticalPathDeadlines(task, tasks, now = new Date(), memo = new Map()) {
+        return this.getTransitiveDependents(task, tasks)
+            .filter(dependent => dependent.deadline)
+            .map(dependent => {
+                const critical = this.getCriticalPath(dependent, tasks, memo);
+                if (!critical.path.includes(task)) return null;
+                const minutesLeft = (new Date(dependent.deadline) - now) / 60000;
+                return {
+                    task: dependent,
+                    slackMinutes: Math.round(minutesLeft - critical.minutes - this.getMinutes(dependent))
+                };
+            })
+            .filter(Boolean);
+    }
+}
+
+// ============================================================================
+// CLARIFICATION MANAGER
+// ============================================================================
+
+/**
+ * Turns vague T5 phantoms into actionable work: either rewrite the task as
+ * its next physical action, or split it into subtasks that are triaged on
+ * their own. A split task becomes a parent whose progress comes from its
+ * children. `task.clarification` keeps what the task looked like before.
+ */
+class ClarificationManager {
+    /**
+     * Rewrite a task as its next physical action
+     */
+    clarify(task, { nextAction, outcome, estimatedMinutes, deadline }, now = new Date()) {
+        this.recordClarification(task, now);
+        task.title = nextAction.trim();
+        task.outcome = (outcome || '').trim();
+        if (estimatedMinutes) task.estimatedMinutes = estimatedMinutes;
+        if (deadline) task.deadline = deadline;
+        task.rolloverCount = 0;
+    }
+
+    /**
+     * Split a task into subtasks. Each subtask is { title, estimatedMinutes }.
+     * Returns the new child tasks; the caller adds them to the task list.
+     */
+    split(task, subtasks, { outcome, deadline }, now = new Date()) {
+        this.recordClarification(task, now);
+        task.outcome = (outcome || '').trim();
+        if (deadline) task.deadline = deadline;
+
+        return subtasks.map((subtask, index) => {
+            const child = new Task(
+                now.getTime() + index + 1,
+                subtask.title,
+                subtask.estimatedMinutes,
+                task.importance,
+                task.urgency,
+                task.deadline,
+                [...task.tags],
+                ''
+            );
+            child.parentId = task.id;
+            child.goalLinks = task.goalLinks.map(link => ({ ...link }));
+            return child;
+        });
+    }
+
+    /**
+     * Remember the phantom's original shape so the change stays visible
+     */
+    recordClarification(task, now) {
+        task.clarification = {
+            at: now.toISOString(),
+            fromTitle: task.title,
+            fromTier: task.classification,
+            fromReason: task.explanation?.heuristic?.rule || task.reason || ''
+        };
+    }
+
+    /**
+     * Parse subtask lines like "Draft outline ~45m". Lines without an
+     * estimate share whatever is left of the parent's estimate.
+     */
+    parseSubtasks(text, parentMinutes) {
+        const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+        const parsed = lines.map(line => {
+            const match = line.match(/^(.*?)\s*~\s*(\d+)\s*m?$/i);
+            return match
+                ? { title: match[1].trim(), estimatedMinutes: parseInt(match[2]) }
+                : { title: line, estimatedMinutes: null };
+        });
+
+        const known = parsed.reduce((sum, s) => sum + (s.estimatedMinutes || 0), 0);
+        const unknownCount = parsed.filter(s => !s.estimatedMinutes).length;
+        const share = unknownCount ? Math.max(5, Math.round((parentMinutes - known) / unknownCount)) : 0;
+
+        return parsed.map(s => ({ ...s, estimatedMinutes: s.estimatedMinutes || share }));
+    }
+
+    getChildren(task, tasks) {
+        return tasks.filter(t => t.parentId === task.id);
+    }
+
+    isParent(task, tasks) {
+        return tasks.some(t => t.parentId === task.id);
+    }
+
+    /**
+     * Share of the children's estimated minutes that is done (0-100)
+     */
+    getProgress(task, tasks) {
+        const children = this.getChildren(task, tasks);
+        const total = children.reduce((sum, child) => sum + child.estimatedMinutes, 0);
+        if (total === 0) return 0;
+
+        const done = children.filter(child => child.completed).reduce((sum, child) => sum + child.estimatedMinutes, 0);
+        return Math.round(done / total * 100);
+    }
+}
+
+// ============================================================================
+// ESTIMATE CALIBRATION
+// ============================================================================
+
+/**
+ * Learns how far off estimates run by comparing completed tasks'
+ * estimatedMinutes with the focus time actually spent on them.
+ * Bias is a ratio: 1.6 means tasks take 1.6× their estimate.
+ */
+class EstimateCalibrator {
+    constructor() {
+        this.MIN_SAMPLES = 3; // Completed, timed tasks needed before a bias is trusted
+        this.NOTABLE_BIAS = 0.15; // Insights only mention biases beyond ±15%
+        this.MIN_RATIO = 0.25;
+        this.MAX_RATIO = 4;
+    }
+
+    /**
+     * Bias overall, per tag and per tier:
+     * { overall, byTag: { tag: bias }, byTier: { tier: bias } } with bias = { ratio, samples }
+     */
+    getBias(tasks) {
+        const samples = tasks.filter(task => task.completed && task.actualMinutes > 0 && task.estimatedMinutes > 0);
+        const group = keyOf => {
+            const groups = {};
+            for (const task of samples) {
+                for (const key of keyOf(task)) (groups[key] = groups[key] || []).push(task);
+            }
+            const result = {};
+            for (const [key, members] of Object.entries(groups)) result[key] = this.summarize(members);
+            return result;
+        };
+
+        return {
+            overall: this.summarize(samples),
+            byTag: group(task => (task.tags || []).map(tag => tag.toLowerCase())),
+            byTier: group(task => (task.completedTier ? [task.completedTier] : []))
+        };
+    }
+
+    /**
+     * Median actual/estimate ratio, so one forgotten timer can't skew it
+     */
+    summarize(tasks) {
+        if (tasks.length === 0) return { ratio: 1, samples: 0 };
+        const ratios = tasks.map(task => task.actualMinutes / task.estimatedMinutes).sort((a, b) => a - b);
+        const middle = Math.floor(ratios.length / 2);
+        const median = ratios.length % 2 ? ratios[middle] : (ratios[middle - 1] + ratios[middle]) / 2;
+        return { ratio: Math.min(this.MAX_RATIO, Math.max(this.MIN_RATIO, median)), samples: tasks.length };
+    }
+
+    /**
+     * The bias that applies to a task: its best-sampled tag, else overall.
+     * Tier bias isn't used here because the tier itself depends on the estimate.
+     */
+    getTaskBias(task, bias) {
+        const tagged = (task.tags || [])
+            .map(tag => ({ basis: `#${tag.toLowerCase()}`, ...bias.byTag[tag.toLowerCase()] }))
+            .filter(entry => entry.samples >= this.MIN_SAMPLES)
+            .sort((a, b) => b.samples - a.samples);
+        if (tagged.length) return tagged[0];
+        if (bias.overall.samples >= this.MIN_SAMPLES) return { basis: 'overall', ...bias.overall };
+        return null;
+    }
+
+    /**
+     * Estimate adjusted by the task's bias (the raw estimate if none is known yet)
+     */
+    calibrate(task, bias) {
+        const taskBias = this.getTaskBias(task, bias);
+        return taskBias ? Math.max(1, Math.round(task.estimatedMinutes * taskBias.ratio)) : task.estimatedMinutes;
+    }
+
+    /**
+     * Sentences like "You usually take 1.6× longer on #client tasks",
+     * strongest bias first
+     */
+    getInsights(bias, tierNames = {}) {
+        const notable = [
+            ...Object.entries(bias.byTag).map(([tag, entry]) => ({ label: `#${tag} tasks`, ...entry })),
+            ...Object.entries(bias.byTier).map(([tier, entry]) => ({ label: `${tierNames[tier] || tier} (${tier}) tasks`, ...entry }))
+        ].filter(entry => entry.samples >= this.MIN_SAMPLES && Math.abs(entry.ratio - 1) >= this.NOTABLE_BIAS);
+
+        return notable
+            .sort((a, b) => Math.abs(Math.log(b.ratio)) - Math.abs(Math.log(a.ratio)))
+            .map(entry => entry.ratio > 1
+                ? `You usually take ${entry.ratio.toFixed(1)}× longer on ${entry.label}`
+                : `You usually finish ${entry.label} in ${Math.round(entry.ratio * 100)}% of the estimate`);
+    }
+}
+
+// ============================================================================
+// MANUAL OVERRIDES
+// ============================================================================
+
+/**
+ * Per-task overrides that triage applies after scoring. Stored on the task:
+ *
+ *   task.override = { tier, pinned, excluded, reason, until, at }
+ *
+ * `tier` (or null) replaces the engine's tier, `pinned` sorts the task to
+ * the top, `excluded` keeps it out of recommendations. An override stops
+ * applying once `until` (a local datetime) has passed.
+ */
+class OverrideManager {
+    constructor() {
+        this.TIERS = ['T1', 'T2', 'T3', 'T4', 'T5'];
+    }
+
+    /**
+     * The task's override if it still applies at `now`
+     */
+    getActive(task, now = new Date()) {
+        const override = task.override;
+        if (!override) return null;
+        if (override.until && new Date(override.until) <= now) return null;
+        return override;
+    }
+
+    /**
+     * Validate an override before saving it. Returns a list of problems.
+     */
+    validate({ tier, pinned, excluded, until }, now = new Date()) {
+        const errors = [];
+
+        if (tier && !this.TIERS.includes(tier)) errors.push(`Unknown tier ${tier}.`);
+        if (!tier && !pinned && !excluded) errors.push('Pick a tier, pin the task or exclude it.');
+        if (pinned && excluded) errors.push("A task can't be pinned to the top and excluded from recommendations.");
+        if (until) {
+            const date = new Date(until);
+            if (isNaN(date)) errors.push('Expiry must be a date and time.');
+            else if (date <= now) errors.push('Expiry must be in the future.');
+        }
+
+        return errors;
+    }
+
+    set(task, { tier = null, pinned = false, excluded = false, reason = '', until = null }, now = new Date()) {
+        task.override = {
+            tier: tier || null,
+            pinned: !!pinned,
+            excluded: !!excluded,
+            reason: reason.trim(),
+            until: until || null,
+            at: now.toISOString()
+        };
+        return task.override;
+    }
+
+    clear(task) {
+        task.override = null;
+    }
+
+    /**
+     * Short description, e.g. "T2 · pinned to top · until Mar 3"
+     */
+    describe(override) {
+        const parts = [];
+        if (override.tier) parts.push(override.tier);
+        if (override.pinned) parts.push('pinned to top');
+        if (override.excluded) parts.push('not recommended');
+        if (override.until) parts.push(`until ${new Date(override.until).toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}`);
+        return parts.join(' · ');
+    }
+}
+
+// ============================================================================
+// SCORING PROFILES
+// ============================================================================
+
+/**
+ * Named sets of ROI weights, tier thresholds and adjustment amounts, so a
+ * deadline-driven week and a deep-build week can be scored differently.
+ * Presets ship with the app; custom profiles are stored in
+ * userContext.scoringProfiles as plain data:
+ *
+ *   {
+ *     id, name, description,
+ *     weights: { GOAL_ALIGNMENT: 0.30, ... },        // normalized to sum to 1
+ *     thresholds: { leverageScore: 60, ... },        // see THRESHOLD_FIELDS
+ *     adjustments: { unblockBoost: 10, rulePoints: { [ruleId]: points } }
+ *   }
+ *
+ * The active profile is userContext.defaultProfileId unless
+ * userContext.dayProfiles picks another one for that date.
+ */
+class ScoringProfileManager {
+    constructor(defaults) {
+        this.DEFAULTS = defaults; // { weights, thresholds, adjustments } from the engine
+        this.DEFAULT_ID = 'balanced';
+        this.FACTOR_LABELS = {
+            GOAL_ALIGNMENT: 'Goal alignment',
+            IMPACT_MAGNITUDE: 'Impact',
+            TIME_EFFICIENCY: 'Time efficiency',
+            DEADLINE_PROXIMITY: 'Deadline proximity',
+            ENERGY_FIT: 'Energy fit'
+        };
+        this.THRESHOLD_FIELDS = {
+            criticalScore: { label: 'T1 Critical: ROI at least', min: 0, max: 100 },
+            criticalUrgency: { label: 'T1 Critical: urgency at least', min: 1, max: 5 },
+            leverageScore: { label: 'T2 Leverage: ROI at least', min: 0, max: 100 },
+            leverageImportance: { label: 'T2 Leverage: importance at least', min: 1, max: 5 },
+            leverageMaxUrgency: { label: 'T2 Leverage: urgency at most', min: 1, max: 5 },
+            interruptUrgency: { label: 'T3 Interrupt: urgency at least', min: 1, max: 5 },
+            interruptMaxImportance: { label: 'T3 Interrupt: importance at most', min: 1, max: 5 },
+            leverageFloor: { label: 'Otherwise T2 from ROI', min: 0, max: 100 },
+            interruptFloor: { label: 'Otherwise T3 from ROI', min: 0, max: 100 }
+        };
+        this.MAX_ADJUSTMENT = 50; // Points, either way
+    }
+
+    /**
+     * Built-in profiles. Each only lists what differs from the defaults.
+     */
+    getPresets() {
+        const presets = [
+            {
+                id: 'balanced', name: 'Balanced',
+                description: 'The default mix of goals, impact, time, deadlines and energy.'
+            },
+            {
+                id: 'deadline-crunch', name: 'Deadline crunch',
+                description: 'Agency weeks: due dates and urgency decide, prerequisites get pulled forward.',
+                weights: { GOAL_ALIGNMENT: 0.15, IMPACT_MAGNITUDE: 0.25, TIME_EFFICIENCY: 0.15, DEADLINE_PROXIMITY: 0.35, ENERGY_FIT: 0.10 },
+                thresholds: { criticalScore: 60, leverageMaxUrgency: 2 },
+                adjustments: { unblockBoost: 15 }
+            },
+            {
+                id: 'deep-build', name: 'Deep build',
+                description: 'Build weeks: goal work first, deadlines only when they are close, no quick-win bonus.',
+                weights: { GOAL_ALIGNMENT: 0.40, IMPACT_MAGNITUDE: 0.30, TIME_EFFICIENCY: 0.05, DEADLINE_PROXIMITY: 0.10, ENERGY_FIT: 0.15 },
+                thresholds: { criticalScore: 80, leverageScore: 55, leverageImportance: 3, leverageMaxUrgency: 4 },
+                adjustments: { rulePoints: { 'adjust-quick-win': 0 } }
+            },
+            {
+                id: 'clear-the-decks', name: 'Clear the decks',
+                description: 'Low-energy or admin days: short tasks that fit your energy float up.',
+                weights: { GOAL_ALIGNMENT: 0.15, IMPACT_MAGNITUDE: 0.15, TIME_EFFICIENCY: 0.35, DEADLINE_PROXIMITY: 0.15, ENERGY_FIT: 0.20 },
+                adjustments: { rulePoints: { 'adjust-quick-win': 20 } }
+            }
+        ];
+        return presets.map(preset => ({ ...this.resolve(preset), preset: true }));
+    }
+
+    /**
+     * Presets followed by the user's own profiles
+     */
+    getProfiles(userContext) {
+        return [...this.getPresets(), ...(userContext.scoringProfiles || []).map(profile => this.resolve(profile))];
+    }
+
+    getProfile(userContext, profileId) {
+        return this.getProfiles(userContext).find(profile => profile.id === profileId) || null;
+    }
+
+    /**
+     * Id of the profile in effect on `now`'s date
+     */
+    getActiveId(userContext, now = new Date()) {
+        const dayId = (userContext.dayProfiles || {})[toLocalDateTime(now).slice(0, 10)];
+        return dayId || userContext.defaultProfileId || this.DEFAULT_ID;
+    }
+
+    /**
+     * The profile in effect on `now`'s date; falls back to Balanced when
+     * the chosen profile has since been deleted
+     */
+    getActiveProfile(userContext, now = new Date()) {
+        return this.getProfile(userContext, this.getActiveId(userContext, now)) || this.getPresets()[0];
+    }
+
+    /**
+     * Make a profile the default, or (with `day`) the profile for that date
+     * only. Day choices for past dates are dropped.
+     */
+    setActive(userContext, profileId, day = null, now = new Date()) {
+        const today = toLocalDateTime(now).slice(0, 10);
+        const dayProfiles = Object.fromEntries(Object.entries(userContext.dayProfiles || {}).filter(([date]) => date >= today));
+
+        if (day) {
+            const key = toLocalDateTime(day).slice(0, 10);
+            if (profileId === (userContext.defaultProfileId || this.DEFAULT_ID)) delete dayProfiles[key];
+            else dayProfiles[key] = profileId;
+        } else {
+            userContext.defaultProfileId = profileId;
+        }
+        userContext.dayProfiles = dayProfiles;
+    }
+
+    /**
+     * Fill in everything a (possibly partial) profile leaves out
+     */
+    resolve(profile) {
+        const adjustments = profile.adjustments || {};
+        return {
+            id: profile.id,
+            name: profile.name,
+            description: profile.description || '',
+            weights: this.normalizeWeights({ ...this.DEFAULTS.weights, ...profile.weights }),
+            thresholds: { ...this.DEFAULTS.thresholds, ...profile.thresholds },
+            adjustments: {
+                unblockBoost: adjustments.unblockBoost ?? this.DEFAULTS.adjustments.unblockBoost,
+                rulePoints: { ...adjustments.rulePoints }
+            }
+        };
+    }
+
+    /**
+     * Scale weights so they sum to 1; all-zero weights fall back to the defaults
+     */
+    normalizeWeights(weights) {
+        const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+        if (!(total > 0)) return { ...this.DEFAULTS.weights };
+        return Object.fromEntries(Object.entries(weights).map(([key, weight]) => [key, weight / total]));
+    }
+
+    /**
+     * Validate a profile before saving it. Returns a list of problems.
+     */
+    validate(profile, userContext) {
+        const errors = [];
+
+        const name = (profile.name || '').trim();
+        if (!name) errors.push('Profile needs a name.');
+        const clash = this.getProfiles(userContext).find(other => other.id !== profile.id && other.name.toLowerCase() === name.toLowerCase());
+        if (name && clash) errors.push(`There is already a profile called "${clash.name}".`);
+
+        const weights = Object.entries(profile.weights || {});
+        for (const [key, weight] of weights) {
+            if (!(key in this.DEFAULTS.weights)) errors.push(`Unknown weight ${key}.`);
+            else if (!Number.isFinite(weight) || weight < 0) errors.push(`${key} weight must be zero or more.`);
+        }
+        if (!weights.some(([, weight]) => weight > 0)) errors.push('At least one weight must be above zero.');
+
+        const thresholds = profile.thresholds || {};
+        for (const [key, value] of Object.entries(thresholds)) {
+            const field = this.THRESHOLD_FIELDS[key];
+            if (!field) errors.push(`Unknown threshold ${key}.`);
+            else if (!Number.isInteger(value) || value < field.min || value > field.max) {
+                errors.push(`${field.label} must be a whole number from ${field.min} to ${field.max}.`);
+            }
+        }
+        const resolved = { ...this.DEFAULTS.thresholds, ...thresholds };
+        if (resolved.interruptFloor >= resolved.leverageFloor) {
+            errors.push('The T3 ROI floor must be below the T2 ROI floor.');
+        }
+
+        const adjustments = profile.adjustments || {};
+        const ruleNames = new Map((userContext.rules || []).map(rule => [rule.id, rule.name]));
+        const points = [
+            ['Unblock boost', adjustments.unblockBoost],
+            ...Object.entries(adjustments.rulePoints || {}).map(([ruleId, value]) => [ruleNames.get(ruleId) || ruleId, value])
+        ];
+        for (const [label, value] of points) {
+            if (value === undefined) continue;
+            if (!Number.isInteger(value) || Math.abs(value) > this.MAX_ADJUSTMENT) {
+                errors.push(`${label} must be a whole number from -${this.MAX_ADJUSTMENT} to ${this.MAX_ADJUSTMENT}.`);
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Add or replace a custom profile; weights are stored normalized
+     */
+    saveProfile(userContext, profile) {
+        const stored = {
+            ...profile,
+            id: profile.id || `profile-${Date.now()}`,
+            name: profile.name.trim(),
+            weights: this.normalizeWeights({ ...this.DEFAULTS.weights, ...profile.weights })
+        };
+        const profiles = userContext.scoringProfiles || [];
+        const index = profiles.findIndex(p => p.id === stored.id);
+        if (index === -1) profiles.push(stored);
+        else profiles[index] = stored;
+        userContext.scoringProfiles = profiles;
+        return stored;
+    }
+
+    /**
+     * Remove a custom profile; days and the default that used it go back
+     * to Balanced
+     */
+    deleteProfile(userContext, profileId) {
+        userContext.scoringProfiles = (userContext.scoringProfiles || []).filter(profile => profile.id !== profileId);
+        if (userContext.defaultProfileId === profileId) userContext.defaultProfileId = this.DEFAULT_ID;
+        userContext.dayProfiles = Object.fromEntries(Object.entries(userContext.dayProfiles || {}).filter(([, id]) => id !== profileId));
+    }
+}
+
+// ============================================================================
+// PREFERENCE LEARNING
+// ============================================================================
+
+/**
+ * Learns from which recommendations get followed. Every focus or completion
+ * is recorded as a choice event against the One Thing at that moment:
+ *
+ *   { at, type: 'focus' | 'complete', recommendedId, recommendedTitle,
+ *     chosenId, chosenTitle, followed }
+ *
+ * Each override (a different task picked) nudges the factor weights toward
+ * the factors where the chosen task beat the recommended one, and the tags
+ * that only one of the two carries toward or away from a small ROI bias.
+ * Everything stays in userContext; nothing leaves the device.
+ */
+class PreferenceLearner {
+    constructor() {
+        this.LEARNING_RATE = 0.02; // Weight shift per override, for a 100-point factor gap
+        this.MAX_WEIGHT_SHIFT = 0.10; // Learned shift cap per factor, either way
+        this.MIN_WEIGHT = 0.02; // No factor is learned away entirely
+        this.TAG_STEP = 1; // ROI points per override
+        this.MAX_TAG_BIAS = 10;
+        this.MAX_EVENTS = 200;
+        this.DEDUPE_HOURS = 12; // Completing a task just focused on is the same choice
+    }
+
+    isEnabled(userContext) {
+        return userContext.learningEnabled !== false;
+    }
+
+    /**
+     * The learned state: { overrides, weightShifts: { [factor]: delta },
+     * tagBias: { [tag]: points } }
+     */
+    getState(userContext) {
+        return {
+            overrides: 0,
+            weightShifts: {},
+            tagBias: {},
+            ...userContext.learnedPreferences
+        };
+    }
+
+    /**
+     * Record a choice and learn from it when it was an override.
+     * `values` maps a task to its raw factor values ({ [factor]: 0-100 }).
+     * Returns the event, or null when it repeats the last one.
+     */
+    record(userContext, { type, recommended, chosen, values }, now = new Date()) {
+        const events = userContext.choiceEvents || [];
+        const last = events[events.length - 1];
+        if (last && last.chosenId === chosen.id && now - new Date(last.at) < this.DEDUPE_HOURS * 60 * 60 * 1000) {
+            return null;
+        }
+
+        const event = {
+            at: now.toISOString(),
+            type,
+            recommendedId: recommended.id,
+            recommendedTitle: recommended.title,
+            chosenId: chosen.id,
+            chosenTitle: chosen.title,
+            followed: recommended.id === chosen.id
+        };
+        userContext.choiceEvents = [...events, event].slice(-this.MAX_EVENTS);
+
+        if (!event.followed && this.isEnabled(userContext)) {
+            userContext.learnedPreferences = this.learn(this.getState(userContext), values(recommended), values(chosen), recommended.tags, chosen.tags);
+        }
+        return event;
+    }
+
+    /**
+     * One override: move each weight by the chosen task's lead on that
+     * factor, and bias the tags the two tasks don't share
+     */
+    learn(state, recommendedValues, chosenValues, recommendedTags, chosenTags) {
+        const clamp = (value, max) => Math.max(-max, Math.min(max, value));
+        const weightShifts = { ...state.weightShifts };
+        for (const key of Object.keys(chosenValues)) {
+            const gap = (chosenValues[key] - recommendedValues[key]) / 100;
+            weightShifts[key] = clamp((weightShifts[key] || 0) + gap * this.LEARNING_RATE, this.MAX_WEIGHT_SHIFT);
+        }
+
+        const tagBias = { ...state.tagBias };
+        const lower = tags => new Set((tags || []).map(tag => tag.toLowerCase()));
+        const from = lower(recommendedTags);
+        const to = lower(chosenTags);
+        for (const tag of to) if (!from.has(tag)) tagBias[tag] = clamp((tagBias[tag] || 0) + this.TAG_STEP, this.MAX_TAG_BIAS);
+        for (const tag of from) if (!to.has(tag)) tagBias[tag] = clamp((tagBias[tag] || 0) - this.TAG_STEP, this.MAX_TAG_BIAS);
+
+        return { overrides: state.overrides + 1, weightShifts, tagBias };
+    }
+
+    /**
+     * A profile with the learned shifts added to its weights (renormalized)
+     */
+    apply(profile, userContext) {
+        if (!this.isEnabled(userContext)) return profile;
+
+        const { weightShifts } = this.getState(userContext);
+        if (!Object.values(weightShifts).some(shift => shift !== 0)) return profile;
+
+        const shifted = Object.fromEntries(Object.entries(profile.weights)
+            .map(([key, weight]) => [key, Math.max(this.MIN_WEIGHT, weight + (weightShifts[key] || 0))]));
+        const total = Object.values(shifted).reduce((sum, weight) => sum + weight, 0);
+        const weights = Object.fromEntries(Object.entries(shifted).map(([key, weight]) => [key, weight / total]));
+        return { ...profile, weights, baseWeights: profile.weights, learned: true };
+    }
+
+    /**
+     * Learned tag biases that apply to a task, as strategic adjustments
+     */
+    getTagAdjustments(task, userContext) {
+        if (!this.isEnabled(userContext)) return [];
+
+        const { tagBias } = this.getState(userContext);
+        return [...new Set(task.tags.map(tag => tag.toLowerCase()))]
+            .filter(tag => tagBias[tag])
+            .map(tag => ({ label: `Learned: you ${tagBias[tag] > 0 ? 'favour' : 'tend to skip'} #${tag}`, points: tagBias[tag] }));
+    }
+
+    /**
+     * Follow rate over the recorded choices, plus the learned drift:
+     * { choices, followed, overrides, tags: [{ tag, points }] } biggest first
+     */
+    summarize(userContext) {
+        const events = userContext.choiceEvents || [];
+        const followed = events.filter(event => event.followed).length;
+        const tags = Object.entries(this.getState(userContext).tagBias)
+            .filter(([, points]) => points !== 0)
+            .map(([tag, points]) => ({ tag, points }))
+            .sort((a, b) => Math.abs(b.points) - Math.abs(a.points));
+        return { choices: events.length, followed, overrides: events.length - followed, tags };
+    }
+
+    /**
+     * Forget what was learned; the choice log stays
+     */
+    reset(userContext) {
+        userContext.learnedPreferences = null;
+    }
+}
+
+// ============================================================================
+// STRATEGIC TRIAGE ENGINE - 5-TIER SYSTEM
+// ============================================================================
+
+class StrategicTriageEngine {
+    constructor() {
+        this.TIER_WEIGHTS = {
+            GOAL_ALIGNMENT: 0.30,
+            IMPACT_MAGNITUDE: 0.25,
+            TIME_EFFICIENCY: 0.20,
+            DEADLINE_PROXIMITY: 0.15,
+            ENERGY_FIT: 0.10
+        };
+        // Cutoffs used by classifyTask
+        this.TIER_THRESHOLDS = {
+            criticalScore: 70,
+            criticalUrgency: 4,
+            leverageScore: 60,
+            leverageImportance: 4,
+            leverageMaxUrgency: 3,
+            interruptUrgency: 4,
+            interruptMaxImportance: 2,
+            leverageFloor: 50,
+            interruptFloor: 30
+        };
+        this.UNBLOCK_BOOST = {
+            MIN_DEPENDENT_ROI: 60, // Only boost prerequisites of high-ROI work
+            POINTS: 10
+        };
+        this.TIER_NAMES = {
+            T1: 'Critical',
+            T2: 'Leverage',
+            T3: 'Interrupt',
+            T4: 'Distract',
+            T5: 'Phantom'
+        };
+        this.goalManager = new GoalManager();
+        this.ruleEngine = new HeuristicRuleEngine();
+        this.dependencyManager = new DependencyManager();
+        this.clarificationManager = new ClarificationManager();
+        this.calibrator = new EstimateCalibrator();
+        this.learner = new PreferenceLearner();
+        this.tagManager = this.ruleEngine.tagManager;
+        this.overrideManager = new OverrideManager();
+        // Weights, thresholds and boost above are the Balanced profile
+        this.profileManager = new ScoringProfileManager({
+            weights: this.TIER_WEIGHTS,
+            thresholds: this.TIER_THRESHOLDS,
+            adjustments: { unblockBoost: this.UNBLOCK_BOOST.POINTS, rulePoints: {} }
+        });
+    }
+
+    /**
+     * Scoring profile in effect on `now`'s date, see ScoringProfileManager,
+     * with the weight shifts learned from past choices applied
+     */
+    getProfile(userContext, now = new Date()) {
+        return this.learner.apply(this.profileManager.getActiveProfile(userContext, now), userContext);
+    }
+
+    /**
+     * Main entry point for task triage
+     * Returns classification and ROI score for each task, and attaches a
+     * structured `explanation` describing how the score was reached.
+     * Deadlines and deadline rules are measured from `now`, and weights and
+     * thresholds come from the scoring profile active on that date.
+     */
+    triageTasks(tasks, userContext, now = new Date()) {
+        const results = [];
+        const profile = this.getProfile(userContext, now);
+        const bias = userContext.useCalibratedEstimates ? this.calibrator.getBias(tasks) : null;
+
+        for (const task of tasks) {
+            if (task.completed) continue;
+
+            // Classification from a previous run must not leak into this one
+            task.classification = null;
+            task.calibratedMinutes = bias ? this.calibrator.calibrate(task, bias) : null;
+
+            // Split tasks are containers; their subtasks get triaged instead
+            if (this.clarificationManager.isParent(task, tasks)) {
+                const openChildren = this.clarificationManager.getChildren(task, tasks).filter(child => !child.completed);
+                task.roiScore = 0;
+                task.reason = `PROJECT: ${openChildren.length} open subtask${openChildren.length === 1 ? '' : 's'}`;
+                task.explanation = null;
+                continue;
+            }
+
+            // Step 1: Apply heuristic rules first (auto-classify obvious cases)
+            const autoClassification = this.applyHeuristicRules(task, userContext, now);
+            if (autoClassification) {
+                task.roiScore = autoClassification.roiScore;
+                if (autoClassification.tier) {
+                    task.classification = autoClassification.tier;
+                    task.reason = autoClassification.reason;
+                    task.tierRule = null;
+                } else {
+                    task.classification = this.classifyTask(task, userContext, profile);
+                }
+                task.explanation = {
+                    heuristic: {
+                        rule: autoClassification.rule,
+                        ruleId: autoClassification.ruleId,
+                        forcedTier: !!autoClassification.tier,
+                        roiScore: autoClassification.roiScore
+                    },
+                    factors: [],
+                    baseScore: null,
+                    adjustments: [],
+                    finalScore: task.roiScore,
+                    tier: task.classification,
+                    tierRule: task.tierRule,
+                    profile: { id: profile.id, name: profile.name, learned: !!profile.learned }
+                };
+                results.push(task);
+                continue;
+            }
+
+            // Step 2: Calculate ROI score for remaining tasks
+            const factors = this.calculateFactors(task, userContext, now, profile);
+            task.roiScore = this.calculateROIScore(task, userContext, factors);
+            const baseScore = task.roiScore;
+
+            // Step 3: Apply strategic adjustments
+            const adjustments = this.getStrategicAdjustments(task, userContext, now, profile);
+            task.roiScore = this.applyStrategicAdjustments(task, userContext, adjustments);
+
+            // Step 4: Determine final classification
+            task.classification = this.classifyTask(task, userContext, profile);
+
+            task.explanation = {
+                heuristic: null,
+                factors,
+                baseScore,
+                adjustments,
+                finalScore: task.roiScore,
+                tier: task.classification,
+                tierRule: task.tierRule,
+                profile: { id: profile.id, name: profile.name, learned: !!profile.learned }
+            };
+
+            results.push(task);
+        }
+
+        // Step 5: Boost tasks that unblock high-ROI work
+        this.applyUnblockBoosts(results, tasks, userContext, profile);
+
+        // Step 6: Manual overrides have the last word on tiers
+        this.applyOverrides(results, now);
+
+        // Split tasks sort alongside their best open subtask
+        for (const task of tasks) {
+            if (task.completed || !this.clarificationManager.isParent(task, tasks)) continue;
+            const childScores = this.clarificationManager.getChildren(task, tasks)
+                .filter(child => !child.completed)
+                .map(child => child.roiScore);
+            task.roiScore = childScores.length ? Math.max(...childScores) : 0;
+        }
+
+        // Step 7: Sort by ROI score, pinned tasks first
+        return results.sort((a, b) => this.compareTasks(a, b));
+    }
+
+    /**
+     * Queue order: tasks pinned to the top, then highest ROI
+     */
+    compareTasks(a, b) {
+        const pinned = task => (task.explanation?.override?.pinned ? 1 : 0);
+        return pinned(b) - pinned(a) || b.roiScore - a.roiScore;
+    }
+
+    /**
+     * Step 5: Unblock Boost
+     * Scored tasks that (directly or transitively) block high-ROI work get
+     * extra points so prerequisites surface ahead of the work they hold up
+     */
+    applyUnblockBoosts(triaged, tasks, userContext, profile = this.getProfile(userContext)) {
+        for (const task of triaged) {
+            if (task.explanation.heuristic) continue;
+
+            const dependents = this.dependencyManager.getTransitiveDependents(task, tasks);
+            if (dependents.length === 0) continue;
+
+            const top = dependents.reduce((best, dependent) => dependent.roiScore > best.roiScore ? dependent : best);
+            if (top.roiScore < this.UNBLOCK_BOOST.MIN_DEPENDENT_ROI) continue;
+
+            const points = profile.adjustments.unblockBoost;
+            if (!points) continue;
+
+            const adjustment = { label: `Unblocks “${top.title}” (ROI ${top.roiScore})`, points };
+            task.roiScore += adjustment.points;
+            task.classification = null;
+            task.classification = this.classifyTask(task, userContext, profile);
+            task.explanation.adjustments.push(adjustment);
+            Object.assign(task.explanation, {
+                finalScore: task.roiScore,
+                tier: task.classification,
+                tierRule: task.tierRule
+            });
+        }
+    }
+
+    /**
+     * Step 6: Manual Overrides
+     * A pinned tier replaces the engine's; what the engine chose is kept
+     * in explanation.override.engine so the card can still show it
+     */
+    applyOverrides(triaged, now = new Date()) {
+        for (const task of triaged) {
+            const override = this.overrideManager.getActive(task, now);
+            if (!override) continue;
+
+            const engine = { tier: task.classification, roiScore: task.roiScore, reason: task.reason, tierRule: task.tierRule };
+            if (override.tier) {
+                task.classification = override.tier;
+                task.reason = `PINNED: ${override.reason || `Set to ${this.TIER_NAMES[override.tier]} by you`}`;
+                task.tierRule = `pinned to ${override.tier} by you`;
+            }
+            Object.assign(task.explanation, {
+                override: { ...override, engine },
+                tier: task.classification,
+                tierRule: task.tierRule
+            });
+        }
+    }
+
+    /**
+     * Step 1: Heuristic Rules Engine
+     * Auto-classify tasks matching the user's forceTier/setScore rules.
+     * A forceTier rule returns a tier; setScore leaves tier to classifyTask.
+     */
+    applyHeuristicRules(task, userContext, now = new Date()) {
+        const match = this.ruleEngine.findClassifyingRule(task, userContext, now);
+        if (!match) {
+            return null; // Needs full ROI calculation
+        }
+
+        const { rule, details } = match;
+        return {
+            tier: rule.action.type === 'forceTier' ? rule.action.tier : null,
+            roiScore: rule.action.score,
+            reason: rule.action.reason || null,
+            rule: `${rule.name} (${details.join(', ')})`,
+            ruleId: rule.id
+        };
+    }
+
+    /**
+     * Step 2: Calculate ROI Score
+     * ROI = (GOAL_ALIGNMENT × 0.30) + (IMPACT × 0.25) + 
+     *       (TIME_EFFICIENCY × 0.20) + (DEADLINE × 0.15) + (ENERGY × 0.10)
+     */
+    calculateROIScore(task, userContext, factors = this.calculateFactors(task, userContext)) {
+        const roi = factors.reduce((sum, factor) => sum + factor.contribution, 0);
+
+        return Math.round(Math.max(0, Math.min(100, roi)));
+    }
+
+    /**
+     * Raw value, weight and weighted contribution of each ROI factor
+     */
+    calculateFactors(task, userContext, now = new Date(), profile = this.getProfile(userContext, now)) {
+        const factors = [
+            { key: 'GOAL_ALIGNMENT', label: 'Goal alignment', value: this.calculateGoalAlignment(task, userContext) },
+            { key: 'IMPACT_MAGNITUDE', label: 'Impact', value: this.calculateImpactMagnitude(task, userContext) },
+            { key: 'TIME_EFFICIENCY', label: 'Time efficiency', value: this.calculateTimeEfficiency(task, userContext) },
+            { key: 'DEADLINE_PROXIMITY', label: 'Deadline proximity', value: this.calculateDeadlineProximity(task, userContext, now) },
+            { key: 'ENERGY_FIT', label: 'Energy fit', value: this.calculateEnergyFit(task, userContext) }
+        ];
+
+        return factors.map(factor => {
+            const weight = profile.weights[factor.key];
+            return { ...factor, weight, contribution: factor.value * weight };
+        });
+    }
+
+    /**
+     * GOAL_ALIGNMENT: How directly does this advance quarterly goals?
+     * 90+ = Direct line to goal progress
+     * 50-70 = Tangentially related
+     * <50 = No clear connection
+     * Explicit goal links win; keyword matching is only a fallback for
+     * tasks that are not linked to an active goal.
+     */
+    calculateGoalAlignment(task, userContext) {
+        // Explicit links: strongest link weight (1-5) maps to 80-100
+        const links = this.goalManager.getActiveLinks(task, userContext);
+        if (links.length > 0) {
+            const strongest = Math.max(...links.map(link => link.weight));
+            return 75 + strongest * 5;
+        }
+
+        const lowerTitle = task.title.toLowerCase();
+        const lowerTags = task.tags.map(t => t.toLowerCase()).join(' ');
+
+        // Direct goal matches
+        for (const goal of this.goalManager.getActiveGoals(userContext)) {
+            const goalWords = goal.description.toLowerCase().split(/\s+/);
+            for (const word of goalWords) {
+                if (word.length > 4 && (lowerTitle.includes(word) || lowerTags.includes(word))) {
+                    return 90; // Direct alignment
+                }
+            }
+        }
+
+        // Tangential indicators
+        const leverageKeywords = ['build', 'ship', 'launch', 'create', 'develop', 'implement', 'customer', 'user', 'product'];
+        if (leverageKeywords.some(kw => lowerTitle.includes(kw))) {
+            return 60; // Tangentially related
+        }
+
+        return 30; // No clear connection
+    }
+
+    /**
+     * IMPACT_MAGNITUDE: If completed, how much value does this create?
+     */
+    calculateImpactMagnitude(task, userContext) {
+        // Base score from importance
+        let impact = task.importance * 20; // 1-5 → 20-100
+
+        // Revenue impact (via tags)
+        if (this.tagManager.hasRole(task, 'revenue', userContext)) {
+            impact = Math.min(100, impact + 15);
+        }
+
+        // Learning/skill building
+        if (this.tagManager.hasRole(task, 'learning', userContext)) {
+            impact = Math.min(100, impact + 10);
+        }
+
+        return impact;
+    }
+
+    /**
+     * TIME_EFFICIENCY: Shorter tasks score higher (quick wins bias)
+     * Formula: min(100, 60 / estimated_minutes × 100)
+     */
+    calculateTimeEfficiency(task, userContext) {
+        const minutes = this.getEffectiveMinutes(task);
+        if (minutes <= 0) return 50;
+        return Math.min(100, (60 / minutes) * 100);
+    }
+
+    /**
+     * Minutes to plan around: the calibrated estimate when triage set one
+     */
+    getEffectiveMinutes(task) {
+        return task.calibratedMinutes || task.estimatedMinutes;
+    }
+
+    /**
+     * DEADLINE_PROXIMITY: Closer deadlines score higher
+     * Formula: max(0, 100 - (hours_until_deadline / 2))
+     */
+    calculateDeadlineProximity(task, userContext, now = new Date()) {
+        if (!task.deadline) return 30; // No deadline - neutral score
+
+        const deadline = new Date(task.deadline);
+        const hoursUntil = (deadline - now) / (1000 * 60 * 60);
+
+        if (hoursUntil <= 0) return 100; // Overdue
+        if (hoursUntil <= 2) return 95;
+        if (hoursUntil <= 8) return 85;
+        if (hoursUntil <= 24) return 70;
+        if (hoursUntil <= 48) return 50;
+        if (hoursUntil <= 168) return 30; // 1 week
+
+        return 10; // Distant deadline
+    }
+
+    /**
+     * ENERGY_FIT: Does this match the user's current energy level?
+     */
+    calculateEnergyFit(task, userContext) {
+        // Determine task energy requirement
+        let requiredEnergy = 3;
+
+        const highEnergyKeywords = ['create', 'design', 'build', 'solve', 'analyze', 'strategy'];
+        const lowEnergyKeywords = ['email', 'review', 'check', 'update', 'organize'];
+
+        const lowerTitle = task.title.toLowerCase();
+
+        if (highEnergyKeywords.some(kw => lowerTitle.includes(kw))) {
+            requiredEnergy = 5;
+        } else if (lowEnergyKeywords.some(kw => lowerTitle.includes(kw))) {
+            requiredEnergy = 2;
+        }
+
+        // Match score: 100 if perfect match, decreases with difference
+        const energyDiff = Math.abs(requiredEnergy - userContext.energyLevel);
+        return Math.max(0, 100 - (energyDiff * 20));
+    }
+
+    /**
+     * Step 3: Apply Strategic Adjustments
+     */
+    applyStrategicAdjustments(task, userContext, adjustments = this.getStrategicAdjustments(task, userContext)) {
+        return adjustments.reduce((roi, adjustment) => roi + adjustment.points, task.roiScore);
+    }
+
+    /**
+     * Bonuses and penalties that apply to this task (adjustScore rules:
+     * chronic rollover, recurring and quick win by default), with the
+     * amounts the profile overrides. Zeroed rules drop out.
+     */
+    getStrategicAdjustments(task, userContext, now = new Date(), profile = this.getProfile(userContext, now)) {
+        const ruleAdjustments = this.ruleEngine.getAdjustments(task, userContext, now)
+            .map(adjustment => ({ ...adjustment, points: profile.adjustments.rulePoints[adjustment.ruleId] ?? adjustment.points }));
+        return [...ruleAdjustments, ...this.learner.getTagAdjustments(task, userContext)]
+            .filter(adjustment => adjustment.points !== 0);
+    }
+
+    /**
+     * Step 4: Determine final classification based on ROI and context,
+     * using the profile's thresholds
+     */
+    classifyTask(task, userContext, profile = this.getProfile(userContext)) {
+        // Already classified by a forceTier rule
+        if (task.classification) {
+            return task.classification;
+        }
+
+        const t = profile.thresholds;
+
+        // T2 LEVERAGE: High ROI, important but not urgent (classic Q2)
+        if (task.roiScore >= t.leverageScore && task.importance >= t.leverageImportance && task.urgency <= t.leverageMaxUrgency) {
+            task.reason = 'LEVERAGE: High-impact strategic work - protect this time';
+            task.tierRule = `ROI ${task.roiScore} ≥ ${t.leverageScore}, importance ${task.importance} ≥ ${t.leverageImportance}, urgency ${task.urgency} ≤ ${t.leverageMaxUrgency}`;
+            return 'T2';
+        }
+
+        // T1 CRITICAL: High ROI + urgent
+        if (task.roiScore >= t.criticalScore && task.urgency >= t.criticalUrgency) {
+            task.reason = 'CRITICAL: High priority with urgency - do now';
+            task.tierRule = `ROI ${task.roiScore} ≥ ${t.criticalScore}, urgency ${task.urgency} ≥ ${t.criticalUrgency}`;
+            return 'T1';
+        }
+
+        // T3 INTERRUPTION: Urgent but low importance
+        if (task.urgency >= t.interruptUrgency && task.importance <= t.interruptMaxImportance) {
+            task.reason = 'INTERRUPTION: Urgent but low value - delegate or defer';
+            task.tierRule = `Urgency ${task.urgency} ≥ ${t.interruptUrgency}, importance ${task.importance} ≤ ${t.interruptMaxImportance}`;
+            return 'T3';
+        }
+
+        // T2 LEVERAGE: Default for high ROI tasks
+        if (task.roiScore >= t.leverageFloor) {
+            task.reason = 'LEVERAGE: Good ROI - schedule intentionally';
+            task.tierRule = `ROI ${task.roiScore} ≥ ${t.leverageFloor}`;
+            return 'T2';
+        }
+
+        // T3 INTERRUPTION: Default for medium ROI tasks
+        if (task.roiScore >= t.interruptFloor) {
+            task.reason = 'INTERRUPTION: Moderate value - fit in around priorities';
+            task.tierRule = `ROI ${task.roiScore} between ${t.interruptFloor} and ${t.leverageFloor - 1}`;
+            return 'T3';
+        }
+
+        // T4 DISTRACTION: Low ROI
+        task.reason = 'DISTRACTION: Low ROI - consider deletion';
+        task.tierRule = `ROI ${task.roiScore} below ${t.interruptFloor}`;
+        return 'T4';
+    }
+
+    /**
+     * Minutes left for tasks today: availableMinutes less the meetings
+     * still ahead before midnight
+     */
+    getAvailableMinutes(userContext, now = new Date()) {
+        const midnight = new Date(now);
+        midnight.setHours(24, 0, 0, 0);
+
+        const meetingMinutes = (userContext.meetings || []).reduce((sum, meeting) => {
+            const start = Math.max(new Date(meeting.start).getTime(), now.getTime());
+            const end = Math.min(new Date(meeting.end).getTime(), midnight.getTime());
+            return end > start ? sum + (end - start) / 60000 : sum;
+        }, 0);
+
+        return Math.max(0, userContext.availableMinutes - Math.round(meetingMinutes));
+    }
+
+    /**
+     * Get the recommended action (single highest-ROI task)
+     */
+    getRecommendedAction(tasks, userContext, now = new Date()) {
+        const triaged = this.triageTasks(tasks, userContext, now);
+        const availableMinutes = this.getAvailableMinutes(userContext, now);
+        
+        // Filter tasks that fit in available time and energy
+        const fitTasks = triaged.filter(task => {
+            // Time budget: don't recommend tasks >80% of available time
+            if (this.getEffectiveMinutes(task) > availableMinutes * 0.8) {
+                return false;
+            }
+
+            // Energy fit: skip tasks that require more energy than available
+            const taskEnergyReq = task.importance >= 4 ? 5 : 3;
+            if (taskEnergyReq > userContext.energyLevel + 1) {
+                return false;
+            }
+
+            // Exclude T4 and T5 from recommendations
+            if (task.classification === 'T4' || task.classification === 'T5') {
+                return false;
+            }
+
+            // Blocked work can't start yet
+            if (this.dependencyManager.isBlocked(task, tasks)) {
+                return false;
+            }
+
+            // Excluded by a manual override
+            if (task.explanation?.override?.excluded) {
+                return false;
+            }
+
+            return true;
+        });
+
+        if (fitTasks.length === 0) {
+            return {
+                task: null,
+                why: "No tasks fit your current time/energy constraints. Great job clearing your queue!"
+            };
+        }
+
+        const topTask = fitTasks[0];
+        
+        let why = "";
+        switch (topTask.classification) {
+            case 'T1':
+                why = `CRITICAL: Has ${topTask.urgency}/5 urgency and directly impacts your goals. Clear everything else.`;
+                break;
+            case 'T2':
+                why = `LEVERAGE: High ROI (${topTask.roiScore}) strategic work. This is what moves the needle.`;
+                break;
+            case 'T3':
+                why = `INTERRUPTION: Needs attention but don't let it derail your important work.`;
+                break;
+            default:
+                why = `Recommended based on ROI score of ${topTask.roiScore}.`;
+        }
+
+        return {
+            task: topTask,
+            why: why
+        };
+    }
+
+    /**
+     * Record that the user focused on or completed `chosen` while
+     * `recommended` was the One Thing on screen (maybe the same task; the
+     * caller knows whether that came from a day plan or getRecommendedAction).
+     * Returns the choice event, or null when there was nothing to compare.
+     */
+    recordChoice(tasks, userContext, chosen, recommended, type, now = new Date()) {
+        if (!recommended || this.clarificationManager.isParent(chosen, tasks)) return null;
+
+        const values = task => Object.fromEntries(this.calculateFactors(task, userContext, now).map(factor => [factor.key, factor.value]));
+        return this.learner.record(userContext, { type, recommended, chosen, values }, now);
+    }
+}
+
+// ============================================================================
+// RECURRENCE MANAGER
+// ============================================================================
+
+/**
+ * Recurrence rules for tasks. A rule is plain data stored on the task:
+ *
+ *   { type: 'daily' }
+ *   { type: 'weekdays' }
+ *   { type: 'everyNDays', interval: 3 }
+ *   { type: 'monthly', dayOfMonth: 15 }
+ *   { type: 'rrule', rrule: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH' }
+ *
+ * plus `anchor` (the series start date) and `generated` (occurrences so far,
+ * for RRULE COUNT). Every occurrence of a series shares `task.seriesId`.
+ */
+class RecurrenceManager {
+    constructor() {
+        this.TYPES = {
+            daily: 'Daily',
+            weekdays: 'Weekdays',
+            everyNDays: 'Every N days',
+            monthly: 'Monthly on a day',
+            rrule: 'Custom (RRULE)'
+        };
+        this.WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+        this.MAX_SEARCH_DAYS = 3 * 366;
+        this.HISTORY_WINDOW = 10; // Occurrences used for the completion rate
+    }
+
+    /**
+     * Attach (or replace) a recurrence rule on a task
+     */
+    setRecurrence(task, recurrence) {
+        const anchor = task.deadline ? new Date(task.deadline) : new Date();
+        task.recurrence = { ...recurrence, anchor: anchor.toISOString(), generated: 1 };
+        task.seriesId = task.seriesId || `series-${task.id}`;
+    }
+
+    /**
+     * Stop the series; this occurrence stays as a one-off task
+     */
+    endRecurrence(task) {
+        task.recurrence = null;
+    }
+
+    /**
+     * Validate a recurrence rule. Returns a list of problems.
+     */
+    validate(recurrence) {
+        if (!this.TYPES[recurrence.type]) return ['Pick a repeat type.'];
+        if (recurrence.type === 'everyNDays' && !(recurrence.interval >= 1)) return ['Every N days needs N ≥ 1.'];
+        if (recurrence.type === 'monthly' && !(recurrence.dayOfMonth >= 1 && recurrence.dayOfMonth <= 31)) {
+            return ['Pick a day of the month between 1 and 31.'];
+        }
+        if (recurrence.type === 'rrule') {
+            const parsed = this.parseRRule(recurrence.rrule || '');
+            if (parsed.error) return [parsed.error];
+        }
+        return [];
+    }
+
+    /**
+     * Parse the supported RRULE subset: FREQ (DAILY/WEEKLY/MONTHLY),
+     * INTERVAL, BYDAY, BYMONTHDAY, COUNT and UNTIL
+     */
+    parseRRule(text) {
+        const parts = {};
+        for (const pair of text.replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+            const [key, value] = pair.split('=');
+            if (!key || value === undefined) return { error: `Can't read "${pair}" in RRULE.` };
+            parts[key.trim().toUpperCase()] = value.trim().toUpperCase();
+        }
+
+        if (!['DAILY', 'WEEKLY', 'MONTHLY'].includes(parts.FREQ)) {
+            return { error: 'RRULE needs FREQ=DAILY, WEEKLY or MONTHLY.' };
+        }
+
+        const rule = { freq: parts.FREQ, interval: parseInt(parts.INTERVAL || '1') };
+        if (!(rule.interval >= 1)) return { error: 'RRULE INTERVAL must be 1 or more.' };
+
+        if (parts.BYDAY) {
+            rule.byDay = parts.BYDAY.split(',').map(day => this.WEEKDAYS.indexOf(day));
+            if (rule.byDay.includes(-1)) return { error: 'RRULE BYDAY uses MO, TU, WE, TH, FR, SA, SU.' };
+        }
+        if (parts.BYMONTHDAY) {
+            rule.byMonthDay = parseInt(parts.BYMONTHDAY);
+            if (!(rule.byMonthDay >= 1 && rule.byMonthDay <= 31)) return { error: 'RRULE BYMONTHDAY must be 1-31.' };
+        }
+        if (parts.COUNT) rule.count = parseInt(parts.COUNT);
+        if (parts.UNTIL) {
+            const match = parts.UNTIL.match(/^(\d{4})(\d{2})(\d{2})/);
+            if (!match) return { error: 'RRULE UNTIL must look like 20261231.' };
+            rule.until = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]), 23, 59, 59);
+        }
+        return rule;
+    }
+
+    /**
+     * Next deadline after the current occurrence, never in the past.
+     * Keeps the time of day of the current deadline (09:00 if none).
+     * Returns null when the series has run out (RRULE COUNT/UNTIL).
+     */
+    getNextDeadline(task, now = new Date()) {
+        const recurrence = task.recurrence;
+        if (!recurrence) return null;
+
+        const rrule = recurrence.type === 'rrule' ? this.parseRRule(recurrence.rrule) : null;
+        if (rrule && rrule.count && recurrence.generated >= rrule.count) return null;
+
+        const current = task.deadline ? new Date(task.deadline) : new Date(now);
+        if (!task.deadline) current.setHours(9, 0, 0, 0);
+
+        const candidate = new Date(current);
+        for (let i = 0; i < this.MAX_SEARCH_DAYS; i++) {
+            candidate.setDate(candidate.getDate() + 1);
+            if (rrule && rrule.until && candidate > rrule.until) return null;
+            if (candidate > now && this.matchesDay(recurrence, rrule, candidate)) {
+                return candidate;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Does the rule produce an occurrence on this calendar day?
+     */
+    matchesDay(recurrence, rrule, day) {
+        const anchor = new Date(recurrence.anchor);
+        const daysSinceAnchor = Math.round((this.startOfDay(day) - this.startOfDay(anchor)) / 86400000);
+        const lastDayOfMonth = new Date(day.getFullYear(), day.getMonth() + 1, 0).getDate();
+        const isMonthDay = target => day.getDate() === Math.min(target, lastDayOfMonth);
+
+        switch (recurrence.type) {
+            case 'daily':
+                return true;
+            case 'weekdays':
+                return day.getDay() >= 1 && day.getDay() <= 5;
+            case 'everyNDays':
+                return daysSinceAnchor % recurrence.interval === 0;
+            case 'monthly':
+                return isMonthDay(recurrence.dayOfMonth);
+            case 'rrule': {
+                if (rrule.freq === 'DAILY') {
+                    return daysSinceAnchor % rrule.interval === 0 && (!rrule.byDay || rrule.byDay.includes(day.getDay()));
+                }
+                if (rrule.freq === 'WEEKLY') {
+                    const weeks = Math.floor((daysSinceAnchor + anchor.getDay()) / 7);
+                    const days = rrule.byDay || [anchor.getDay()];
+                    return weeks % rrule.interval === 0 && days.includes(day.getDay());
+                }
+                const months = (day.getFullYear() - anchor.getFullYear()) * 12 + day.getMonth() - anchor.getMonth();
+                return months % rrule.interval === 0 && isMonthDay(rrule.byMonthDay || anchor.getDate());
+            }
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Record a completed or skipped occurrence in the series history
+     */
+    recordOccurrence(userContext, task, status, now = new Date()) {
+        userContext.seriesHistory = userContext.seriesHistory || {};
+        const history = userContext.seriesHistory[task.seriesId] || (userContext.seriesHistory[task.seriesId] = []);
+        history.push({ taskId: task.id, deadline: task.deadline, status, at: now.toISOString() });
+    }
+
+    /**
+     * Completed share of the most recent occurrences, or null with no history
+     */
+    getCompletionRate(userContext, seriesId) {
+        const history = ((userContext.seriesHistory || {})[seriesId] || []).slice(-this.HISTORY_WINDOW);
+        if (history.length === 0) return null;
+        return Math.round(history.filter(entry => entry.status === 'completed').length / history.length * 100);
+    }
+
+    /**
+     * Build the next occurrence of a completed task, or null if the series ended
+     */
+    createNextOccurrence(task, now = new Date()) {
+        const nextDeadline = this.getNextDeadline(task, now);
+        if (!nextDeadline) return null;
+
+        const next = new Task(
+            Date.now(),
+            task.title,
+            task.estimatedMinutes,
+            task.importance,
+            task.urgency,
+            toLocalDateTime(nextDeadline),
+            [...task.tags],
+            task.notes
+        );
+        next.goalLinks = task.goalLinks.map(link => ({ ...link }));
+        next.seriesId = task.seriesId;
+        next.recurrence = { ...task.recurrence, generated: task.recurrence.generated + 1 };
+        return next;
+    }
+
+    /**
+     * Move an occurrence to the next date without completing it
+     * Returns false when the series has no further occurrences
+     */
+    skipOccurrence(task, now = new Date()) {
+        const nextDeadline = this.getNextDeadline(task, now);
+        if (!nextDeadline) return false;
+
+        task.deadline = toLocalDateTime(nextDeadline);
+        task.recurrence.generated++;
+        return true;
+    }
+
+    /**
+     * Short label for a rule, e.g. "Every 3 days"
+     */
+    describe(recurrence) {
+        if (!recurrence) return '';
+        switch (recurrence.type) {
+            case 'daily': return 'Daily';
+            case 'weekdays': return 'Weekdays';
+            case 'everyNDays': return `Every ${recurrence.interval} days`;
+            case 'monthly': return `Monthly on day ${recurrence.dayOfMonth}`;
+            case 'rrule': return recurrence.rrule;
+            default: return '';
+        }
+    }
+
+    startOfDay(date) {
+        const day = new Date(date);
+        day.setHours(0, 0, 0, 0);
+        return day;
+    }
+}
+
+// ============================================================================
+// QUICK-ADD PARSER
+// ============================================================================
+
+/**
+ * Parses one-line task entry, e.g.
+ *   Send invoice to Acme tomorrow 3pm ~30m !5 ^4 #client #revenue // notes
+ *
+ *   ~30m, ~1h, ~1h30m   estimate        !1-!5   importance
+ *   ^1-^5               urgency         #tag    tags
+ *   // text             notes (rest of the line)
+ *   today, tonight, tomorrow, mon-sun, next week, in 3 days/weeks/hours,
+ *   3pm, 3:30pm, 15:00, noon, eod       deadline
+ *
+ * Anything not recognized stays in the title. Fields that were not given
+ * come back as null so the form's own inputs can fill them in.
+ */
+class QuickAddParser {
+    constructor() {
+        this.WEEKDAYS = {
+            sun: 0, sunday: 0, mon: 1, monday: 1, tue: 2, tues: 2, tuesday: 2, wed: 3, wednesday: 3,
+            thu: 4, thur: 4, thurs: 4, thursday: 4, fri: 5, friday: 5, sat: 6, saturday: 6
+        };
+        this.DEFAULT_DUE_HOUR = 17; // Date without a time means end of workday
+    }
+
+    parse(text, now = new Date()) {
+        const result = {
+            title: '',
+            estimatedMinutes: null,
+            importance: null,
+            urgency: null,
+            deadline: null,
+            tags: [],
+            notes: ''
+        };
+        let rest = ` ${text} `;
+
+        // Notes: everything after a standalone "//" (so URLs survive)
+        const notesMatch = rest.match(/\s\/\/\s?(.*)$/);
+        if (notesMatch) {
+            result.notes = notesMatch[1].trim();
+            rest = rest.slice(0, notesMatch.index) + ' ';
+        }
+
+        rest = rest.replace(/\s#([\w-]+)(?=\s)/g, (match, tag) => {
+            if (!result.tags.includes(tag.toLowerCase())) result.tags.push(tag.toLowerCase());
+            return ' ';
+        });
+
+        rest = rest.replace(/\s~(\d+(?:\.\d+)?)(h|m|min)?(?:(\d+)m)?(?=\s)/i, (match, amount, unit, extraMinutes) => {
+            const isHours = unit && unit.toLowerCase() === 'h';
+            result.estimatedMinutes = Math.round(isHours ? parseFloat(amount) * 60 + (parseInt(extraMinutes) || 0) : parseFloat(amount));
+            return ' ';
+        });
+
+        rest = rest.replace(/\s!([1-5])(?=\s)/, (match, value) => {
+            result.importance = parseInt(value);
+            return ' ';
+        });
+
+        rest = rest.replace(/\s\^([1-5])(?=\s)/, (match, value) => {
+            result.urgency = parseInt(value);
+            return ' ';
+        });
+
+        const parsedDate = this.extractDate(rest, now);
+        rest = parsedDate.rest;
+        result.deadline = parsedDate.deadline;
+
+        result.title = rest.replace(/\s+/g, ' ').trim();
+        return result;
+    }
+
+    /**
+     * Pull a date and/or time phrase out of the text
+     * Returns { rest, deadline } with deadline as a local datetime string
+     */
+    extractDate(text, now) {
+        let rest = text;
+        let day = null;
+        let time = null;
+
+        const take = (pattern, handler) => {
+            rest = rest.replace(pattern, (...args) => {
+                handler(...args);
+                return ' ';
+            });
+        };
+
+        take(/\s(?:(?:on|by|due)\s)?(today|tonight|tomorrow|tmrw?|tmr)(?=\s)/i, (match, word) => {
+            const lower = word.toLowerCase();
+            day = this.addDays(now, lower === 'today' || lower === 'tonight' ? 0 : 1);
+            if (lower === 'tonight') time = { hours: 20, minutes: 0 };
+        });
+
+        if (!day) {
+            take(/\sin\s(\d+)\s(days?|weeks?|hours?|hrs?)(?=\s)/i, (match, amount, unit) => {
+                const n = parseInt(amount);
+                if (/^w/i.test(unit)) day = this.addDays(now, n * 7);
+                else if (/^h/i.test(unit)) {
+                    const due = new Date(now.getTime() + n * 3600000);
+                    day = due;
+                    time = { hours: due.getHours(), minutes: due.getMinutes() };
+                } else day = this.addDays(now, n);
+            });
+        }
+
+        if (!day) {
+            take(/\snext\sweek(?=\s)/i, () => {
+                day = this.addDays(now, ((8 - now.getDay()) % 7) || 7); // Next Monday
+            });
+        }
+
+        if (!day) {
+            const names = Object.keys(this.WEEKDAYS).join('|');
+            take(new RegExp(`\\s(?:(?:on|by|due|next)\\s)?(${names})(?=\\s)`, 'i'), (match, name) => {
+                const target = this.WEEKDAYS[name.toLowerCase()];
+                day = this.addDays(now, ((target - now.getDay() + 7) % 7) || 7);
+            });
+        }
+
+        if (!time) {
+            take(/\s(?:at\s)?(\d{1,2})(?::([0-5]\d))?\s?(am|pm)(?=\s)/i, (match, hours, minutes, meridiem) => {
+                let h = parseInt(hours) % 12;
+                if (meridiem.toLowerCase() === 'pm') h += 12;
+                time = { hours: h, minutes: parseInt(minutes || '0') };
+            });
+        }
+        if (!time) {
+            take(/\s(?:at\s)?([01]?\d|2[0-3]):([0-5]\d)(?=\s)/, (match, hours, minutes) => {
+                time = { hours: parseInt(hours), minutes: parseInt(minutes) };
+            });
+        }
+        if (!time) {
+            take(/\s(?:at\s|by\s)?(noon|eod)(?=\s)/i, (match, word) => {
+                time = { hours: word.toLowerCase() === 'noon' ? 12 : this.DEFAULT_DUE_HOUR, minutes: 0 };
+            });
+        }
+
+        if (!day && !time) return { rest, deadline: null };
+
+        const due = new Date(day || now);
+        due.setHours(time ? time.hours : this.DEFAULT_DUE_HOUR, time ? time.minutes : 0, 0, 0);
+        // A bare time that already passed today means tomorrow
+        if (!day && due <= now) due.setDate(due.getDate() + 1);
+
+        return { rest, deadline: toLocalDateTime(due) };
+    }
+
+    addDays(date, days) {
+        const result = new Date(date);
+        result.setDate(result.getDate() + days);
+        return result;
+    }
+}
+
+// ============================================================================
+// ACTION HISTORY
+// ============================================================================
+
+/**
+ * Log of task mutations plus undo/redo.
+ * The log is saved in userContext.actionLog; undo/redo keep in-memory
+ * snapshots of the task list (and the context fields task actions touch)
+ * taken around each action. Undoing marks the log entry as undone rather
+ * than removing it, so stats derived from the log stay honest.
+ */
+class HistoryManager {
+    constructor() {
+        this.LOG_LIMIT = 500;
+        this.UNDO_LIMIT = 50;
+        // Context fields changed by task actions; everything else (rules, goals, settings) is left alone by undo
+        this.TRACKED_CONTEXT = ['seriesHistory', 'focusSessions', 'focusTimeMinutes', 'choiceEvents', 'learnedPreferences'];
+        this.ACTIONS = {
+            add: { icon: '➕', verb: 'Added' },
+            complete: { icon: '✓', verb: 'Completed' },
+            delete: { icon: '🗑', verb: 'Deleted' },
+            rollover: { icon: '⤼', verb: 'Rolled over' },
+            clarify: { icon: '✨', verb: 'Clarified' },
+            recurrence: { icon: '🔁', verb: 'Changed repeat for' },
+            skip: { icon: '⏭', verb: 'Skipped' },
+            dependency: { icon: '⛓', verb: 'Changed dependencies of' },
+            goalLink: { icon: '🎯', verb: 'Changed goal links of' },
+            edit: { icon: '✎', verb: 'Edited tags and notes of' },
+            override: { icon: '📌', verb: 'Changed override of' },
+            import: { icon: '💾', verb: 'Imported' }
+        };
+        this.undoStack = []; // [{ entryId, before, after }]
+        this.redoStack = [];
+    }
+
+    /**
+     * Serialized copy of the state an undo would restore
+     */
+    snapshot(tasks, userContext) {
+        const context = {};
+        for (const key of this.TRACKED_CONTEXT) context[key] = userContext[key];
+        return JSON.stringify({ tasks, context });
+    }
+
+    /**
+     * Tasks and tracked context fields from a snapshot
+     */
+    restore(snapshot) {
+        const state = JSON.parse(snapshot);
+        return { tasks: state.tasks.map(task => Task.fromJSON(task)), context: state.context };
+    }
+
+    /**
+     * Append an action to the log. With a before/after snapshot pair it
+     * becomes the next undo step; without one, earlier steps are dropped
+     * because they no longer describe the current state.
+     */
+    record(userContext, { type, task, detail = '', before = null, after = null }, now = new Date()) {
+        const entry = {
+            id: `action-${now.getTime()}-${Math.random().toString(36).slice(2, 7)}`,
+            type,
+            taskId: task ? task.id : null,
+            title: task ? task.title : '',
+            tier: task ? task.classification : null,
+            roi: task ? task.roiScore : null,
+            minutes: task ? task.estimatedMinutes : null,
+            detail,
+            at: now.toISOString(),
+            undone: false
+        };
+
+        userContext.actionLog = (userContext.actionLog || []).concat(entry).slice(-this.LOG_LIMIT);
+
+        if (before && after) {
+            this.undoStack = this.undoStack.concat({ entryId: entry.id, before, after }).slice(-this.UNDO_LIMIT);
+        } else {
+            this.undoStack = [];
+        }
+        this.redoStack = [];
+        return entry;
+    }
+
+    /**
+     * Step back one action. Returns { entry, snapshot } to apply, or null.
+     */
+    undo(userContext) {
+        const step = this.undoStack.pop();
+        if (!step) return null;
+        this.redoStack.push(step);
+        const entry = this.findEntry(userContext, step.entryId);
+        if (entry) entry.undone = true;
+        return { entry, snapshot: step.before };
+    }
+
+    /**
+     * Re-apply the last undone action. Returns { entry, snapshot }, or null.
+     */
+    redo(userContext) {
+        const step = this.redoStack.pop();
+        if (!step) return null;
+        this.undoStack.push(step);
+        const entry = this.findEntry(userContext, step.entryId);
+        if (entry) entry.undone = false;
+        return { entry, snapshot: step.after };
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    findEntry(userContext, entryId) {
+        return (userContext.actionLog || []).find(entry => entry.id === entryId) || null;
+    }
+
+    /**
+     * Log entries that still stand (not undone) for one calendar day
+     */
+    getEntriesOn(userContext, day = new Date()) {
+        const date = day.toDateString();
+        return (userContext.actionLog || []).filter(entry => !entry.undone && new Date(entry.at).toDateString() === date);
+    }
+
+    countCompleted(userContext, day = new Date()) {
+        return this.getEntriesOn(userContext, day).filter(entry => entry.type === 'complete').length;
+    }
+
+    /**
+     * Distractions cut: deleted tasks the engine had marked T4 or T5
+     */
+    countDistractionsCut(userContext, day = new Date()) {
+        return this.getEntriesOn(userContext, day)
+            .filter(entry => entry.type === 'delete' && ['T4', 'T5'].includes(entry.tier)).length;
+    }
+
+    describe(entry) {
+        const action = this.ACTIONS[entry.type] || { icon: '•', verb: entry.type };
+        const subject = entry.title ? ` “${entry.title}”` : '';
+        return `${action.verb}${subject}${entry.detail ? ` · ${entry.detail}` : ''}`;
+    }
+
+    icon(entry) {
+        return (this.ACTIONS[entry.type] || { icon: '•' }).icon;
+    }
+}
+
+// ============================================================================
+// FOCUS LOG
+// ============================================================================
+
+/**
+ * Reads focus quality out of userContext.focusSessions, which
+ * FocusModeManager.buildSession writes. Sessions logged before pauses
+ * and interruptions were tracked count as one uninterrupted stretch.
+ */
+class FocusLog {
+    constructor() {
+        this.OUTCOMES = {
+            completed: { icon: '✓', label: 'Completed' },
+            abandoned: { icon: '↩', label: 'Abandoned' },
+            timedOut: { icon: '⌛', label: 'Timed out' }
+        };
+    }
+
+    getOutcome(session) {
+        if (session.outcome) return session.outcome;
+        return session.completed === false ? 'abandoned' : 'completed';
+    }
+
+    getSessionsOn(userContext, day = new Date()) {
+        const key = toLocalDateTime(day).slice(0, 10);
+        return (userContext.focusSessions || [])
+            .filter(session => toLocalDateTime(new Date(session.start)).slice(0, 10) === key);
+    }
+
+    getWorkMinutes(session) {
+        if (Number.isFinite(session.workMinutes)) return session.workMinutes;
+        return Math.max(0, (new Date(session.end) - new Date(session.start)) / 60000);
+    }
+
+    getAwayMinutes(session) {
+        return (session.interruptions || [])
+            .reduce((sum, gap) => sum + (new Date(gap.end) - new Date(gap.start)) / 60000, 0);
+    }
+
+    /**
+     * Deep minutes (focus time spent on the page), interruptions per
+     * session and the longest uninterrupted stretch
+     */
+    summarize(sessions) {
+        const outcomes = { completed: 0, abandoned: 0, timedOut: 0 };
+        let deepMinutes = 0;
+        let awayMinutes = 0;
+        let interruptions = 0;
+        let longestStretchMinutes = 0;
+
+        for (const session of sessions) {
+            const workMinutes = this.getWorkMinutes(session);
+            deepMinutes += session.deepMinutes ?? workMinutes;
+            awayMinutes += this.getAwayMinutes(session);
+            interruptions += (session.interruptions || []).length;
+            longestStretchMinutes = Math.max(longestStretchMinutes, session.longestStretchMinutes ?? workMinutes);
+            outcomes[this.getOutcome(session)]++;
+        }
+
+        return {
+            sessions: sessions.length,
+            deepMinutes: Math.round(deepMinutes),
+            awayMinutes: Math.round(awayMinutes),
+            interruptions,
+            interruptionsPerSession: sessions.length ? interruptions / sessions.length : 0,
+            longestStretchMinutes: Math.round(longestStretchMinutes),
+            outcomes
+        };
+    }
+}
+
+// ============================================================================
+// DAY BOUNDARY
+// ============================================================================
+
+/**
+ * Closes out each calendar day: snapshots its stats into
+ * userContext.dailyStats, resets the daily counters, rolls unfinished
+ * tasks that were due that day onto the new day, and derives the streak
+ * from the snapshots using the user's productive-day rule.
+ */
+class DayBoundaryManager {
+    constructor(historyManager = new HistoryManager()) {
+        this.history = historyManager;
+        this.MAX_GAP_DAYS = 60; // Days the app was closed that still get (empty) snapshots
+        this.MAX_STREAK_DAYS = 366;
+        this.DEFAULT_RULE = { minCompleted: 1, highValueOnly: false, minFocusMinutes: 0, skipWeekends: false };
+    }
+
+    /**
+     * Handle any day boundaries crossed since the context was last used.
+     * Returns { crossed, rolled } where rolled lists the auto-rolled tasks.
+     */
+    advance(tasks, userContext, now = new Date()) {
+        const today = this.dateKey(now);
+        if (!userContext.currentDay) {
+            userContext.currentDay = today;
+            return { crossed: false, rolled: [] };
+        }
+        if (userContext.currentDay >= today) return { crossed: false, rolled: [] };
+
+        const endedDay = this.parseKey(userContext.currentDay);
+        const rolled = this.rollOverdue(tasks, userContext, endedDay, now);
+
+        userContext.dailyStats = userContext.dailyStats || [];
+        userContext.dailyStats.push(this.getStatsFor(userContext, endedDay, tasks));
+
+        // Days the app wasn't opened at all count as empty days
+        const gapDay = new Date(endedDay);
+        for (let i = 0; i < this.MAX_GAP_DAYS; i++) {
+            gapDay.setDate(gapDay.getDate() + 1);
+            if (this.dateKey(gapDay) >= today) break;
+            userContext.dailyStats.push(this.emptyStats(this.dateKey(gapDay)));
+        }
+
+        userContext.focusTimeMinutes = 0;
+        userContext.currentDay = today;
+        return { crossed: true, rolled };
+    }
+
+    /**
+     * Move unfinished tasks due on or before the ended day onto today,
+     * keeping their time of day, and log each as an automatic rollover
+     */
+    rollOverdue(tasks, userContext, endedDay, now) {
+        const dayEnd = new Date(endedDay);
+        dayEnd.setHours(23, 59, 59, 999);
+
+        const rolled = tasks.filter(task => !task.completed && task.deadline &&
+            new Date(task.deadline) <= dayEnd && !tasks.some(t => t.parentId === task.id));
+
+        for (const task of rolled) {
+            this.rollTask(task, now);
+            // Logged on the day that ended, so that day's stats count it (once)
+            this.history.record(userContext, { type: 'rollover', task, detail: `auto #${task.rolloverCount}` }, dayEnd);
+        }
+        return rolled;
+    }
+
+    /**
+     * Push a task's deadline to the given day (same time of day, 09:00 if it had none)
+     */
+    rollTask(task, day) {
+        const previous = task.deadline ? new Date(task.deadline) : null;
+        const deadline = new Date(day);
+        deadline.setHours(previous ? previous.getHours() : 9, previous ? previous.getMinutes() : 0, 0, 0);
+        task.deadline = toLocalDateTime(deadline);
+        task.rolloverCount++;
+    }
+
+    /**
+     * Stats for one day from the action log (focus minutes from the live
+     * counter, which only ever holds the current day). With tasks, also
+     * records how the open queue was spread across tiers.
+     */
+    getStatsFor(userContext, day, tasks = []) {
+        const entries = this.history.getEntriesOn(userContext, day);
+        const stats = this.emptyStats(this.dateKey(day));
+        const bump = (counts, tier, amount = 1) => { counts[tier] = (counts[tier] || 0) + amount; };
+
+        for (const entry of entries) {
+            if (entry.type === 'complete') {
+                stats.completed++;
+                stats.completedRoi += entry.roi || 0;
+                if (entry.tier) {
+                    bump(stats.completedByTier, entry.tier);
+                    bump(stats.minutesByTier, entry.tier, entry.minutes || 0);
+                }
+            }
+            if (entry.type === 'delete') stats.deleted++;
+            if (entry.type === 'rollover') stats.rolledOver++;
+        }
+        for (const task of tasks) {
+            if (!task.completed && task.classification) bump(stats.openByTier, task.classification);
+        }
+        stats.distractionsCut = this.history.countDistractionsCut(userContext, day);
+        stats.focusMinutes = Math.round(userContext.focusTimeMinutes || 0);
+        return stats;
+    }
+
+    /**
+     * A day with nothing in it. Snapshots saved before a field existed
+     * are read through this too, so every field has a default.
+     */
+    emptyStats(date) {
+        return {
+            date,
+            completed: 0,
+            completedByTier: {}, // tier -> tasks completed
+            minutesByTier: {}, // tier -> estimated minutes of completed work
+            completedRoi: 0,
+            openByTier: {}, // tier -> open tasks at the end of the day
+            deleted: 0,
+            distractionsCut: 0,
+            focusMinutes: 0,
+            rolledOver: 0
+        };
+    }
+
+    /**
+     * Does a day's stats meet the productive-day rule?
+     */
+    isProductive(stats, rule = this.DEFAULT_RULE) {
+        const completed = rule.highValueOnly
+            ? (stats.completedByTier.T1 || 0) + (stats.completedByTier.T2 || 0)
+            : stats.completed;
+        return completed >= rule.minCompleted && stats.focusMinutes >= rule.minFocusMinutes;
+    }
+
+    /**
+     * Consecutive productive days ending today (today only counts once
+     * it is productive; an unfinished today doesn't break the streak)
+     */
+    getStreak(userContext, now = new Date()) {
+        const rule = { ...this.DEFAULT_RULE, ...userContext.streakRule };
+        const byDate = new Map((userContext.dailyStats || []).map(stats => [stats.date, stats]));
+        let streak = this.isProductive(this.getStatsFor(userContext, now), rule) ? 1 : 0;
+
+        const day = new Date(now);
+        for (let i = 0; i < this.MAX_STREAK_DAYS; i++) {
+            day.setDate(day.getDate() - 1);
+            const stats = byDate.get(this.dateKey(day));
+            if (stats && this.isProductive(stats, rule)) streak++;
+            else if (!(rule.skipWeekends && (day.getDay() === 0 || day.getDay() === 6))) break;
+        }
+        return streak;
+    }
+
+    /**
+     * Local calendar date as YYYY-MM-DD (sorts correctly as a string)
+     */
+    dateKey(date) {
+        return toLocalDateTime(date).slice(0, 10);
+    }
+
+    parseKey(key) {
+        const [year, month, day] = key.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+}
+
+// ============================================================================
+// WEEKLY REVIEW
+// ============================================================================
+
+/**
+ * Seven-day summary built from the daily snapshots (today uses live stats)
+ */
+class WeeklyReview {
+    constructor(dayBoundary = new DayBoundaryManager()) {
+        this.dayBoundary = dayBoundary;
+        this.TIERS = ['T1', 'T2', 'T3', 'T4', 'T5'];
+        this.CHRONIC_ROLLOVERS = 3; // Same threshold as the default rollover score penalty
+    }
+
+    /**
+     * Review for the seven days ending on `end` (today by default)
+     */
+    build(tasks, userContext, end = new Date(), now = new Date()) {
+        const boundary = this.dayBoundary;
+        const byDate = new Map((userContext.dailyStats || []).map(stats => [stats.date, stats]));
+        const todayKey = boundary.dateKey(now);
+
+        const days = [];
+        for (let i = 6; i >= 0; i--) {
+            const day = new Date(end);
+            day.setDate(day.getDate() - i);
+            const key = boundary.dateKey(day);
+            const stored = key === todayKey ? boundary.getStatsFor(userContext, now, tasks) : byDate.get(key);
+            days.push({ ...boundary.emptyStats(key), ...stored, hasData: Boolean(stored) });
+        }
+
+        const totals = boundary.emptyStats(null);
+        for (const day of days) {
+            for (const key of ['completed', 'completedRoi', 'deleted', 'distractionsCut', 'focusMinutes', 'rolledOver']) {
+                totals[key] += day[key];
+            }
+            for (const tier of this.TIERS) {
+                totals.completedByTier[tier] = (totals.completedByTier[tier] || 0) + (day.completedByTier[tier] || 0);
+                totals.minutesByTier[tier] = (totals.minutesByTier[tier] || 0) + (day.minutesByTier[tier] || 0);
+            }
+        }
+
+        const minutes = tier => totals.minutesByTier[tier] || 0;
+        const highValueMinutes = minutes('T1') + minutes('T2');
+        const lowValueMinutes = minutes('T3') + minutes('T4');
+        const startKey = days[0].date;
+        const endKey = days[days.length - 1].date;
+
+        // Rolled this week, or rolled so often the rules now treat them as distractions
+        const rolledThisWeek = {};
+        for (const entry of userContext.actionLog || []) {
+            const key = boundary.dateKey(new Date(entry.at));
+            if (entry.type === 'rollover' && !entry.undone && key >= startKey && key <= endKey) {
+                rolledThisWeek[entry.taskId] = (rolledThisWeek[entry.taskId] || 0) + 1;
+            }
+        }
+        const chronicRollovers = tasks
+            .filter(task => !task.completed && (task.rolloverCount >= this.CHRONIC_ROLLOVERS || (rolledThisWeek[task.id] || 0) >= 2))
+            .map(task => ({ taskId: task.id, title: task.title, tier: task.classification, rolloverCount: task.rolloverCount, thisWeek: rolledThisWeek[task.id] || 0 }))
+            .sort((a, b) => b.rolloverCount - a.rolloverCount);
+
+        return {
+            start: startKey,
+            end: endKey,
+            days,
+            totals,
+            highValueMinutes,
+            lowValueMinutes,
+            highValueShare: highValueMinutes + lowValueMinutes > 0
+                ? Math.round(highValueMinutes / (highValueMinutes + lowValueMinutes) * 100)
+                : null,
+            chronicRollovers
+        };
+    }
+
+    /**
+     * Plain-text (Markdown) version for printing, pasting or saving
+     */
+    toMarkdown(review) {
+        const t = review.totals;
+        const lines = [
+            `# Weekly review: ${review.start} to ${review.end}`,
+            '',
+            `- Completed: ${t.completed} tasks (ROI ${t.completedRoi})`,
+            `- Focus time: ${t.focusMinutes} minutes`,
+            `- Deleted: ${t.deleted} (${t.distractionsCut} distractions cut)`,
+            `- Rollovers: ${t.rolledOver}`,
+            `- Time on Critical/Leverage (T1/T2): ${review.highValueMinutes}m; on Interrupt/Distract (T3/T4): ${review.lowValueMinutes}m` +
+                (review.highValueShare === null ? '' : ` (${review.highValueShare}% high-value)`),
+            '',
+            '| Day | Done | T1 | T2 | T3 | T4 | T5 | Focus | ROI | Deleted | Rolled |',
+            '|---|---|---|---|---|---|---|---|---|---|---|',
+            ...review.days.map(day => `| ${day.date} | ${day.completed} | ${this.TIERS.map(tier => day.completedByTier[tier] || 0).join(' | ')} | ${day.focusMinutes}m | ${day.completedRoi} | ${day.deleted} | ${day.rolledOver} |`),
+            '',
+            '## Chronic rollovers',
+            ...(review.chronicRollovers.length
+                ? review.chronicRollovers.map(item => `- ${item.title} (${item.tier || '—'}): rolled ${item.rolloverCount}× total, ${item.thisWeek}× this week`)
+                : ['- None']),
+            ''
+        ];
+        return lines.join('\n');
+    }
+}
+
+// ============================================================================
+// DATA PORTER
+// ============================================================================
+
+/**
+ * Backup/restore and CSV interchange for tasks.
+ * JSON backups are versioned; older versions are migrated on import and
+ * anything that fails validation is reported row by row instead of loaded.
+ */
+class DataPorter {
+    constructor() {
+        this.FORMAT = 'solo-chief-backup';
+        this.SCHEMA_VERSION = 1;
+        // Upgrades from version N to N + 1
+        this.MIGRATIONS = {
+            // 0: the raw soloChiefData localStorage blob, { tasks, userContext }
+            0: doc => ({ format: this.FORMAT, version: 1, exportedAt: null, tasks: doc.tasks || [], userContext: doc.userContext || null })
+        };
+        // Stored as typed by older versions ("45"); numeric strings are accepted on import
+        this.NUMERIC_FIELDS = ['id', 'estimatedMinutes', 'importance', 'urgency', 'rolloverCount', 'actualMinutes'];
+        this.CSV_COLUMNS = ['id', 'title', 'estimatedMinutes', 'importance', 'urgency', 'deadline', 'tags', 'notes', 'completed', 'rolloverCount'];
+        // Header spellings we recognize when guessing a CSV column mapping
+        this.CSV_ALIASES = {
+            id: ['id', 'task id'],
+            title: ['title', 'task', 'name', 'summary', 'description'],
+            estimatedMinutes: ['estimatedminutes', 'estimate', 'minutes', 'time', 'duration'],
+            importance: ['importance', 'priority', 'impact'],
+            urgency: ['urgency'],
+            deadline: ['deadline', 'due', 'due date', 'duedate'],
+            tags: ['tags', 'labels', 'tag'],
+            notes: ['notes', 'note', 'comments'],
+            completed: ['completed', 'done', 'status'],
+            rolloverCount: ['rollovercount', 'rollovers']
+        };
+    }
+
+    /**
+     * Full dataset as a versioned backup document
+     */
+    exportJSON(tasks, userContext, now = new Date()) {
+        return JSON.stringify({
+            format: this.FORMAT,
+            version: this.SCHEMA_VERSION,
+            exportedAt: now.toISOString(),
+            tasks,
+            // A running timer belongs to this browser, not the backup
+            userContext: userContext && { ...userContext, focusState: null }
+        }, null, 2);
+    }
+
+    /**
+     * Parse and validate a backup. Returns { tasks, userContext, errors };
+     * callers should only apply the data when errors is empty.
+     */
+    parseJSON(text) {
+        let doc;
+        try {
+            doc = JSON.parse(text);
+        } catch (e) {
+            return { tasks: [], userContext: null, errors: [`Not valid JSON: ${e.message}`] };
+        }
+        if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+            return { tasks: [], userContext: null, errors: ['Backup must be a JSON object.'] };
+        }
+
+        if (doc.format === undefined && doc.version === undefined) doc = { ...doc, version: 0 };
+        else if (doc.format !== this.FORMAT) return { tasks: [], userContext: null, errors: [`Unknown format "${doc.format}".`] };
+
+        if (!Number.isInteger(doc.version) || doc.version < 0) {
+            return { tasks: [], userContext: null, errors: ['Backup has no valid version number.'] };
+        }
+        if (doc.version > this.SCHEMA_VERSION) {
+            return { tasks: [], userContext: null, errors: [`Backup is version ${doc.version}; this app reads up to version ${this.SCHEMA_VERSION}.`] };
+        }
+        while (doc.version < this.SCHEMA_VERSION) doc = this.MIGRATIONS[doc.version](doc);
+        if (Array.isArray(doc.tasks)) doc = { ...doc, tasks: doc.tasks.map(task => this.coerceNumbers(task)) };
+
+        const errors = [];
+        if (!Array.isArray(doc.tasks)) {
+            errors.push('"tasks" must be an array.');
+        } else {
+            doc.tasks.forEach((task, index) => {
+                for (const error of this.validateTask(task)) errors.push(`tasks[${index}]: ${error}`);
+            });
+            const seen = new Set();
+            doc.tasks.forEach((task, index) => {
+                if (task && seen.has(task.id)) errors.push(`tasks[${index}]: duplicate id ${task.id}.`);
+                if (task) seen.add(task.id);
+            });
+        }
+        for (const error of this.validateUserContext(doc.userContext)) errors.push(`userContext: ${error}`);
+
+        if (errors.length) return { tasks: [], userContext: null, errors };
+        return {
+            tasks: doc.tasks.map(t => Task.fromJSON(t)),
+            userContext: doc.userContext ? UserContext.fromJSON(doc.userContext) : null,
+            errors
+        };
+    }
+
+    /**
+     * Copy of a stored task with numeric strings in NUMERIC_FIELDS turned into numbers
+     */
+    coerceNumbers(task) {
+        if (!task || typeof task !== 'object') return task;
+        const coerced = { ...task };
+        for (const field of this.NUMERIC_FIELDS) {
+            const value = coerced[field];
+            if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) coerced[field] = Number(value);
+        }
+        return coerced;
+    }
+
+    /**
+     * Problems with one stored task, as sentences
+     */
+    validateTask(task) {
+        if (!task || typeof task !== 'object') return ['must be an object.'];
+        const errors = [];
+        const isScale = value => Number.isInteger(value) && value >= 1 && value <= 5;
+
+        // Ids end up in the dashboard's inline handlers, so only numbers are allowed
+        if (!Number.isFinite(task.id)) errors.push('id must be a number.');
+        if (typeof task.title !== 'string' || !task.title.trim()) errors.push('title is required.');
+        if (!Number.isFinite(task.estimatedMinutes) || task.estimatedMinutes <= 0) errors.push('estimatedMinutes must be a positive number.');
+        if (!isScale(task.importance)) errors.push('importance must be a whole number from 1 to 5.');
+        if (!isScale(task.urgency)) errors.push('urgency must be a whole number from 1 to 5.');
+        if (task.deadline && isNaN(new Date(task.deadline))) errors.push(`deadline "${task.deadline}" is not a date.`);
+        if (task.tags !== undefined && (!Array.isArray(task.tags) || task.tags.some(tag => typeof tag !== 'string'))) {
+            errors.push('tags must be a list of strings.');
+        }
+        if (task.completed !== undefined && typeof task.completed !== 'boolean') errors.push('completed must be true or false.');
+        if (task.blockedBy !== undefined && !Array.isArray(task.blockedBy)) errors.push('blockedBy must be a list of task ids.');
+        return errors;
+    }
+
+    /**
+     * Problems with a stored userContext, as sentences
+     */
+    validateUserContext(context) {
+        if (context === null || context === undefined) return [];
+        if (typeof context !== 'object' || Array.isArray(context)) return ['must be an object.'];
+        const errors = [];
+
+        if (context.goals !== undefined) {
+            if (!Array.isArray(context.goals)) errors.push('goals must be a list.');
+            else context.goals.forEach((goal, index) => {
+                if (!goal || typeof goal.id !== 'string' || typeof goal.description !== 'string') {
+                    errors.push(`goals[${index}] needs an id and a description.`);
+                }
+            });
+        }
+        if (context.rules !== undefined && !Array.isArray(context.rules)) errors.push('rules must be a list.');
+        if (context.seriesHistory !== undefined && (typeof context.seriesHistory !== 'object' || Array.isArray(context.seriesHistory))) {
+            errors.push('seriesHistory must be an object.');
+        }
+        if (context.energyLevel !== undefined && !(Number.isInteger(context.energyLevel) && context.energyLevel >= 1 && context.energyLevel <= 5)) {
+            errors.push('energyLevel must be a whole number from 1 to 5.');
+        }
+        return errors;
+    }
+
+    /**
+     * Combine imported tasks with the current list.
+     * 'replace' drops the current list; 'merge' keeps it and lets an
+     * imported task overwrite the current task with the same id.
+     */
+    mergeTasks(existing, incoming, mode) {
+        if (mode === 'replace') return { tasks: incoming.slice(), added: incoming.length, updated: 0 };
+
+        const tasks = existing.slice();
+        let added = 0;
+        let updated = 0;
+        for (const task of incoming) {
+            const index = tasks.findIndex(t => String(t.id) === String(task.id));
+            if (index === -1) {
+                tasks.push(task);
+                added++;
+            } else {
+                tasks[index] = task;
+                updated++;
+            }
+        }
+        return { tasks, added, updated };
+    }
+
+    /**
+     * Merge an imported userContext into the current one: goals and series
+     * history are unioned by id, the current settings and rules are kept
+     */
+    mergeUserContext(current, incoming, mode) {
+        if (!incoming) return current;
+        if (mode === 'replace') return incoming;
+
+        const goals = current.goals.slice();
+        for (const goal of incoming.goals || []) {
+            const index = goals.findIndex(g => g.id === goal.id);
+            if (index === -1) goals.push(goal);
+            else goals[index] = goal;
+        }
+
+        const seriesHistory = { ...current.seriesHistory };
+        for (const [seriesId, entries] of Object.entries(incoming.seriesHistory || {})) {
+            const known = new Set((seriesHistory[seriesId] || []).map(entry => `${entry.taskId}|${entry.status}|${entry.at}`));
+            seriesHistory[seriesId] = [
+                ...(seriesHistory[seriesId] || []),
+                ...entries.filter(entry => !known.has(`${entry.taskId}|${entry.status}|${entry.at}`))
+            ];
+        }
+
+        current.goals = goals;
+        current.seriesHistory = seriesHistory;
+        return current;
+    }
+
+    // ------------------------------------------------------------------------
+    // CSV
+    // ------------------------------------------------------------------------
+
+    exportCSV(tasks) {
+        const rows = tasks.map(task => this.CSV_COLUMNS.map(column => {
+            const value = task[column];
+            if (column === 'tags') return (value || []).join(';');
+            return value === null || value === undefined ? '' : String(value);
+        }));
+        return [this.CSV_COLUMNS, ...rows].map(row => row.map(cell => this.quoteCSV(cell)).join(',')).join('\r\n');
+    }
+
+    quoteCSV(cell) {
+        return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+    }
+
+    /**
+     * RFC 4180 parsing: quoted cells may contain commas, quotes and newlines
+     */
+    parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+                else if (char === '"') quoted = false;
+                else cell += char;
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        if (cell !== '' || row.length) {
+            row.push(cell);
+            rows.push(row);
+        }
+        return rows.filter(r => r.some(value => value.trim() !== ''));
+    }
+
+    /**
+     * Guess which task field each CSV header feeds: { headerIndex: field }
+     */
+    guessMapping(headers) {
+        const mapping = {};
+        const used = new Set();
+        headers.forEach((header, index) => {
+            const name = header.trim().toLowerCase().replace(/_/g, ' ');
+            const field = Object.keys(this.CSV_ALIASES).find(key => !used.has(key) &&
+                (this.CSV_ALIASES[key].includes(name) || this.CSV_ALIASES[key].includes(name.replace(/\s/g, ''))));
+            if (field) {
+                mapping[index] = field;
+                used.add(field);
+            }
+        });
+        return mapping;
+    }
+
+    /**
+     * Turn parsed CSV rows (header first) into tasks using a column mapping.
+     * Returns { tasks, errors } with errors naming the spreadsheet row.
+     */
+    tasksFromCSV(rows, mapping, now = Date.now()) {
+        const errors = [];
+        const fields = Object.values(mapping);
+        if (!fields.includes('title')) return { tasks: [], errors: ['Map one column to "title".'] };
+        if (fields.length !== new Set(fields).size) return { tasks: [], errors: ['Each task field can only be mapped once.'] };
+
+        const tasks = [];
+        rows.slice(1).forEach((row, index) => {
+            const data = { id: now + index, tags: [], notes: '' };
+            for (const [column, field] of Object.entries(mapping)) {
+                const raw = (row[column] || '').trim();
+                if (raw === '') continue;
+                data[field] = this.convertCSVValue(field, raw);
+            }
+            data.estimatedMinutes = data.estimatedMinutes ?? 30;
+            data.importance = data.importance ?? 3;
+            data.urgency = data.urgency ?? 3;
+            if (data.deadline && !isNaN(new Date(data.deadline))) data.deadline = toLocalDateTime(new Date(data.deadline));
+
+            const rowErrors = this.validateTask(data);
+            if (rowErrors.length) errors.push(`Row ${index + 2}: ${rowErrors.join(' ')}`);
+            else tasks.push(Task.fromJSON(data));
+        });
+
+        const seen = new Set();
+        for (const task of tasks) {
+            if (seen.has(String(task.id))) errors.push(`Duplicate id ${task.id} in file.`);
+            seen.add(String(task.id));
+        }
+        return { tasks: errors.length ? [] : tasks, errors };
+    }
+
+    convertCSVValue(field, raw) {
+        switch (field) {
+            case 'id':
+                return /^\d+$/.test(raw) ? Number(raw) : raw;
+            case 'estimatedMinutes':
+            case 'importance':
+            case 'urgency':
+            case 'rolloverCount':
+                return Number(raw);
+            case 'tags':
+                return raw.split(/[;,\s]+/).map(tag => tag.replace(/^#/, '').toLowerCase()).filter(Boolean);
+            case 'deadline':
+                return /^\d{4}-\d{2}-\d{2}$/.test(raw) ? `${raw}T17:00` : raw; // Date-only means end of workday
+            case 'completed':
+                return ['true', 'yes', '1', 'done', 'x', 'completed'].includes(raw.toLowerCase());
+            default:
+                return raw;
+        }
+    }
+}
+
+// ============================================================================
+// CALENDAR MANAGER
+// ============================================================================
+
+/**
+ * iCalendar (RFC 5545) interchange.
+ * Export: open deadlines, today's planned blocks and finished focus sessions,
+ * with UIDs derived from task ids so re-importing updates instead of duplicating.
+ * Import: busy events become meetings that the planner blocks out.
+ */
+class CalendarManager {
+    constructor() {
+        this.recurrenceManager = new RecurrenceManager();
+        this.focusLog = new FocusLog();
+        this.UID_DOMAIN = 'solo-chief';
+        this.IMPORT_HORIZON_DAYS = 14; // Recurring events are expanded this far ahead
+        this.MAX_LINE_LENGTH = 75;
+    }
+
+    exportICS(tasks, userContext, now = new Date()) {
+        const stamp = this.formatUTC(now);
+        const events = [];
+
+        for (const task of tasks) {
+            if (task.completed || !task.deadline) continue;
+            const due = new Date(task.deadline);
+            if (isNaN(due)) continue;
+
+            const allDay = due.getHours() === 0 && due.getMinutes() === 0;
+            events.push([
+                `UID:task-${task.id}-deadline@${this.UID_DOMAIN}`,
+                `DTSTAMP:${stamp}`,
+                allDay ? `DTSTART;VALUE=DATE:${this.formatDate(due)}` : `DTSTART:${this.formatUTC(due)}`,
+                `SUMMARY:${this.escapeText(`⏰ Due: ${task.title}`)}`,
+                `DESCRIPTION:${this.escapeText(this.describeTask(task))}`,
+                'TRANSP:TRANSPARENT'
+            ]);
+        }
+
+        const plan = userContext.dayPlan;
+        for (const block of plan ? plan.blocks : []) {
+            if (block.type !== 'task') continue;
+            const task = tasks.find(t => t.id === block.taskId);
+            events.push([
+                `UID:plan-${this.formatDate(new Date(block.start))}-${block.taskId}@${this.UID_DOMAIN}`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART:${this.formatUTC(new Date(block.start))}`,
+                `DTEND:${this.formatUTC(new Date(block.end))}`,
+                `SUMMARY:${this.escapeText(`🔒 Focus: ${block.title}`)}`,
+                `DESCRIPTION:${this.escapeText(task ? this.describeTask(task) : `Tier: ${block.tier} · ROI: ${block.roiScore}`)}`
+            ]);
+        }
+
+        for (const session of userContext.focusSessions || []) {
+            const task = tasks.find(t => t.id === session.taskId);
+            events.push([
+                `UID:focus-${session.taskId}-${new Date(session.start).getTime()}@${this.UID_DOMAIN}`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART:${this.formatUTC(new Date(session.start))}`,
+                `DTEND:${this.formatUTC(new Date(session.end))}`,
+                `SUMMARY:${this.escapeText(`${this.focusLog.getOutcome(session) === 'completed' ? '✓' : '🔒'} Focused: ${task ? task.title : session.title}`)}`,
+                `DESCRIPTION:${this.escapeText(task ? this.describeTask(task) : '')}`
+            ]);
+        }
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:-//${this.UID_DOMAIN}//Dashboard//EN`,
+            'CALSCALE:GREGORIAN',
+            ...events.flatMap(event => ['BEGIN:VEVENT', ...event, 'END:VEVENT']),
+            'END:VCALENDAR'
+        ];
+        return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+    }
+
+    describeTask(task) {
+        return [
+            `Tier: ${task.classification || '—'} · ROI: ${task.roiScore}`,
+            task.reason || '',
+            task.notes || ''
+        ].filter(Boolean).join('\n');
+    }
+
+    /**
+     * Busy events from an .ics file as meetings: [{ id, uid, title, start, end, source }].
+     * Skips all-day, free/transparent and cancelled events, past events, and
+     * events this app exported itself. Returns { meetings, skipped, errors }.
+     */
+    importICS(text, now = new Date()) {
+        const lines = this.unfold(text);
+        if (!lines.some(line => line.name === 'BEGIN' && line.value.toUpperCase() === 'VCALENDAR')) {
+            return { meetings: [], skipped: 0, errors: ['Not an iCalendar file (no BEGIN:VCALENDAR).'] };
+        }
+
+        const events = [];
+        let current = null;
+        for (const line of lines) {
+            if (line.name === 'BEGIN' && line.value.toUpperCase() === 'VEVENT') current = {};
+            else if (line.name === 'END' && line.value.toUpperCase() === 'VEVENT') {
+                if (current) events.push(current);
+                current = null;
+            } else if (current && !current[line.name]) current[line.name] = line;
+            else if (current && line.name === 'EXDATE') current.EXDATE.value += `,${line.value}`;
+        }
+
+        const horizon = new Date(now);
+        horizon.setDate(horizon.getDate() + this.IMPORT_HORIZON_DAYS);
+        const meetings = [];
+        const errors = [];
+        let skipped = 0;
+
+        events.forEach((event, index) => {
+            const uid = event.UID ? event.UID.value : `event-${index}`;
+            const title = event.SUMMARY ? this.unescapeText(event.SUMMARY.value) : 'Busy';
+
+            if (uid.endsWith(`@${this.UID_DOMAIN}`) ||
+                (event.TRANSP && event.TRANSP.value.toUpperCase() === 'TRANSPARENT') ||
+                (event.STATUS && event.STATUS.value.toUpperCase() === 'CANCELLED') ||
+                (event.DTSTART && event.DTSTART.params.VALUE === 'DATE')) {
+                skipped++;
+                return;
+            }
+
+            const start = event.DTSTART ? this.parseDateTime(event.DTSTART) : null;
+            if (!start) {
+                errors.push(`"${title}": can't read DTSTART.`);
+                return;
+            }
+            const end = event.DTEND ? this.parseDateTime(event.DTEND)
+                : new Date(start.getTime() + this.parseDuration(event.DURATION ? event.DURATION.value : '') * 60000);
+            const minutes = end ? (end - start) / 60000 : 0;
+            if (!(minutes > 0)) {
+                skipped++;
+                return;
+            }
+
+            const starts = event.RRULE ? this.expandRRule(event, start, now, horizon) : [start];
+            if (starts.error) {
+                errors.push(`"${title}": ${starts.error}`);
+                return;
+            }
+
+            for (const occurrence of starts) {
+                const occurrenceEnd = new Date(occurrence.getTime() + minutes * 60000);
+                if (occurrenceEnd <= now || occurrence > horizon) continue;
+                meetings.push({
+                    id: `ics-${uid}-${occurrence.getTime()}`,
+                    uid,
+                    title,
+                    start: toLocalDateTime(occurrence),
+                    end: toLocalDateTime(occurrenceEnd),
+                    source: 'ics'
+                });
+            }
+        });
+
+        return { meetings, skipped, errors };
+    }
+
+    /**
+     * Start times of a recurring event between now and the horizon,
+     * reusing the task recurrence rules for the day matching
+     */
+    expandRRule(event, start, now, horizon) {
+        const rrule = this.recurrenceManager.parseRRule(event.RRULE.value);
+        if (rrule.error) return rrule;
+
+        const excluded = new Set((event.EXDATE ? event.EXDATE.value.split(',') : [])
+            .map(value => this.parseDateTime({ value, params: event.EXDATE.params }))
+            .filter(Boolean)
+            .map(date => date.getTime()));
+        const recurrence = { type: 'rrule', anchor: start.toISOString() };
+        const starts = [];
+        let count = 0;
+
+        for (const day = new Date(start); day <= horizon; day.setDate(day.getDate() + 1)) {
+            if (rrule.until && day > rrule.until) break;
+            if (!this.recurrenceManager.matchesDay(recurrence, rrule, day)) continue;
+            count++;
+            if (rrule.count && count > rrule.count) break;
+            if (day >= this.recurrenceManager.startOfDay(now) && !excluded.has(day.getTime())) starts.push(new Date(day));
+        }
+        return starts;
+    }
+
+    /**
+     * Content lines with continuation lines joined: [{ name, params, value }]
+     */
+    unfold(text) {
+        return text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/).filter(Boolean).map(raw => {
+            const colon = raw.indexOf(':');
+            const [name, ...paramPairs] = raw.slice(0, colon).split(';');
+            const params = {};
+            for (const pair of paramPairs) {
+                const [key, value] = pair.split('=');
+                params[key.toUpperCase()] = (value || '').replace(/^"|"$/g, '').toUpperCase();
+            }
+            return { name: name.toUpperCase(), params, value: raw.slice(colon + 1) };
+        });
+    }
+
+    /**
+     * DATE-TIME in UTC (…Z) or local/TZID time. TZID is read as local time,
+     * which is right for calendars in the user's own zone.
+     */
+    parseDateTime(line) {
+        const match = line.value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+        if (!match) return null;
+        const [, year, month, day, hours = '0', minutes = '0', seconds = '0', utc] = match;
+        const parts = [Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds)];
+        return utc ? new Date(Date.UTC(...parts)) : new Date(...parts);
+    }
+
+    /**
+     * DURATION such as PT1H30M or P1D, in minutes
+     */
+    parseDuration(value) {
+        const match = value.match(/^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+        if (!match) return 0;
+        const [, weeks = 0, days = 0, hours = 0, minutes = 0] = match;
+        return Number(weeks) * 10080 + Number(days) * 1440 + Number(hours) * 60 + Number(minutes);
+    }
+
+    formatUTC(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    formatDate(date) {
+        return toLocalDateTime(date).slice(0, 10).replace(/-/g, '');
+    }
+
+    escapeText(text) {
+        return String(text).replace(/[\\;,]/g, '\\$&').replace(/\r?\n/g, '\\n');
+    }
+
+    unescapeText(text) {
+        return text.replace(/\\([\\;,nN])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+    }
+
+    /**
+     * Lines longer than 75 characters continue on the next line after a space
+     */
+    foldLine(line) {
+        const chars = Array.from(line); // Never split an emoji's surrogate pair
+        const chunks = [];
+        for (let i = 0; i < chars.length; i += this.MAX_LINE_LENGTH - 1) {
+            chunks.push(chars.slice(i, i + this.MAX_LINE_LENGTH - 1).join(''));
+        }
+        return chunks.join('\r\n ');
+    }
+}
+
+// ============================================================================
+// DAY PLANNER
+// ============================================================================
+
+/**
+ * Builds a time-boxed schedule for the rest of the day.
+ * Deadline-bound work is placed first (earliest deadline first), the rest of
+ * the budget is packed to maximize total ROI, T2 work goes into protected
+ * blocks, and everything left out gets an explicit reason.
+ */
+class DayPlanner {
+    constructor() {
+        this.SLOT_UNIT_MINUTES = 5; // Planning granularity
+        this.dependencyManager = new DependencyManager();
+        this.overrideManager = new OverrideManager();
+    }
+
+    /**
+     * Minutes a task needs in the plan: the calibrated estimate when
+     * triage set one, otherwise the user's estimate
+     */
+    getMinutes(task) {
+        return task.calibratedMinutes || task.estimatedMinutes;
+    }
+
+    /**
+     * Build a plan from already-triaged tasks
+     * Returns plain data so it can be saved with the user's data
+     */
+    buildPlan(tasks, userContext, now = new Date()) {
+        const window = this.getPlanningWindow(userContext, now);
+        const meetings = this.getMeetingsInWindow(userContext, window);
+        const slots = this.getFreeSlots(window, meetings);
+        const freeMinutes = slots.reduce((sum, slot) => sum + (slot.end - slot.start) / 60000, 0);
+        const budgetMinutes = Math.min(freeMinutes, userContext.availableMinutes);
+
+        const blocks = meetings.map(meeting => ({
+            type: 'meeting',
+            title: meeting.title,
+            start: meeting.start.toISOString(),
+            end: meeting.end.toISOString()
+        }));
+        const unscheduled = [];
+        let remainingBudget = budgetMinutes;
+
+        // Only actionable tiers get calendar time
+        const candidates = [];
+        for (const task of tasks) {
+            if (task.completed) continue;
+            if (this.isExcluded(task, now)) {
+                unscheduled.push({ taskId: task.id, reason: 'Excluded by your override' });
+            } else if (task.classification === 'T4') {
+                unscheduled.push({ taskId: task.id, reason: 'T4 distraction: not worth scheduled time' });
+            } else if (task.classification === 'T5') {
+                unscheduled.push({ taskId: task.id, reason: 'T5 phantom: clarify it before scheduling' });
+            } else if (this.dependencyManager.isBlocked(task, tasks)) {
+                const blockers = this.dependencyManager.getOpenBlockers(task, tasks).map(b => `“${b.title}”`).join(', ');
+                unscheduled.push({ taskId: task.id, reason: `Blocked by ${blockers}` });
+            } else {
+                candidates.push(task);
+            }
+        }
+
+        // Pass 1: work due before the window closes, earliest deadline first
+        const isDueInWindow = task => task.deadline && new Date(task.deadline) <= window.end;
+        const dueTasks = candidates.filter(isDueInWindow)
+            .sort((a, b) => new Date(a.deadline) - new Date(b.deadline));
+
+        for (const task of dueTasks) {
+            const deadline = new Date(task.deadline);
+            // Overdue work cannot meet its deadline anymore; do it as early as possible
+            const latestEnd = deadline > now ? deadline : window.end;
+            if (this.getMinutes(task) > remainingBudget) {
+                unscheduled.push({ taskId: task.id, reason: `Needs ${this.getMinutes(task)}m but only ${Math.round(remainingBudget)}m of today's budget is left` });
+                continue;
+            }
+            const placed = this.placeTask(task, slots, latestEnd, blocks);
+            if (placed) {
+                remainingBudget -= this.getMinutes(task);
+            } else {
+                unscheduled.push({
+                    taskId: task.id,
+                    reason: deadline > now
+                        ? `Can't finish before its deadline at ${this.formatTime(deadline)}`
+                        : `No free block of ${this.getMinutes(task)}m between meetings`
+                });
+            }
+        }
+
+        // Pass 2: pack the rest of the budget for maximum total ROI
+        const flexible = candidates.filter(task => !isDueInWindow(task));
+        const selected = new Set(this.selectByRoi(flexible, remainingBudget));
+
+        for (const task of flexible) {
+            if (!selected.has(task)) {
+                unscheduled.push({
+                    taskId: task.id,
+                    reason: this.getMinutes(task) > remainingBudget
+                        ? `Needs ${this.getMinutes(task)}m but only ${Math.round(remainingBudget)}m of today's budget is left`
+                        : 'Lower ROI than the work that filled the day'
+                });
+            }
+        }
+
+        // T1 first, then T2 deep work in protected blocks, then T3 in the gaps
+        const tierOrder = { T1: 0, T2: 1, T3: 2 };
+        const ordered = [...selected].sort((a, b) =>
+            (tierOrder[a.classification] - tierOrder[b.classification]) || (b.roiScore - a.roiScore));
+
+        for (const task of ordered) {
+            if (!this.placeTask(task, slots, window.end, blocks)) {
+                unscheduled.push({ taskId: task.id, reason: `No free block of ${this.getMinutes(task)}m between meetings` });
+            }
+        }
+
+        blocks.sort((a, b) => new Date(a.start) - new Date(b.start));
+        const taskBlocks = blocks.filter(block => block.type === 'task');
+
+        return {
+            date: now.toDateString(),
+            createdAt: now.toISOString(),
+            windowStart: window.start.toISOString(),
+            windowEnd: window.end.toISOString(),
+            budgetMinutes: Math.round(budgetMinutes),
+            usedMinutes: taskBlocks.reduce((sum, block) => sum + (new Date(block.end) - new Date(block.start)) / 60000, 0),
+            totalRoi: taskBlocks.reduce((sum, block) => sum + block.roiScore, 0),
+            blocks,
+            unscheduled
+        };
+    }
+
+    /**
+     * The span of time the plan may use: working hours if set, otherwise
+     * availableMinutes starting now. Meetings inside it eat into that time.
+     */
+    getPlanningWindow(userContext, now) {
+        const start = this.roundUp(now);
+
+        if (userContext.workingHours) {
+            const dayStart = this.atTime(now, userContext.workingHours.start);
+            const dayEnd = this.atTime(now, userContext.workingHours.end);
+            return { start: start > dayStart ? start : dayStart, end: dayEnd };
+        }
+
+        return { start, end: new Date(start.getTime() + userContext.availableMinutes * 60000) };
+    }
+
+    /**
+     * Fixed meetings overlapping the window, clipped to it
+     */
+    getMeetingsInWindow(userContext, window) {
+        return (userContext.meetings || [])
+            .map(meeting => ({ title: meeting.title, start: new Date(meeting.start), end: new Date(meeting.end) }))
+            .filter(meeting => meeting.end > window.start && meeting.start < window.end)
+            .map(meeting => ({
+                title: meeting.title,
+                start: meeting.start < window.start ? window.start : meeting.start,
+                end: meeting.end > window.end ? window.end : meeting.end
+            }))
+            .sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Free time in the window once meetings are blocked out
+     */
+    getFreeSlots(window, meetings) {
+        const slots = [];
+        let cursor = window.start;
+
+        for (const meeting of meetings) {
+            if (meeting.start > cursor) slots.push({ start: cursor, end: meeting.start });
+            if (meeting.end > cursor) cursor = meeting.end;
+        }
+        if (window.end > cursor) slots.push({ start: cursor, end: window.end });
+
+        return slots;
+    }
+
+    /**
+     * Put a task in the earliest free slot that holds it whole and ends by
+     * latestEnd. Carves the time out of the slot. Returns true when placed.
+     */
+    placeTask(task, slots, latestEnd, blocks) {
+        const duration = this.getMinutes(task) * 60000;
+
+        for (const slot of slots) {
+            const end = new Date(slot.start.getTime() + duration);
+            if (end > slot.end || end > latestEnd) continue;
+
+            blocks.push({
+                type: 'task',
+                taskId: task.id,
+                title: task.title,
+                tier: task.classification,
+                roiScore: task.roiScore,
+                protected: task.classification === 'T2',
+                start: slot.start.toISOString(),
+                end: end.toISOString()
+            });
+            slot.start = end;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * 0/1 knapsack: the subset of tasks with the highest total ROI that fits
+     * in the given number of minutes
+     */
+    selectByRoi(tasks, capacityMinutes) {
+        const capacity = Math.floor(capacityMinutes / this.SLOT_UNIT_MINUTES);
+        const sizes = tasks.map(task => Math.max(1, Math.ceil(this.getMinutes(task) / this.SLOT_UNIT_MINUTES)));
+        const best = new Array(capacity + 1).fill(0);
+        const kept = tasks.map(() => new Uint8Array(capacity + 1));
+
+        tasks.forEach((task, i) => {
+            for (let c = capacity; c >= sizes[i]; c--) {
+                const candidate = best[c - sizes[i]] + task.roiScore;
+                if (candidate > best[c]) {
+                    best[c] = candidate;
+                    kept[i][c] = 1;
+                }
+            }
+        });
+
+        const selected = [];
+        let c = capacity;
+        for (let i = tasks.length - 1; i >= 0; i--) {
+            if (kept[i][c]) {
+                selected.push(tasks[i]);
+                c -= sizes[i];
+            }
+        }
+        return selected;
+    }
+
+    /**
+     * The block happening now, or the next one, skipping completed tasks
+     * and tasks excluded from recommendations since the plan was made
+     */
+    getCurrentBlock(plan, tasks, now = new Date()) {
+        if (!plan || plan.date !== now.toDateString()) return null;
+
+        return plan.blocks.find(block => {
+            if (block.type !== 'task' || new Date(block.end) <= now) return false;
+            const task = tasks.find(t => t.id === block.taskId);
+            return task && !task.completed && !this.isExcluded(task, now);
+        }) || null;
+    }
+
+    /**
+     * Whether an active override keeps the task out of recommendations
+     */
+    isExcluded(task, now = new Date()) {
+        return !!this.overrideManager.getActive(task, now)?.excluded;
+    }
+
+    /**
+     * Date on the same day as `day` at "HH:MM"
+     */
+    atTime(day, hhmm) {
+        const [hours, minutes] = hhmm.split(':').map(Number);
+        const date = new Date(day);
+        date.setHours(hours, minutes, 0, 0);
+        return date;
+    }
+
+    roundUp(date) {
+        const unit = this.SLOT_UNIT_MINUTES * 60000;
+        return new Date(Math.ceil(date.getTime() / unit) * unit);
+    }
+
+    formatTime(date) {
+        return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+    }
+}
+
+// ============================================================================
+// WHAT-IF PREVIEW
+// ============================================================================
+
+/**
+ * Re-triages a copy of the tasks and context at another moment and energy
+ * level. Triage writes its results onto tasks, so both sides of the
+ * comparison run on snapshots and the real data is never touched.
+ */
+class WhatIfPreview {
+    constructor(engine = new StrategicTriageEngine()) {
+        this.engine = engine;
+    }
+
+    /**
+     * Deep copies of the tasks and context
+     */
+    snapshot(tasks, userContext) {
+        return {
+            tasks: tasks.map(task => Task.fromJSON(JSON.parse(JSON.stringify(task)))),
+            userContext: UserContext.fromJSON(JSON.parse(JSON.stringify(userContext)))
+        };
+    }
+
+    /**
+     * Triage a snapshot as of `at` with the given energy level, and with
+     * `profileId` as that day's scoring profile when given
+     * Returns { at, energyLevel, tasks, userContext, recommendation }
+     */
+    run(tasks, userContext, at, energyLevel = userContext.energyLevel, profileId = null) {
+        const snapshot = this.snapshot(tasks, userContext);
+        snapshot.userContext.energyLevel = energyLevel;
+        if (profileId) this.engine.profileManager.setActive(snapshot.userContext, profileId, at, at);
+        this.engine.goalManager.recalculateProgress(snapshot.userContext, snapshot.tasks);
+        const recommendation = this.engine.getRecommendedAction(snapshot.tasks, snapshot.userContext, at);
+        return { at, energyLevel, ...snapshot, recommendation };
+    }
+
+    /**
+     * Compare triage now with triage at `at`, `energyLevel` and `profileId`.
+     * `changes` lists the open tasks whose tier differs, in the preview's
+     * ROI order, as { task, from, to, fromScore, toScore } where `task` is
+     * the preview copy.
+     */
+    build(tasks, userContext, { at, energyLevel = userContext.energyLevel, profileId = null }, now = new Date()) {
+        const current = this.run(tasks, userContext, now);
+        const preview = this.run(tasks, userContext, at, energyLevel, profileId);
+        const before = new Map(current.tasks.map(task => [task.id, task]));
+
+        const changes = preview.tasks
+            .filter(task => !task.completed && task.classification && task.classification !== before.get(task.id)?.classification)
+            .sort((a, b) => b.roiScore - a.roiScore)
+            .map(task => ({
+                task,
+                from: before.get(task.id)?.classification || null,
+                to: task.classification,
+                fromScore: before.get(task.id)?.roiScore ?? null,
+                toScore: task.roiScore
+            }));
+
+        return {
+            current,
+            preview,
+            changes,
+            oneThingChanged: (current.recommendation.task?.id ?? null) !== (preview.recommendation.task?.id ?? null)
+        };
+    }
+}
+
+// ============================================================================
+// UTILITIES
+// ============================================================================
+
+/**
+ * Local "YYYY-MM-DDTHH:MM", the format task deadlines and
+ * datetime-local inputs use
+ */
+function toLocalDateTime(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+// In the browser every class above is already a global for app.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        Task,
+        UserContext,
+        GoalManager,
+        TagManager,
+        HeuristicRuleEngine,
+        DependencyManager,
+        ClarificationManager,
+        OverrideManager,
+        EstimateCalibrator,
+        ScoringProfileManager,
+        PreferenceLearner,
+        StrategicTriageEngine,
+        RecurrenceManager,
+        QuickAddParser,
+        HistoryManager,
+        FocusLog,
+        DayBoundaryManager,
+        WeeklyReview,
+        DataPorter,
+        CalendarManager,
+        DayPlanner,
+        WhatIfPreview,
+        toLocalDateTime
+    };
+}